@@ -0,0 +1,522 @@
+#!/usr/bin/env node
+// =============================================================================
+// groovy-viz CLI — run the commutator experiments without a browser
+// =============================================================================
+
+import {
+  runCA1D,
+  planHistories,
+  sweepRule,
+  sweepAwareRule,
+  sampleAwareRules,
+  AWARE_RULE_COUNT,
+  mulberry32,
+  randomState,
+  compileRuleK,
+  MAX_STATES,
+  MAX_RADIUS,
+  BOUNDARIES,
+  AWARE_COMMUTATORS,
+  MAX_ORDER,
+  MAX_BASIN_STATES,
+  splitByAttractor,
+  basinStateCount,
+  transitionGraph,
+  findBasins,
+  basinSummary,
+  resolveAwareRule,
+  MAX_SPECTRUM_WIDTH,
+  exhaustiveSpectrum,
+  BENCHMARKS,
+  runBenchmark,
+  checkAwareAgreement,
+  SONIFY_MAPPINGS,
+  MAX_PARTIALS,
+  sonifyScore,
+  renderScore,
+  encodeWAV,
+  UPDATE_MODES,
+  SWEEP_ALPHAS,
+  SWEEP_EPSILONS,
+  isSynchronous,
+  checkUpdate,
+  sweepUpdates
+} from '../src/ca-core/index.js'
+
+const USAGE = `Usage:
+  groovy-viz run [options]     run one 1D CA and print per-step metrics
+  groovy-viz sweep [options]   average ρ, G and G² over all 256 elementary rules (or aware rules)
+  groovy-viz basins [options]  the state-transition graph of a small lattice, split into basins
+  groovy-viz spectrum [options]
+                               D, G and G² on every one of the 2^N states of a small lattice
+  groovy-viz noise [options]   mean ρ, G and G² of one 1D run swept over update probability α
+                               and noise rate ε
+  groovy-viz bench             time the lookup-table engine against the reference, and check that
+                               the 1D and 2D aware commutators agree on one row
+
+Options for run:
+  --rule <0-255>         elementary rule (default 110)
+  --k <2-8>              states per cell; with --radius or --code selects a k-colour rule
+  --radius <1-3>         neighbourhood radius for k-colour rules (default 1)
+  --code <n>             Wolfram-style rule code for k-colour rules (default 0)
+  --totalistic           read --code as a totalistic code
+  --width <n>            lattice width (default 200)
+  --steps <n>            number of steps (default 150)
+  --seed <n>             seed for the random initial state (default: random)
+  --init random|single   initial condition (default random)
+  --boundary <kind>      periodic|fixed0|fixed1|reflective|infinite (default periodic);
+                         infinite pads the lattice past the light cone of the run and its tower
+  --aware                run the aware CA (cells see S')
+  --memory <behavior>    ignore|stabilize|invert|excite (default ignore)
+  --aware-rule <0-65535> run this 16-bit aware rule (implies --aware; replaces --rule and --memory)
+  --aware-commutator frozen|paired
+                         aware G and G²: both paths see the last S' (frozen, default), or
+                         each path carries its own (S, S') history (paired)
+  --update synchronous|async|sequential
+                         update scheme (default synchronous): async updates each cell with
+                         probability --alpha, sequential one cell at a time in a random order;
+                         not for aware rules or the infinite boundary
+  --alpha <0-1>          async: probability that a cell updates (default 1)
+  --epsilon <0-1>        noise: each cell flips (shifts by 1 … k − 1 mod k) with probability ε
+                         after every step (default 0)
+  --update-seed <n>      seed for the update and noise draws (default 0); both paths of G
+                         use the same draws each step
+  --order <2-${MAX_ORDER}>         build the tower G¹ … Gⁿ each step and report its density at every
+                         order and whether it reaches zero, a fixed point or a cycle
+  --format json|csv|pbm|wav
+                         output format (default json); wav writes D, G and G² as sound
+  --dump                 include the S/D/G/G² space-time arrays (json, csv)
+  --field S|D|G|G2|G<n>  space-time array to write as PBM, PGM for k > 2 (default G);
+                         G3 … Gn need --order
+  --sonify partials|density
+                         wav: a sine partial per bin of columns (default), or one pitch
+                         following each row's density
+  --partials <1-${MAX_PARTIALS}>      wav: bins of columns per field (default 32)
+  --step-ms <n>          wav: milliseconds per step (default 100)
+
+Options for basins:
+  --width <n>            lattice width (default 10; the graph has at most 65,536 states)
+  the rule options of run (--rule, --k, --radius, --code, --totalistic, --boundary
+  except infinite, --aware, --memory, --aware-rule, --aware-commutator), and --format json|csv
+
+Options for spectrum:
+  --rule <0-255>  --boundary <kind> (not infinite)  --format json|csv
+  --width <1-${MAX_SPECTRUM_WIDTH}>         lattice width (default 12); csv prints the weight histograms
+
+Options for noise:
+  the options of run up to --update-seed (--aware, --memory, --aware-rule and infinite
+  excepted), and --format json|csv (default csv)
+  --alphas <a,b,…>       async update probabilities to sweep (default ${SWEEP_ALPHAS.join(',')});
+                         other schemes sweep ε alone
+  --epsilons <a,b,…>     noise rates to sweep (default ${SWEEP_EPSILONS.join(',')})
+
+Options for sweep:
+  --width <n>  --steps <n>  --seeds <n>  --format json|csv
+  --aware                sweep 16-bit aware rules instead
+  --sample <n>           with --aware, a random sample of n rules (default: all 65,536)
+  --sample-seed <n>      seed for the sample (default 1)
+`
+
+const MEMORY_BEHAVIORS = ['ignore', 'stabilize', 'invert', 'excite']
+const FIELDS = { S: 'history', D: 'derivHistory', G: 'groovyHistory', G2: 'groovy2History' }
+
+function fail(message) {
+  process.stderr.write(`groovy-viz: ${message}\n\n${USAGE}`)
+  process.exit(1)
+}
+
+// --key value and bare --flag pairs; anything else is an error
+function parseArgs(argv) {
+  const flags = new Set(['aware', 'dump', 'help', 'totalistic'])
+  const opts = {}
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i]
+    if (!arg.startsWith('--')) fail(`unexpected argument "${arg}"`)
+    const key = arg.slice(2)
+    if (flags.has(key)) {
+      opts[key] = true
+    } else {
+      if (i + 1 >= argv.length) fail(`missing value for --${key}`)
+      opts[key] = argv[++i]
+    }
+  }
+  return opts
+}
+
+function intOption(opts, key, fallback, min, max) {
+  if (opts[key] === undefined) return fallback
+  const n = Number(opts[key])
+  if (!Number.isInteger(n) || n < min || n > max) fail(`--${key} must be an integer in ${min}..${max}`)
+  return n
+}
+
+function choiceOption(opts, key, fallback, choices) {
+  const v = opts[key] ?? fallback
+  if (!choices.includes(v)) fail(`--${key} must be one of ${choices.join(', ')}`)
+  return v
+}
+
+function numberOption(opts, key, fallback) {
+  if (opts[key] === undefined) return fallback
+  const x = Number(opts[key])
+  if (!Number.isFinite(x)) fail(`--${key} must be a number`)
+  return x
+}
+
+function listOption(opts, key, fallback) {
+  if (opts[key] === undefined) return fallback
+  const xs = opts[key].split(',').map(Number)
+  if (!xs.length || xs.some(x => !(x >= 0 && x <= 1))) fail(`--${key} must be a comma-separated list of numbers in 0..1`)
+  return xs
+}
+
+const rowToString = row => Array.from(row).join('')
+
+// The rule, boundary and aware options shared by run and basins
+function ruleOptions(opts, boundaries = BOUNDARIES) {
+  const awareRule = opts['aware-rule'] === undefined ? null : intOption(opts, 'aware-rule', 0, 0, 65535)
+
+  // Any k-colour option switches from the elementary engine to the mod-k one
+  let multistate = null
+  if (['k', 'radius', 'code', 'totalistic'].some(key => opts[key] !== undefined)) {
+    multistate = {
+      k: intOption(opts, 'k', 2, 2, MAX_STATES),
+      radius: intOption(opts, 'radius', 1, 1, MAX_RADIUS),
+      code: opts.code ?? '0',
+      totalistic: Boolean(opts.totalistic)
+    }
+    try {
+      compileRuleK(multistate)
+    } catch (e) {
+      fail(e.message)
+    }
+  }
+
+  return {
+    rule: intOption(opts, 'rule', 110, 0, 255),
+    memoryBehavior: choiceOption(opts, 'memory', 'ignore', MEMORY_BEHAVIORS),
+    boundary: choiceOption(opts, 'boundary', 'periodic', boundaries),
+    awareRule,
+    aware: Boolean(opts.aware) || awareRule !== null,
+    awareCommutator: choiceOption(opts, 'aware-commutator', 'frozen', AWARE_COMMUTATORS),
+    multistate
+  }
+}
+
+// The stochastic update scheme shared by run and noise
+function updateOptions(opts) {
+  const update = {
+    mode: choiceOption(opts, 'update', 'synchronous', UPDATE_MODES),
+    alpha: numberOption(opts, 'alpha', 1),
+    epsilon: numberOption(opts, 'epsilon', 0),
+    seed: intOption(opts, 'update-seed', 0, 0, 2 ** 32 - 1)
+  }
+  try {
+    checkUpdate(update)
+  } catch (e) {
+    fail(e.message)
+  }
+  return update
+}
+
+function initialState(init, width, seed, k) {
+  if (init === 'random') return randomState(width, mulberry32(seed), 0.5, k)
+  const initial = new Uint8Array(width)
+  initial[Math.floor(width / 2)] = 1
+  return initial
+}
+
+// runCA1D, with a bad combination of options (a stochastic aware run, or one
+// too large to keep) as a usage error
+function runOrFail(initial, options) {
+  try {
+    return runCA1D(initial, options)
+  } catch (e) {
+    fail(e.message)
+  }
+}
+
+// Whether the run keeps its G³ … Gⁿ rows, checked before it starts
+function keepsTowerRows(initial, options) {
+  try {
+    return planHistories(initial, options).keepTower
+  } catch (e) {
+    fail(e.message)
+  }
+}
+
+function runCommand(opts) {
+  const { rule, memoryBehavior, boundary, awareRule, aware, awareCommutator, multistate } = ruleOptions(opts)
+  const width = intOption(opts, 'width', 200, 1, 1 << 20)
+  const steps = intOption(opts, 'steps', 150, 1, 1 << 20)
+  const seed = intOption(opts, 'seed', Math.floor(Math.random() * 2 ** 31), 0, 2 ** 32 - 1)
+  const init = choiceOption(opts, 'init', 'random', ['random', 'single'])
+  const format = choiceOption(opts, 'format', 'json', ['json', 'csv', 'pbm', 'wav'])
+  const order = opts.order === undefined ? null : intOption(opts, 'order', 2, 2, MAX_ORDER)
+  const towerFields = Array.from({ length: Math.max(0, (order ?? 2) - 2) }, (_, i) => `G${i + 3}`)
+  const field = choiceOption(opts, 'field', 'G', [...Object.keys(FIELDS), ...towerFields])
+  const update = updateOptions(opts)
+  const k = multistate ? multistate.k : 2
+  const initial = initialState(init, width, seed, k)
+
+  const options = {
+    rule, steps, aware, memoryBehavior, awareRule, awareCommutator, multistate, boundary, order, update
+  }
+  const needsTowerRows = (format === 'pbm' && !FIELDS[field]) || (opts.dump && towerFields.length > 0)
+  if (needsTowerRows && !keepsTowerRows(initial, options)) {
+    fail('The G³ … Gⁿ rows of a run this large are not kept; use fewer --steps, a narrower --width ' +
+      'or a lower --order')
+  }
+  const result = runOrFail(initial, options)
+
+  // The WAV bytes go to stdout as they are
+  if (format === 'wav') {
+    const score = sonifyScore(result, {
+      mapping: choiceOption(opts, 'sonify', 'partials', SONIFY_MAPPINGS),
+      partials: intOption(opts, 'partials', 32, 1, MAX_PARTIALS),
+      k
+    })
+    return encodeWAV(renderScore(score, { stepSeconds: intOption(opts, 'step-ms', 100, 1, 60000) / 1000 }))
+  }
+
+  // Binary fields are written as PBM; k-colour ones as PGM with k - 1 as white
+  if (format === 'pbm') {
+    const rows = FIELDS[field] ? result[FIELDS[field]] : result.tower.histories[Number(field.slice(1)) - 1]
+    const label = multistate ? `k=${k} r=${multistate.radius} code ${multistate.code}`
+      : aware ? `aware rule ${result.awareRule}` : `rule ${rule}`
+    // A single-cell start has no seed to report
+    const comment = `# ${label} ${field}${init === 'random' ? ` seed ${seed}` : ''}`
+    // Rows on the infinite lattice are wider than --width
+    const rowWidth = rows[0].length
+    const lines = k > 2
+      ? ['P2', comment, `${rowWidth} ${rows.length}`, `${k - 1}`]
+      : ['P1', comment, `${rowWidth} ${rows.length}`]
+    for (const row of rows) lines.push(Array.from(row).join(' '))
+    return lines.join('\n') + '\n'
+  }
+
+  if (format === 'csv') {
+    const header = ['t', 'rho', 'g', 'g2']
+    if (order) header.push(...towerFields.map(name => name.toLowerCase()), 'fate', 'fate_order', 'fate_period')
+    if (opts.dump) header.push('S', 'D', 'G', 'G2')
+    const lines = [header.join(',')]
+    for (let t = 0; t < steps; t++) {
+      const cols = [t, result.series.rho[t], result.series.groovy[t], result.series.groovy2[t]]
+      if (order) {
+        const fate = result.tower.fates[t]
+        cols.push(...result.tower.densities[t].slice(2), fate.kind, fate.order ?? '', fate.period ?? '')
+      }
+      if (opts.dump) {
+        cols.push(
+          rowToString(result.history[t]),
+          rowToString(result.derivHistory[t]),
+          rowToString(result.groovyHistory[t]),
+          rowToString(result.groovy2History[t])
+        )
+      }
+      lines.push(cols.join(','))
+    }
+    return lines.join('\n') + '\n'
+  }
+
+  const out = {
+    rule: multistate || awareRule !== null ? null : rule,
+    multistate,
+    width,
+    steps,
+    seed: init === 'random' ? seed : null,
+    init,
+    boundary,
+    aware: aware && !multistate,
+    memoryBehavior: aware && !multistate && awareRule === null ? memoryBehavior : null,
+    awareRule: result.awareRule,
+    awareCommutator: aware && !multistate ? awareCommutator : null,
+    update: isSynchronous(update) ? null : update,
+    metrics: result.metrics,
+    cycle: result.cycle,
+    groovyByPhase: splitByAttractor(result.series.groovy, result.cycle),
+    series: result.series
+  }
+  if (order) {
+    out.tower = {
+      order,
+      meanDensities: result.tower.meanDensities,
+      fateSummary: result.tower.fateSummary,
+      densities: result.tower.densities,
+      fates: result.tower.fates
+    }
+  }
+  if (opts.dump) {
+    out.S = result.history.map(rowToString)
+    out.D = result.derivHistory.map(rowToString)
+    out.G = result.groovyHistory.map(rowToString)
+    out.G2 = result.groovy2History.map(rowToString)
+    towerFields.forEach((name, i) => { out[name] = result.tower.histories[i + 2].map(rowToString) })
+  }
+  return JSON.stringify(out, null, 2) + '\n'
+}
+
+function noiseCommand(opts) {
+  const { rule, memoryBehavior, boundary, awareRule, aware, awareCommutator, multistate } = ruleOptions(opts)
+  const width = intOption(opts, 'width', 200, 1, 1 << 20)
+  const steps = intOption(opts, 'steps', 150, 1, 1 << 20)
+  const seed = intOption(opts, 'seed', Math.floor(Math.random() * 2 ** 31), 0, 2 ** 32 - 1)
+  const init = choiceOption(opts, 'init', 'random', ['random', 'single'])
+  const format = choiceOption(opts, 'format', 'csv', ['json', 'csv'])
+  const update = updateOptions(opts)
+  const alphas = listOption(opts, 'alphas', SWEEP_ALPHAS)
+  const epsilons = listOption(opts, 'epsilons', SWEEP_EPSILONS)
+  const initial = initialState(init, width, seed, multistate ? multistate.k : 2)
+
+  // Every scheme starts from the same row and draws from the same update seed
+  const results = sweepUpdates(update, { alphas, epsilons }).map(scheme => {
+    const { metrics } = runOrFail(initial, {
+      rule, steps, aware, memoryBehavior, awareRule, awareCommutator, multistate, boundary, update: scheme
+    })
+    return { alpha: scheme.alpha, epsilon: scheme.epsilon, ...metrics }
+  })
+
+  if (format === 'csv') {
+    const lines = ['alpha,epsilon,rho,g,g2']
+    for (const r of results) lines.push([r.alpha, r.epsilon, r.rho, r.groovyDensity, r.groovy2Density].join(','))
+    return lines.join('\n') + '\n'
+  }
+  return JSON.stringify({
+    rule: multistate ? null : rule,
+    multistate,
+    width,
+    steps,
+    seed: init === 'random' ? seed : null,
+    init,
+    boundary,
+    update: { mode: update.mode, seed: update.seed },
+    results
+  }, null, 2) + '\n'
+}
+
+function basinsCommand(opts) {
+  const options = ruleOptions(opts, BOUNDARIES.filter(b => b !== 'infinite'))
+  const width = intOption(opts, 'width', 10, 1, 64)
+  const format = choiceOption(opts, 'format', 'json', ['json', 'csv'])
+  const aware = options.aware && !options.multistate
+  const awareRule = aware ? resolveAwareRule(options) : null
+  const states = basinStateCount(width, { ...options, aware })
+  if (states > MAX_BASIN_STATES) fail(`--width ${width} gives ${states} states; at most ${MAX_BASIN_STATES} fit`)
+
+  const graph = transitionGraph(width, { ...options, aware, awareRule })
+  const found = findBasins(graph.next)
+  const basins = found.basins.map(({ cycle, size }) => ({ size, period: cycle.length, cycle }))
+
+  if (format === 'csv') {
+    const lines = ['basin,size,period']
+    basins.forEach((b, i) => lines.push([i, b.size, b.period].join(',')))
+    return lines.join('\n') + '\n'
+  }
+  return JSON.stringify({
+    rule: options.multistate || awareRule !== null ? null : options.rule,
+    multistate: options.multistate,
+    width,
+    boundary: options.boundary,
+    aware,
+    awareRule,
+    awareCommutator: aware ? options.awareCommutator : null,
+    summary: basinSummary(graph, found),
+    basins
+  }, null, 2) + '\n'
+}
+
+function spectrumCommand(opts) {
+  const rule = intOption(opts, 'rule', 110, 0, 255)
+  const width = intOption(opts, 'width', 12, 1, MAX_SPECTRUM_WIDTH)
+  const boundary = choiceOption(opts, 'boundary', 'periodic', BOUNDARIES.filter(b => b !== 'infinite'))
+  const format = choiceOption(opts, 'format', 'json', ['json', 'csv'])
+  const result = exhaustiveSpectrum(rule, width, boundary)
+
+  if (format === 'csv') {
+    const lines = ['weight,d,g,g2']
+    for (let w = 0; w <= width; w++) {
+      lines.push([w, result.weights.rho[w], result.weights.groovy[w], result.weights.groovy2[w]].join(','))
+    }
+    return lines.join('\n') + '\n'
+  }
+  const bits = x => Array.from({ length: width }, (_, i) => (x >> i) & 1).join('')
+  return JSON.stringify({
+    ...result,
+    commuting: result.commuting.map(bits),
+    counterexample: result.counterexample && { a: bits(result.counterexample.a), b: bits(result.counterexample.b) }
+  }, null, 2) + '\n'
+}
+
+function sweepCommand(opts) {
+  const width = intOption(opts, 'width', 64, 1, 1 << 16)
+  const steps = intOption(opts, 'steps', 64, 1, 1 << 16)
+  const seeds = intOption(opts, 'seeds', 3, 1, 1000)
+  const format = choiceOption(opts, 'format', 'csv', ['json', 'csv'])
+  const aware = Boolean(opts.aware)
+
+  let rules = Array.from({ length: 256 }, (_, rule) => rule)
+  let sample = null
+  if (aware) {
+    if (opts.sample !== undefined) {
+      sample = {
+        count: intOption(opts, 'sample', 1000, 1, AWARE_RULE_COUNT),
+        seed: intOption(opts, 'sample-seed', 1, 0, 2 ** 32 - 1)
+      }
+      rules = sampleAwareRules(sample.count, mulberry32(sample.seed))
+    } else {
+      rules = Array.from({ length: AWARE_RULE_COUNT }, (_, rule) => rule)
+    }
+  }
+
+  const sweepOne = aware ? sweepAwareRule : sweepRule
+  const rows = []
+  for (const rule of rules) {
+    const { thumbnail, ...r } = sweepOne(rule, { width, steps, seeds })
+    rows.push(r)
+  }
+
+  if (format === 'json') return JSON.stringify({ width, steps, seeds, aware, sample, rules: rows }, null, 2) + '\n'
+  const lines = ['rule,rho,g,g2']
+  for (const r of rows) lines.push([r.rule, r.rho, r.groovyDensity, r.groovy2Density].join(','))
+  return lines.join('\n') + '\n'
+}
+
+function benchCommand() {
+  const lines = []
+  for (const { id } of BENCHMARKS) {
+    const r = runBenchmark(id)
+    lines.push(
+      `${r.label}`,
+      `  reference     ${r.referencePerUnit.toFixed(3)} ms/${r.unit}`,
+      `  lookup table  ${r.fastPerUnit.toFixed(3)} ms/${r.unit} (${r.fastMs.toFixed(0)} ms for ${r.fastUnits} ${r.unit}s)`,
+      `  speedup       ${r.speedup.toFixed(1)}×, identical: ${r.identical ? 'yes' : 'NO'}`
+    )
+  }
+  const agreement = checkAwareAgreement()
+  lines.push(
+    `1D and 2D aware G, G² on one row (${agreement.checked} runs)`,
+    `  identical: ${agreement.identical ? 'yes' : 'NO'}`
+  )
+  return lines.join('\n') + '\n'
+}
+
+const [command, ...rest] = process.argv.slice(2)
+const opts = parseArgs(rest)
+
+if (!command || command === 'help' || command === '--help' || opts.help) {
+  process.stdout.write(USAGE)
+} else if (command === 'run') {
+  process.stdout.write(runCommand(opts))
+} else if (command === 'basins') {
+  process.stdout.write(basinsCommand(opts))
+} else if (command === 'spectrum') {
+  process.stdout.write(spectrumCommand(opts))
+} else if (command === 'sweep') {
+  process.stdout.write(sweepCommand(opts))
+} else if (command === 'noise') {
+  process.stdout.write(noiseCommand(opts))
+} else if (command === 'bench') {
+  process.stdout.write(benchCommand())
+} else {
+  fail(`unknown command "${command}"`)
+}
@@ -1,289 +1,179 @@
-import { useState, useEffect, useRef, useCallback } from 'react'
+import { useState, useEffect, useRef, useCallback, useMemo } from 'react'
+import {
+  createGrid,
+  mulberry32,
+  randomState,
+  compileRuleK,
+  randomRuleCode,
+  MAX_STATES,
+  MAX_RADIUS,
+  MAX_TABLE_SIZE,
+  ruleToTable,
+  awareRuleToTable,
+  standardToAwareRule,
+  lifeRuleTable,
+  awareLifeRuleTable,
+  langtonLambda,
+  lifeLambda,
+  MAX_ORDER,
+  MAX_BASIN_STATES,
+  splitByAttractor,
+  composeRow,
+  parsePositions,
+  ETHER_110,
+  formatLifeRule,
+  formatRulestring,
+  parseRulestring,
+  parseLifeRuleString,
+  inspectCell1D,
+  inspectCell2D,
+  isSynchronous,
+  sweepUpdates
+} from './ca-core/index.js'
+import { useSimWorker } from './useSimWorker.js'
+import {
+  drawCA1D,
+  draw2D,
+  drawOverlayCA1D,
+  drawOverlay2D,
+  derivColor,
+  groovyColor,
+  groovy2Color,
+  towerColor,
+  stateColorK,
+  fieldColorK,
+  generationsColor
+} from './draw.js'
+import { SweepView } from './SweepView.jsx'
+import { BenchmarkView } from './BenchmarkView.jsx'
+import { SeriesChart } from './SeriesChart.jsx'
+import { ComplexityPanel } from './ComplexityPanel.jsx'
+import { AwareRuleEditor } from './AwareRuleEditor.jsx'
+import { TowerPanel } from './TowerPanel.jsx'
+import { BasinView } from './BasinView.jsx'
+import { SpectrumView } from './SpectrumView.jsx'
+import { PatternPanel } from './PatternPanel.jsx'
+import { ExportBar } from './ExportBar.jsx'
+import { PanZoom, DEFAULT_VIEW, clampView } from './PanZoom.jsx'
+import { CellInspector } from './CellInspector.jsx'
+import { CompareView } from './CompareView.jsx'
+import { AudioView } from './AudioView.jsx'
+import { SonifyPanel } from './SonifyPanel.jsx'
+import { UpdateControls, UpdateSweep, updateLabel } from './UpdatePanel.jsx'
+import { downloadBlob } from './download.js'
+import { DEFAULT_EXPERIMENT, encodeExperiment, decodeExperiment, randomSeed } from './urlState.js'
 
 // =============================================================================
-// CORE CA FRAMEWORK
+// APP
 // =============================================================================
 
-function ruleToDict(ruleNumber) {
-  const binary = ruleNumber.toString(2).padStart(8, '0').split('').reverse()
-  const dict = {}
-  for (let a = 0; a < 2; a++) {
-    for (let b = 0; b < 2; b++) {
-      for (let c = 0; c < 2; c++) {
-        const idx = 4 * a + 2 * b + c
-        dict[`${a}${b}${c}`] = parseInt(binary[idx])
-      }
-    }
-  }
-  return dict
-}
-
-function applyRule(state, ruleDict) {
-  const n = state.length
-  const newState = new Uint8Array(n)
-  for (let i = 0; i < n; i++) {
-    const left = state[(i - 1 + n) % n]
-    const center = state[i]
-    const right = state[(i + 1) % n]
-    newState[i] = ruleDict[`${left}${center}${right}`]
-  }
-  return newState
-}
-
-// D(s) = change mask - which cells flip
-function derivative(state, ruleDict) {
-  const next = applyRule(state, ruleDict)
-  return state.map((v, i) => v ^ next[i])
-}
-
-// E(s) = s ⊕ D(s) = evolution
-function evolve(state, ruleDict) {
-  const D = derivative(state, ruleDict)
-  return state.map((v, i) => v ^ D[i])
-}
-
-// G(s) = D(E(s)) ⊕ E(D(s)) = groovy commutator
-function groovyCommutator(state, ruleDict) {
-  const Ds = derivative(state, ruleDict)
-  const Es = evolve(state, ruleDict)
-  
-  // Path 1: Evolve then differentiate
-  const D_Es = derivative(Es, ruleDict)
-  
-  // Path 2: Differentiate then evolve  
-  const E_Ds = evolve(Ds, ruleDict)
-  
-  return D_Es.map((v, i) => v ^ E_Ds[i])
-}
+const EMPTY_SERIES = { rho: [], groovy: [], groovy2: [] }
+const EMPTY_SERIES_2D = { ...EMPTY_SERIES, complexity: [], firstStep: 0 }
+const EMPTY_TOWER = { histories: [], densities: [], fates: [] }
 
-// G²(s) = G(G(s)) = second-order groovy commutator
-// Treating the groovy commutator output as a new state and computing its groove
-// "The grooviness of the groove" — how non-commutativity itself is non-commutative
-function groovyCommutator2(state, ruleDict) {
-  const G = groovyCommutator(state, ruleDict)
-  return groovyCommutator(G, ruleDict)
-}
-
-function density(arr) {
-  return arr.reduce((a, b) => a + b, 0) / arr.length
-}
-
-// =============================================================================
-// AWARE CA — cells with memory (can see their S' value)
-// =============================================================================
+const SUPERSCRIPTS = '⁰¹²³⁴⁵⁶⁷⁸⁹'
+const toSuperscript = n => String(n).split('').map(d => SUPERSCRIPTS[d]).join('')
 
-// Extended rule: 4-bit input (left, center, right, didChange) → 16-bit rule number
-function awareRuleToDict(ruleNumber) {
-  const binary = BigInt(ruleNumber).toString(2).padStart(16, '0').split('').reverse()
-  const dict = {}
-  for (let l = 0; l < 2; l++) {
-    for (let c = 0; c < 2; c++) {
-      for (let r = 0; r < 2; r++) {
-        for (let d = 0; d < 2; d++) { // d = "did I change last step?"
-          const idx = 8 * l + 4 * c + 2 * r + d
-          dict[`${l}${c}${r}${d}`] = parseInt(binary[idx])
-        }
-      }
+// Cells a brush of the given size covers along a drag from one cell to the next
+function strokeCells(from, to, size) {
+  const points = []
+  const steps = Math.max(Math.abs(to.x - from.x), Math.abs(to.y - from.y), 1)
+  const lo = -Math.floor((size - 1) / 2)
+  for (let i = 0; i <= steps; i++) {
+    const x = Math.round(from.x + (to.x - from.x) * i / steps)
+    const y = Math.round(from.y + (to.y - from.y) * i / steps)
+    for (let dy = lo; dy < lo + size; dy++) {
+      for (let dx = lo; dx < lo + size; dx++) points.push([x + dx, y + dy])
     }
   }
-  return dict
-}
-
-// Apply aware rule: cells see their previous S' (change) value
-function applyAwareRule(state, prevDerivative, ruleDict) {
-  const n = state.length
-  const newState = new Uint8Array(n)
-  for (let i = 0; i < n; i++) {
-    const left = state[(i - 1 + n) % n]
-    const center = state[i]
-    const right = state[(i + 1) % n]
-    const didChange = prevDerivative ? prevDerivative[i] : 0
-    newState[i] = ruleDict[`${left}${center}${right}${didChange}`]
-  }
-  return newState
+  return points
 }
 
-// Evolve aware CA and track derivative history
-function evolveAware(state, prevDeriv, ruleDict) {
-  const next = applyAwareRule(state, prevDeriv, ruleDict)
-  const deriv = state.map((v, i) => v ^ next[i])
-  return { next, deriv }
-}
+// The 2D charts follow a run that never ends, so they keep a sliding window
+const MAX_2D_FRAMES = 2000
 
-// Groovy commutator for aware CA (more complex - derivative depends on prev derivative)
-function groovyCommutatorAware(state, prevDeriv, ruleDict) {
-  // This is trickier because the aware rule depends on history
-  // For now, compute it assuming the prevDeriv stays constant for both paths
-  const { next: Es, deriv: D_at_s } = evolveAware(state, prevDeriv, ruleDict)
-  
-  // Path 1: evolve, then check what would change
-  const { deriv: D_Es } = evolveAware(Es, D_at_s, ruleDict)
-  
-  // Path 2: apply derivative mask, then evolve
-  const Ds = state.map((v, i) => v ^ D_at_s[i])
-  const { deriv: afterDs } = evolveAware(Ds, D_at_s, ruleDict)
-  const E_Ds = Ds.map((v, i) => v ^ afterDs[i])
-  const D_E_Ds = E_Ds.map((v, i) => v ^ afterDs[i]) // derivative after that step
-  
-  return D_Es.map((v, i) => v ^ D_E_Ds[i])
-}
-
-// Generate interesting aware rules by extending standard rules
-function standardToAwareRule(rule8bit, memoryBehavior = 'ignore') {
-  // memoryBehavior: 'ignore' = same as standard, 'invert' = flip if changed, 'stabilize' = stay if changed
-  let rule16 = 0n
-  const dict = ruleToDict(rule8bit)
-  
-  for (let l = 0; l < 2; l++) {
-    for (let c = 0; c < 2; c++) {
-      for (let r = 0; r < 2; r++) {
-        const baseResult = dict[`${l}${c}${r}`]
-        for (let d = 0; d < 2; d++) {
-          let result = baseResult
-          if (d === 1) { // cell changed last step
-            if (memoryBehavior === 'invert') result = 1 - result
-            else if (memoryBehavior === 'stabilize') result = c // stay same
-            else if (memoryBehavior === 'excite') result = 1 // become/stay active
-          }
-          const idx = 8 * l + 4 * c + 2 * r + d
-          if (result) rule16 |= (1n << BigInt(idx))
-        }
-      }
-    }
+// Record a 2D frame. Frame t replaces the last entry when it is redrawn
+// (new rules on the same grid) and starts a fresh series when t = 0.
+function appendFrame(series, t, metrics, complexity) {
+  const base = t === 0 ? EMPTY_SERIES_2D : series
+  const keep = t - base.firstStep // entries before frame t
+  const add = (xs, v) => {
+    const next = xs.slice(0, keep)
+    next.push(v)
+    return next
   }
-  return Number(rule16)
-}
-
-// =============================================================================
-// 2D CA (Game of Life style)
-// =============================================================================
-
-function evolve2D(grid, birthRule, surviveRule) {
-  const h = grid.length
-  const w = grid[0].length
-  const newGrid = grid.map(row => new Uint8Array(row.length))
-  
-  for (let y = 0; y < h; y++) {
-    for (let x = 0; x < w; x++) {
-      let neighbors = 0
-      for (let dy = -1; dy <= 1; dy++) {
-        for (let dx = -1; dx <= 1; dx++) {
-          if (dy === 0 && dx === 0) continue
-          const ny = (y + dy + h) % h
-          const nx = (x + dx + w) % w
-          neighbors += grid[ny][nx]
-        }
-      }
-      
-      if (grid[y][x]) {
-        newGrid[y][x] = surviveRule.includes(neighbors) ? 1 : 0
-      } else {
-        newGrid[y][x] = birthRule.includes(neighbors) ? 1 : 0
-      }
-    }
+  const next = {
+    firstStep: base.firstStep,
+    rho: add(base.rho, metrics.rho),
+    groovy: add(base.groovy, metrics.groovyDensity),
+    groovy2: add(base.groovy2, metrics.groovy2Density),
+    complexity: add(base.complexity, complexity)
+  }
+  if (next.rho.length <= MAX_2D_FRAMES) return next
+  const drop = next.rho.length - MAX_2D_FRAMES
+  return {
+    firstStep: next.firstStep + drop,
+    rho: next.rho.slice(drop),
+    groovy: next.groovy.slice(drop),
+    groovy2: next.groovy2.slice(drop),
+    complexity: next.complexity.slice(drop)
   }
-  return newGrid
-}
-
-function derivative2D(grid, birthRule, surviveRule) {
-  const next = evolve2D(grid, birthRule, surviveRule)
-  return grid.map((row, y) => row.map((v, x) => v ^ next[y][x]))
 }
 
-function groovyCommutator2D(grid, birthRule, surviveRule) {
-  const Ds = derivative2D(grid, birthRule, surviveRule)
-  const Es = evolve2D(grid, birthRule, surviveRule)
+export default function App() {
+  // An experiment in the URL hash seeds every control and is re-run on load
+  const [restored] = useState(() => decodeExperiment(window.location.hash))
+  const start = restored || DEFAULT_EXPERIMENT
   
-  const D_Es = derivative2D(Es, birthRule, surviveRule)
-  const E_Ds = evolve2D(Ds, birthRule, surviveRule)
+  const [mode, setMode] = useState(start.mode)
+  const [rule, setRule] = useState(start.rule)
+  const [width, setWidth] = useState(start.width)
+  const [steps, setSteps] = useState(start.steps)
+  const [running, setRunning] = useState(false)
+  const [progress, setProgress] = useState(null) // fraction of the 1D run done, null when idle
+  const [runError, setRunError] = useState(null) // why the worker stopped the last 1D run
+  const [linkCopied, setLinkCopied] = useState(false)
   
-  return D_Es.map((row, y) => row.map((v, x) => v ^ E_Ds[y][x]))
-}
-
-function density2D(grid) {
-  let sum = 0, count = 0
-  for (const row of grid) {
-    for (const v of row) {
-      sum += v
-      count++
-    }
-  }
-  return sum / count
-}
-
-// =============================================================================
-// VISUALIZATION
-// =============================================================================
-
-function drawCA1D(canvas, history, colorFn) {
-  const ctx = canvas.getContext('2d')
-  const h = history.length
-  const w = history[0]?.length || 1
-  
-  canvas.width = w
-  canvas.height = h
-  
-  const imageData = ctx.createImageData(w, h)
-  
-  for (let y = 0; y < h; y++) {
-    for (let x = 0; x < w; x++) {
-      const idx = (y * w + x) * 4
-      const [r, g, b] = colorFn(history[y][x])
-      imageData.data[idx] = r
-      imageData.data[idx + 1] = g
-      imageData.data[idx + 2] = b
-      imageData.data[idx + 3] = 255
-    }
-  }
+  // Reproducibility: every random initial state comes from this seed
+  const [seed, setSeed] = useState(start.seed)
+  const [init, setInit] = useState(start.init) // how the last 1D run was initialised
+  const [density, setDensity] = useState(start.density)
+  const [density2D, setDensity2D] = useState(start.density2D)
   
-  ctx.putImageData(imageData, 0, 0)
-}
-
-function draw2D(canvas, grid, colorFn) {
-  const ctx = canvas.getContext('2d')
-  const h = grid.length
-  const w = grid[0]?.length || 1
-  
-  canvas.width = w
-  canvas.height = h
-  
-  const imageData = ctx.createImageData(w, h)
-  
-  for (let y = 0; y < h; y++) {
-    for (let x = 0; x < w; x++) {
-      const idx = (y * w + x) * 4
-      const [r, g, b] = colorFn(grid[y][x])
-      imageData.data[idx] = r
-      imageData.data[idx + 1] = g
-      imageData.data[idx + 2] = b
-      imageData.data[idx + 3] = 255
-    }
-  }
+  // Custom 1D rows: a background with a motif stamped at each position
+  const [rowBackground, setRowBackground] = useState(start.rowBackground)
+  const [rowUnit, setRowUnit] = useState(start.rowUnit)
+  const [rowMotif, setRowMotif] = useState(start.rowMotif)
+  const [rowPositions, setRowPositions] = useState(start.rowPositions) // text, e.g. "40, 120"
   
-  ctx.putImageData(imageData, 0, 0)
-}
-
-// Color schemes
-const stateColor = v => v ? [255, 255, 255] : [10, 10, 15]
-const derivColor = v => v ? [255, 107, 107] : [10, 10, 15]
-const groovyColor = v => v ? [0, 212, 170] : [10, 10, 15]
-const groovy2Color = v => v ? [147, 112, 219] : [10, 10, 15] // purple for G²
-
-// =============================================================================
-// APP
-// =============================================================================
-
-export default function App() {
-  const [mode, setMode] = useState('1d')
-  const [rule, setRule] = useState(110)
-  const [width, setWidth] = useState(200)
-  const [steps, setSteps] = useState(150)
-  const [running, setRunning] = useState(false)
+  // 2D painting
+  const [brush, setBrush] = useState(1) // value painted: 1 draws, 0 erases
+  const [brushSize, setBrushSize] = useState(1)
+  const strokeRef = useRef(null) // last cell of the drag in progress
+  
+  // What cells see past the edge of the lattice
+  const [boundary, setBoundary] = useState(start.boundary)
+  const [boundary2D, setBoundary2D] = useState(start.boundary2D)
   
   // Aware CA settings
-  const [awareMode, setAwareMode] = useState(false)
-  const [memoryBehavior, setMemoryBehavior] = useState('ignore')
-  const [awareRule, setAwareRule] = useState(null) // computed from rule + behavior
+  const [awareMode, setAwareMode] = useState(start.aware)
+  const [memoryBehavior, setMemoryBehavior] = useState(start.memoryBehavior)
+  const [awareCommutator, setAwareCommutator] = useState(start.awareCommutator) // 'frozen' | 'paired'
+  const [customAwareRule, setCustomAwareRule] = useState(start.awareRule) // 1D only; null = rule + behavior
+  const awareRule = useMemo(
+    () => customAwareRule ?? standardToAwareRule(rule, memoryBehavior),
+    [customAwareRule, rule, memoryBehavior]
+  )
+  
+  // k-colour / radius-r rules (ruleFamily 'elementary' uses `rule` above)
+  const [ruleFamily, setRuleFamily] = useState(start.ruleFamily)
+  const [statesK, setStatesK] = useState(start.k)
+  const [radius, setRadius] = useState(start.radius)
+  const [ruleCode, setRuleCode] = useState(start.code)
+  const [runK, setRunK] = useState(2) // colours of the run on screen
+  const [update, setUpdate] = useState(start.update) // stochastic update scheme, 1D and 2D
+  const [updateSweep, setUpdateSweep] = useState(null) // the α × ε sweep on screen (see UpdateSweep)
+  const [updateSweepSteps, setUpdateSweepSteps] = useState(100)
   
   // 1D state
   const [history, setHistory] = useState([])
@@ -291,29 +181,112 @@ export default function App() {
   const [groovyHistory, setGroovyHistory] = useState([])
   const [groovy2History, setGroovy2History] = useState([])
   const [metrics, setMetrics] = useState({ rho: 0, groovyDensity: 0, groovy2Density: 0 })
+  const [series1D, setSeries1D] = useState(EMPTY_SERIES)
+  const [complexity1D, setComplexity1D] = useState([]) // per-step S, D, G profiles
+  const [maxBlock, setMaxBlock] = useState(4) // block entropies H1..H{maxBlock}
+  const [order, setOrder] = useState(start.order) // commutator tower G¹ … Gⁿ
+  const [tower1D, setTower1D] = useState(EMPTY_TOWER) // G³ … Gⁿ rows (or null), per-step densities and fates
+  const [cycle1D, setCycle1D] = useState(null) // { transient, period } once the run repeats a state
+  const [basinWidth, setBasinWidth] = useState(10)
+  const [basins, setBasins] = useState(null) // the worker's basins message
+  const [basinsBusy, setBasinsBusy] = useState(false)
+  const [runOptions1D, setRunOptions1D] = useState(null) // the rule options of the run on screen
+  const [view1D, setView1D] = useState(DEFAULT_VIEW) // shared zoom and pan of the 1D panels
+  const [hover1D, setHover1D] = useState(null) // { x: cell, y: step } being inspected
   
   // 2D state
   const [grid, setGrid] = useState(null)
-  const [grid2DSize, setGrid2DSize] = useState(100)
-  const [birthRule, setBirthRule] = useState([3])
-  const [surviveRule, setSurviveRule] = useState([2, 3])
+  const [derivGrid, setDerivGrid] = useState(null)
+  const [groovyGrid, setGroovyGrid] = useState(null)
+  const [groovy2Grid, setGroovy2Grid] = useState(null)
+  const [prevDeriv2D, setPrevDeriv2D] = useState(null) // the D that led to grid, for aware rules
+  const [t2D, setT2D] = useState(0) // steps since the grid was loaded; stochastic steps draw for it
+  const [view2D, setView2D] = useState(DEFAULT_VIEW)
+  const [hover2D, setHover2D] = useState(null)
+  const [series2D, setSeries2D] = useState(EMPTY_SERIES_2D) // the last MAX_2D_FRAMES frames
+  const [grid2DSize, setGrid2DSize] = useState(start.gridSize)
+  const [gifProgress, setGifProgress] = useState(null) // 0..1 while the worker records a GIF
+  const [gifError, setGifError] = useState(null)
+  const [birthRule, setBirthRule] = useState(start.birthRule)
+  const [surviveRule, setSurviveRule] = useState(start.surviveRule)
+  const [neighbourhood2D, setNeighbourhood2D] = useState(start.neighbourhood)
+  const [states2D, setStates2D] = useState(start.states) // > 2 for Generations rules
+  const [ruleText2D, setRuleText2D] = useState(() =>
+    formatLifeRule(start.birthRule, start.surviveRule, start.neighbourhood, start.states))
   
   // Refs for canvases
   const stateCanvas = useRef(null)
   const derivCanvas = useRef(null)
   const groovyCanvas = useRef(null)
   const groovy2Canvas = useRef(null)
+  const towerCanvases = useRef([]) // G³ … Gⁿ
   const state2DCanvas = useRef(null)
+  const deriv2DCanvas = useRef(null)
   const groovy2DCanvas = useRef(null)
+  const groovy22DCanvas = useRef(null)
+  const overlayCanvas = useRef(null) // D, G, S as red, green, blue
+  const overlay2DCanvas = useRef(null)
+  const [showOverlay, setShowOverlay] = useState(false)
   
-  // Initialize random state
-  const initRandom1D = useCallback(() => {
-    const initial = new Uint8Array(width)
-    for (let i = 0; i < width; i++) {
-      initial[i] = Math.random() > 0.5 ? 1 : 0
+  const multistate = useMemo(() => ruleFamily === 'elementary' ? null : {
+    k: statesK,
+    radius,
+    code: ruleCode,
+    totalistic: ruleFamily === 'totalistic'
+  }, [ruleFamily, statesK, radius, ruleCode])
+  
+  // Rule part of 1D download names, and the rule as the info line and poster name it
+  const fileRule1D = multistate ? `k${statesK}-r${radius}-${ruleCode}` : rule
+  const lifeRuleName = formatLifeRule(birthRule, surviveRule, neighbourhood2D, states2D)
+  const fileRule2D = lifeRuleName.replace(/\//g, '').replace(/[,.]+/g, '-')
+  const ruleLabel1D = multistate
+    ? `k=${statesK}, r=${radius} ${ruleFamily === 'totalistic' ? 'totalistic' : 'Wolfram'} code ${ruleCode}`
+    : awareMode && customAwareRule !== null
+      ? `Aware rule ${customAwareRule} (custom)`
+      : `Rule ${rule}${awareMode ? ` → Aware (${memoryBehavior})` : ''}`
+  
+  // Aware rules and the infinite lattice only update synchronously
+  const updateBlocked1D = awareMode && !multistate
+    ? 'Aware rules only update synchronously'
+    : boundary === 'infinite' ? 'Stochastic updates need a finite lattice' : null
+  const updateBlocked2D = awareMode ? 'Aware rules only update synchronously' : null
+  const update1D = updateBlocked1D ? null : update
+  const update2D = updateBlocked2D ? null : update
+  
+  const ruleError = useMemo(() => {
+    if (!multistate) return null
+    try {
+      compileRuleK(multistate)
+      return null
+    } catch (e) {
+      return e.message
     }
-    return initial
-  }, [width])
+  }, [multistate])
+  
+  // The rule text stays as typed; only a valid rule replaces the one in play
+  const lifeRuleError = useMemo(() => {
+    try {
+      parseRulestring(ruleText2D)
+      return null
+    } catch (e) {
+      return e.message
+    }
+  }, [ruleText2D])
+  
+  const editLifeRule = useCallback((text) => {
+    setRuleText2D(text)
+    const parsed = parseLifeRuleString(text)
+    if (!parsed) return
+    setBirthRule(parsed.birthRule)
+    setSurviveRule(parsed.surviveRule)
+    setNeighbourhood2D(parsed.neighbourhood)
+    setStates2D(parsed.states)
+  }, [])
+  
+  // Initialize random state (same seed and density → same state, here and in the CLI)
+  const initRandom1D = useCallback((s) => {
+    return randomState(width, mulberry32(s), density, multistate ? multistate.k : 2)
+  }, [width, density, multistate])
   
   const initSingle1D = useCallback(() => {
     const initial = new Uint8Array(width)
@@ -321,123 +294,428 @@ export default function App() {
     return initial
   }, [width])
   
-  const initRandom2D = useCallback(() => {
-    const g = []
-    for (let y = 0; y < grid2DSize; y++) {
-      const row = new Uint8Array(grid2DSize)
-      for (let x = 0; x < grid2DSize; x++) {
-        row[x] = Math.random() > 0.7 ? 1 : 0
+  const rowSpec = useMemo(() => ({
+    background: rowBackground,
+    unit: rowUnit,
+    motif: rowMotif,
+    positions: parsePositions(rowPositions),
+    k: multistate ? multistate.k : 2
+  }), [rowBackground, rowUnit, rowMotif, rowPositions, multistate])
+  
+  const initCustom1D = useCallback((s) => {
+    return composeRow(width, rowSpec, () => initRandom1D(s))
+  }, [width, rowSpec, initRandom1D])
+  
+  const rowError = useMemo(() => {
+    try {
+      initCustom1D(0)
+      return null
+    } catch (e) {
+      return e.message
+    }
+  }, [initCustom1D])
+  
+  const initRandom2D = useCallback((s) => {
+    const cells = randomState(grid2DSize * grid2DSize, mulberry32(s), density2D)
+    return createGrid(grid2DSize, grid2DSize, cells)
+  }, [grid2DSize, density2D])
+  
+  // Simulation runs in a worker; 1D rows stream back in chunks, 2D sends frames
+  const jobRef = useRef(0)
+  const basinsJobRef = useRef(0)
+  const gifJobRef = useRef(0)
+  const updateSweepJobRef = useRef(0)
+  const post = useSimWorker(msg => {
+    if (msg.type === 'frame2d') {
+      setT2D(msg.t)
+      setGrid(msg.grid)
+      setPrevDeriv2D(msg.prevDeriv)
+      setDerivGrid(msg.deriv)
+      setGroovyGrid(msg.groovy)
+      setGroovy2Grid(msg.groovy2)
+      setMetrics(msg.metrics)
+      setSeries2D(s => appendFrame(s, msg.t, msg.metrics, msg.complexity))
+      return
+    }
+    if (msg.type === 'basins') {
+      if (msg.id !== basinsJobRef.current) return
+      setBasins(msg)
+      setBasinsBusy(false)
+      return
+    }
+    if (msg.type === 'gif2d') {
+      if (msg.id !== gifJobRef.current) return
+      if (msg.error) {
+        setGifError(msg.error)
+        setGifProgress(null)
+      } else if (msg.bytes) {
+        downloadBlob(gifName.current, new Blob([msg.bytes], { type: 'image/gif' }))
+        setGifProgress(null)
+      } else {
+        setGifProgress(msg.done / msg.total)
       }
-      g.push(row)
+      return
     }
-    return g
-  }, [grid2DSize])
+    if (msg.type === 'updateSweep') {
+      if (msg.id !== updateSweepJobRef.current) return
+      setUpdateSweep(s => msg.error
+        ? { update: s.update, error: msg.error }
+        : { ...s, results: s.results.concat(msg.results), done: msg.done, total: msg.total })
+      return
+    }
+    if (msg.id !== jobRef.current) return // stale run
+    if (msg.type === 'rows') {
+      setHistory(h => h.concat(msg.rows.history))
+      setDerivHistory(h => h.concat(msg.rows.derivHistory))
+      setGroovyHistory(h => h.concat(msg.rows.groovyHistory))
+      setGroovy2History(h => h.concat(msg.rows.groovy2History))
+      setSeries1D(s => ({
+        rho: s.rho.concat(msg.series.rho),
+        groovy: s.groovy.concat(msg.series.groovy),
+        groovy2: s.groovy2.concat(msg.series.groovy2)
+      }))
+      setComplexity1D(c => c.concat(msg.complexity))
+      setTower1D(t => ({
+        histories: msg.tower.histories && msg.tower.histories.map((rows, k) => (t.histories[k] || []).concat(rows)),
+        densities: t.densities.concat(msg.tower.densities),
+        fates: t.fates.concat(msg.tower.fates)
+      }))
+      setCycle1D(msg.cycle)
+      setProgress(msg.done / msg.total)
+    } else if (msg.type === 'done1d') {
+      if (msg.error) setRunError(msg.error)
+      else setMetrics(msg.metrics)
+      setProgress(null)
+    }
+  })
   
-  // Run 1D CA (standard or aware)
+  // Run 1D CA (standard, aware or k-colour)
   const run1D = useCallback((initial) => {
-    const hist = [initial]
-    const dHist = []
-    const gHist = []
-    const g2Hist = []
-    
-    let state = initial
-    let prevDeriv = null
-    let totalRho = 0
-    let totalGroovy = 0
-    let totalGroovy2 = 0
-    
-    if (awareMode) {
-      // Aware CA: cells see their S' from previous step
-      const rule16 = standardToAwareRule(rule, memoryBehavior)
-      setAwareRule(rule16)
-      const awareDict = awareRuleToDict(rule16)
-      
-      for (let i = 0; i < steps; i++) {
-        const { next, deriv } = evolveAware(state, prevDeriv, awareDict)
-        const G = groovyCommutatorAware(state, prevDeriv, awareDict)
-        // For aware mode, G² uses standard rule on the G output
-        const ruleDict = ruleToDict(rule)
-        const G2 = groovyCommutator(G, ruleDict)
-        
-        dHist.push(deriv)
-        gHist.push(G)
-        g2Hist.push(G2)
-        
-        totalRho += density(deriv)
-        totalGroovy += density(G)
-        totalGroovy2 += density(G2)
-        
-        prevDeriv = deriv
-        state = next
-        hist.push(state)
-      }
-    } else {
-      // Standard CA
-      const ruleDict = ruleToDict(rule)
-      
-      for (let i = 0; i < steps; i++) {
-        const D = derivative(state, ruleDict)
-        const G = groovyCommutator(state, ruleDict)
-        const G2 = groovyCommutator2(state, ruleDict)
-        
-        dHist.push(D)
-        gHist.push(G)
-        g2Hist.push(G2)
-        
-        totalRho += density(D)
-        totalGroovy += density(G)
-        totalGroovy2 += density(G2)
-        
-        state = evolve(state, ruleDict)
-        hist.push(state)
-      }
+    if (ruleError) return
+    jobRef.current++
+    setHistory([])
+    setDerivHistory([])
+    setGroovyHistory([])
+    setGroovy2History([])
+    setSeries1D(EMPTY_SERIES)
+    setComplexity1D([])
+    setTower1D(EMPTY_TOWER)
+    setCycle1D(null)
+    setProgress(0)
+    setRunError(null)
+    setRunK(multistate ? multistate.k : 2)
+    const options = {
+      rule, aware: awareMode && !multistate, awareRule, awareCommutator, multistate, boundary, update: update1D
     }
-    
-    setHistory(hist)
-    setDerivHistory(dHist)
-    setGroovyHistory(gHist)
-    setGroovy2History(g2Hist)
-    setMetrics({
-      rho: totalRho / steps,
-      groovyDensity: totalGroovy / steps,
-      groovy2Density: totalGroovy2 / steps
+    setRunOptions1D(options)
+    post({ type: 'run1d', id: jobRef.current, initial, steps, maxBlock, order, ...options })
+  }, [post, rule, steps, awareMode, awareRule, awareCommutator, multistate, boundary, update1D, maxBlock, order, ruleError])
+  
+  const cancel1D = useCallback(() => {
+    jobRef.current++
+    setProgress(null)
+    post({ type: 'cancel' })
+  }, [post])
+  
+  // Changing a control abandons the run in flight
+  useEffect(() => {
+    cancel1D()
+  }, [cancel1D, rule, width, steps, awareMode, awareRule, awareCommutator, multistate, boundary, update1D, maxBlock, order])
+  
+  // State-transition graphs cover the whole state space, so only small lattices
+  const basinBase = multistate ? multistate.k : awareMode ? 4 : 2
+  const maxBasinWidth = boundary === 'infinite' || ruleError
+    ? 0
+    : Math.floor(Math.log(MAX_BASIN_STATES) / Math.log(basinBase) + 1e-9)
+  
+  const drawBasins = useCallback(() => {
+    basinsJobRef.current++
+    setBasinsBusy(true)
+    post({
+      type: 'basins',
+      id: basinsJobRef.current,
+      width: Math.min(basinWidth, maxBasinWidth),
+      rule,
+      aware: awareMode && !multistate,
+      awareRule,
+      awareCommutator,
+      multistate,
+      boundary
+    })
+  }, [post, basinWidth, maxBasinWidth, rule, awareMode, awareRule, awareCommutator, multistate, boundary])
+  
+  // A graph drawn for other rules or boundaries would be misleading
+  useEffect(() => {
+    basinsJobRef.current++
+    setBasins(null)
+    setBasinsBusy(false)
+  }, [rule, awareMode, awareRule, awareCommutator, multistate, boundary])
+  
+  const groovyByPhase = useMemo(() => splitByAttractor(series1D.groovy, cycle1D), [series1D, cycle1D])
+  
+  const runRandom1D = useCallback((s) => {
+    setSeed(s)
+    setInit('random')
+    run1D(initRandom1D(s))
+  }, [run1D, initRandom1D])
+  
+  const runSingle1D = useCallback(() => {
+    setInit('single')
+    run1D(initSingle1D())
+  }, [run1D, initSingle1D])
+  
+  const runCustom1D = useCallback((s) => {
+    if (rowError) return
+    setSeed(s)
+    setInit('custom')
+    run1D(initCustom1D(s))
+  }, [run1D, initCustom1D, rowError])
+  
+  const load2D = useCallback((grid) => {
+    setRunning(false)
+    post({
+      type: 'load2d',
+      grid,
+      birthRule,
+      surviveRule,
+      neighbourhood: neighbourhood2D,
+      states: states2D,
+      boundary: boundary2D,
+      aware: awareMode,
+      memoryBehavior,
+      awareCommutator,
+      update: update2D,
+      maxBlock
+    })
+  }, [
+    post, birthRule, surviveRule, neighbourhood2D, states2D, boundary2D, awareMode, memoryBehavior, awareCommutator,
+    update2D, maxBlock
+  ])
+  
+  const reset2D = useCallback((s) => {
+    setSeed(s)
+    load2D(initRandom2D(s))
+  }, [load2D, initRandom2D])
+  
+  // A pattern file's rule replaces the rule of the next load
+  const loadPatternRule = useCallback((rule) => {
+    setBirthRule(rule.birthRule)
+    setSurviveRule(rule.surviveRule)
+    setNeighbourhood2D(rule.neighbourhood)
+    setStates2D(rule.states)
+    setRuleText2D(formatRulestring(rule))
+  }, [])
+  
+  const clear2D = useCallback(() => {
+    load2D(createGrid(grid2DSize, grid2DSize))
+  }, [load2D, grid2DSize])
+  
+  // The worker steps a copy of the run from the frame on screen and sends back the file
+  const gifName = useRef('')
+  const recordGIF = useCallback(({ frames, scale, delay }) => {
+    gifJobRef.current++
+    gifName.current = `groovy-${fileRule2D}-${frames}f-x${scale}.gif`
+    setGifProgress(0)
+    setGifError(null)
+    post({ type: 'gif2d', id: gifJobRef.current, frames, scale, delay })
+  }, [post, fileRule2D])
+  
+  // Paint on the 2D state canvas; the worker applies it to the frame on screen
+  const paintAt = useCallback((e) => {
+    if (!grid) return
+    const rect = e.currentTarget.getBoundingClientRect()
+    const cell = {
+      x: Math.floor((e.clientX - rect.left) / rect.width * grid.width),
+      y: Math.floor((e.clientY - rect.top) / rect.height * grid.height)
+    }
+    const from = strokeRef.current || cell
+    strokeRef.current = cell
+    post({ type: 'paint2d', points: strokeCells(from, cell, brushSize), value: brush })
+  }, [post, grid, brush, brushSize])
+  
+  // Shift-drag and the middle button pan instead (see PanZoom)
+  const paintHandlers = {
+    onPointerDown: e => {
+      if (e.shiftKey || e.button !== 0) return
+      e.currentTarget.setPointerCapture(e.pointerId)
+      strokeRef.current = null
+      paintAt(e)
+    },
+    onPointerMove: e => {
+      if (strokeRef.current) paintAt(e)
+    },
+    onPointerUp: () => {
+      strokeRef.current = null
+    }
+  }
+  
+  // Rerun the 1D run on screen, or step the 2D frame on screen, under each
+  // scheme of an α × ε sweep around the one in the controls
+  const runUpdateSweep = useCallback(() => {
+    updateSweepJobRef.current++
+    setUpdateSweep({ update, results: [], done: 0, total: sweepUpdates(update).length })
+    post({
+      type: 'updateSweep',
+      id: updateSweepJobRef.current,
+      update,
+      steps: updateSweepSteps,
+      run: mode === '1d' ? { initial: history[0], ...runOptions1D } : null
+    })
+  }, [post, update, updateSweepSteps, mode, history, runOptions1D])
+  
+  // A sweep belongs to the tab it was run from
+  useEffect(() => {
+    updateSweepJobRef.current++
+    setUpdateSweep(null)
+  }, [mode])
+  
+  // Rebuild the run described by the URL once, on load (restored never changes)
+  useEffect(() => {
+    if (!restored) return
+    if (restored.mode === '1d') {
+      if (restored.init === 'single') runSingle1D()
+      else if (restored.init === 'custom') runCustom1D(restored.seed)
+      else runRandom1D(restored.seed)
+    } else if (restored.mode === '2d') {
+      reset2D(restored.seed)
+    }
+  }, [])
+  
+  // Keep the hash in step with the controls, without adding history entries
+  useEffect(() => {
+    const hash = encodeExperiment({
+      mode, rule, width, steps, init, seed, density,
+      rowBackground, rowUnit, rowMotif, rowPositions,
+      aware: awareMode, memoryBehavior, awareRule: customAwareRule, awareCommutator,
+      ruleFamily, k: statesK, radius, code: ruleCode, boundary, order,
+      birthRule, surviveRule, neighbourhood: neighbourhood2D, states: states2D, gridSize: grid2DSize, density2D, boundary2D,
+      update
+    })
+    window.history.replaceState(null, '', hash)
+  }, [
+    mode, rule, width, steps, init, seed, density, rowBackground, rowUnit, rowMotif, rowPositions,
+    awareMode, memoryBehavior, customAwareRule, awareCommutator, ruleFamily, statesK, radius, ruleCode, boundary, order, birthRule, surviveRule, neighbourhood2D, states2D, grid2DSize, density2D, boundary2D,
+    update
+  ])
+  
+  const copyLink = useCallback(() => {
+    navigator.clipboard.writeText(window.location.href).then(() => {
+      setLinkCopied(true)
+      setTimeout(() => setLinkCopied(false), 1500)
     })
-  }, [rule, steps, awareMode, memoryBehavior])
+  }, [])
   
   // Draw 1D
+  const colors1D = useMemo(() => ({
+    state: stateColorK(runK),
+    deriv: fieldColorK(derivColor, runK),
+    groovy: fieldColorK(groovyColor, runK),
+    groovy2: fieldColorK(groovy2Color, runK),
+    tower: k => fieldColorK(towerColor(k), runK)
+  }), [runK])
+  // None when the run was too large to keep them (see planHistories)
+  const towerRows1D = tower1D.histories ?? []
+  
   useEffect(() => {
     if (mode === '1d' && history.length > 0) {
-      drawCA1D(stateCanvas.current, history, stateColor)
-      drawCA1D(derivCanvas.current, derivHistory, derivColor)
-      drawCA1D(groovyCanvas.current, groovyHistory, groovyColor)
-      drawCA1D(groovy2Canvas.current, groovy2History, groovy2Color)
+      // Row t of every history is measured at S(t), so one row marks where the attractor starts
+      const mark = cycle1D ? cycle1D.transient : null
+      drawCA1D(stateCanvas.current, history, colors1D.state, mark)
+      drawCA1D(derivCanvas.current, derivHistory, colors1D.deriv, mark)
+      drawCA1D(groovyCanvas.current, groovyHistory, colors1D.groovy, mark)
+      drawCA1D(groovy2Canvas.current, groovy2History, colors1D.groovy2, mark)
+      towerRows1D.forEach((rows, i) => {
+        const canvas = towerCanvases.current[i]
+        if (canvas && rows.length) drawCA1D(canvas, rows, colors1D.tower(i + 3), mark)
+      })
+      if (showOverlay) drawOverlayCA1D(overlayCanvas.current, [derivHistory, groovyHistory, history], runK)
     }
-  }, [mode, history, derivHistory, groovyHistory, groovy2History])
+  }, [mode, history, derivHistory, groovyHistory, groovy2History, tower1D, cycle1D, colors1D, showOverlay, runK])
+  
+  // Zoom, pan and the cell under the pointer; the view is clamped to the panels on screen
+  const size1D = { width: history[0]?.length ?? 0, height: history.length }
+  const sizeFields1D = { width: size1D.width, height: derivHistory.length } // D, G, …: one row fewer
+  const shownView1D = clampView(view1D, size1D)
+  const size2D = { width: grid?.width ?? 0, height: grid?.height ?? 0 }
+  const shownView2D = clampView(view2D, size2D)
+  
+  const inspection1D = useMemo(() => {
+    const row = hover1D && history[hover1D.y]
+    if (!row || !runOptions1D) return null
+    return inspectCell1D(row, hover1D.x, hover1D.y ? derivHistory[hover1D.y - 1] : null, { ...runOptions1D, t: hover1D.y })
+  }, [hover1D, history, derivHistory, runOptions1D])
+  
+  const inspection2D = useMemo(() => {
+    if (!hover2D || !grid || hover2D.x >= grid.width || hover2D.y >= grid.height) return null
+    return inspectCell2D(grid, hover2D.x, hover2D.y, prevDeriv2D, {
+      birthRule, surviveRule, neighbourhood: neighbourhood2D, states: states2D, boundary: boundary2D, aware: awareMode,
+      memoryBehavior, awareCommutator, update: update2D, t: t2D
+    })
+  }, [
+    hover2D, grid, prevDeriv2D, birthRule, surviveRule, neighbourhood2D, states2D, boundary2D, awareMode, memoryBehavior,
+    awareCommutator, update2D, t2D
+  ])
+  
+  const panProps1D = { view: shownView1D, onView: setView1D, marker: hover1D, onHover: setHover1D }
+  const panProps2D = { view: shownView2D, onView: setView2D, marker: hover2D, onHover: setHover2D, size: size2D }
+  
+  // Generations states get their own palette; D, G and G² are shaded mod k
+  const colors2D = useMemo(() => ({
+    state: generationsColor(states2D),
+    deriv: fieldColorK(derivColor, states2D),
+    groovy: fieldColorK(groovyColor, states2D),
+    groovy2: fieldColorK(groovy2Color, states2D)
+  }), [states2D])
   
   // Draw 2D
   useEffect(() => {
-    if (mode === '2d' && grid) {
-      draw2D(state2DCanvas.current, grid, stateColor)
-      const G = groovyCommutator2D(grid, birthRule, surviveRule)
-      draw2D(groovy2DCanvas.current, G, groovyColor)
-      
-      setMetrics({
-        rho: density2D(derivative2D(grid, birthRule, surviveRule)),
-        groovyDensity: density2D(G)
-      })
+    if (mode === '2d' && grid && groovyGrid) {
+      draw2D(state2DCanvas.current, grid, colors2D.state)
+      draw2D(deriv2DCanvas.current, derivGrid, colors2D.deriv)
+      draw2D(groovy2DCanvas.current, groovyGrid, colors2D.groovy)
+      draw2D(groovy22DCanvas.current, groovy2Grid, colors2D.groovy2)
+      if (showOverlay) drawOverlay2D(overlay2DCanvas.current, [derivGrid, groovyGrid, grid], states2D)
     }
-  }, [mode, grid, birthRule, surviveRule])
+  }, [mode, grid, derivGrid, groovyGrid, groovy2Grid, showOverlay, colors2D, states2D])
+  
+  // The worker keeps its own copy of the rule, neighbourhood, boundary, aware and complexity settings
+  useEffect(() => {
+    post({
+      type: 'rules2d',
+      birthRule,
+      surviveRule,
+      neighbourhood: neighbourhood2D,
+      states: states2D,
+      boundary: boundary2D,
+      aware: awareMode,
+      memoryBehavior,
+      awareCommutator,
+      update: update2D,
+      maxBlock
+    })
+  }, [
+    post, birthRule, surviveRule, neighbourhood2D, states2D, boundary2D, awareMode, memoryBehavior, awareCommutator,
+    update2D, maxBlock
+  ])
+  
+  // Langton's λ of the rule in play, aware or not
+  const lambda1D = useMemo(() => {
+    if (multistate) return ruleError ? 0 : langtonLambda(compileRuleK(multistate).table)
+    if (awareMode) return langtonLambda(awareRuleToTable(awareRule))
+    return langtonLambda(ruleToTable(rule))
+  }, [multistate, ruleError, awareMode, awareRule, rule])
+  
+  const lambda2D = useMemo(() => lifeLambda(awareMode
+    ? awareLifeRuleTable(birthRule, surviveRule, memoryBehavior, neighbourhood2D)
+    : lifeRuleTable(birthRule, surviveRule, neighbourhood2D),
+  neighbourhood2D), [awareMode, birthRule, surviveRule, memoryBehavior, neighbourhood2D])
   
   // Animation loop for 2D
   useEffect(() => {
-    if (!running || mode !== '2d' || !grid) return
-    
-    const interval = setInterval(() => {
-      setGrid(g => evolve2D(g, birthRule, surviveRule))
-    }, 100)
-    
-    return () => clearInterval(interval)
-  }, [running, mode, grid, birthRule, surviveRule])
+    if (!running || mode !== '2d') return
+    post({ type: 'play2d', interval: 100 })
+    return () => post({ type: 'pause2d' })
+  }, [post, running, mode])
   
   return (
     <div>
@@ -456,27 +734,114 @@ export default function App() {
         >
           2D Cellular Automata
         </button>
+        <button 
+          className={`tab ${mode === 'sweep' ? 'active' : ''}`}
+          onClick={() => setMode('sweep')}
+        >
+          Rule Sweep
+        </button>
+        <button 
+          className={`tab ${mode === 'spectrum' ? 'active' : ''}`}
+          onClick={() => setMode('spectrum')}
+        >
+          Exhaustive Spectrum
+        </button>
+        <button 
+          className={`tab ${mode === 'compare' ? 'active' : ''}`}
+          onClick={() => setMode('compare')}
+        >
+          Compare
+        </button>
+        <button 
+          className={`tab ${mode === 'audio' ? 'active' : ''}`}
+          onClick={() => setMode('audio')}
+        >
+          Audio
+        </button>
+        <button 
+          className={`tab ${mode === 'bench' ? 'active' : ''}`}
+          onClick={() => setMode('bench')}
+        >
+          Benchmark
+        </button>
+        <button className="secondary" onClick={copyLink} style={{marginLeft: 'auto'}}>
+          {linkCopied ? 'Copied!' : '🔗 Copy Link'}
+        </button>
       </div>
       
       {mode === '1d' && (
         <>
           <div className="controls">
             <div className="control-group">
-              <label>Rule (0-255)</label>
-              <input 
-                type="number" 
-                min="0" 
-                max="255" 
-                value={rule} 
-                onChange={e => setRule(parseInt(e.target.value) || 0)}
-              />
+              <label>Rule Family</label>
+              <select value={ruleFamily} onChange={e => setRuleFamily(e.target.value)}>
+                <option value="elementary">Elementary (k=2, r=1)</option>
+                <option value="general">Wolfram code (k, r)</option>
+                <option value="totalistic">Totalistic code (k, r)</option>
+              </select>
             </div>
+            {ruleFamily === 'elementary' ? (
+              <div className="control-group">
+                <label>Rule (0-255)</label>
+                <input 
+                  type="number" 
+                  min="0" 
+                  max="255" 
+                  value={rule} 
+                  onChange={e => setRule(parseInt(e.target.value) || 0)}
+                  disabled={awareMode && customAwareRule !== null}
+                  title={awareMode && customAwareRule !== null ? 'A custom aware rule replaces the elementary rule' : undefined}
+                />
+              </div>
+            ) : (
+              <>
+                <div className="control-group">
+                  <label>States k</label>
+                  <input 
+                    type="number" 
+                    min="2" 
+                    max={MAX_STATES} 
+                    value={statesK} 
+                    onChange={e => setStatesK(parseInt(e.target.value) || 2)}
+                    style={{width: '70px'}}
+                  />
+                </div>
+                <div className="control-group">
+                  <label>Radius r</label>
+                  <input 
+                    type="number" 
+                    min="1" 
+                    max={MAX_RADIUS} 
+                    value={radius} 
+                    onChange={e => setRadius(parseInt(e.target.value) || 1)}
+                    style={{width: '70px'}}
+                  />
+                </div>
+                <div className="control-group">
+                  <label>Code</label>
+                  <input 
+                    type="text" 
+                    value={ruleCode} 
+                    onChange={e => setRuleCode(e.target.value.trim())}
+                    style={{width: '200px'}}
+                  />
+                </div>
+                <button 
+                  className="secondary" 
+                  onClick={() => setRuleCode(randomRuleCode(multistate, mulberry32(randomSeed())))}
+                  disabled={statesK < 2 || statesK > MAX_STATES || radius < 1 || radius > MAX_RADIUS ||
+                    statesK ** (2 * radius + 1) > MAX_TABLE_SIZE}
+                >
+                  🎲 Code
+                </button>
+              </>
+            )}
             <div className="control-group">
               <label>Width</label>
               <input 
                 type="number" 
                 min="50" 
-                max="500" 
+                max="1000" 
                 value={width} 
                 onChange={e => setWidth(parseInt(e.target.value) || 200)}
               />
@@ -486,19 +851,127 @@ export default function App() {
               <input 
                 type="number" 
                 min="50" 
-                max="500" 
+                max="5000" 
                 value={steps} 
                 onChange={e => setSteps(parseInt(e.target.value) || 150)}
               />
             </div>
-            <button onClick={() => run1D(initRandom1D())}>
+            <div className="control-group">
+              <label>Boundary</label>
+              <select value={boundary} onChange={e => setBoundary(e.target.value)}>
+                <option value="periodic">Periodic (ring)</option>
+                <option value="fixed0">Fixed 0</option>
+                <option value="fixed1">Fixed 1</option>
+                <option value="reflective">Reflective</option>
+                <option value="infinite">Infinite (grows 2r cells/step)</option>
+              </select>
+            </div>
+            <div className="control-group">
+              <label>Tower Order n</label>
+              <input 
+                type="number" 
+                min="2" 
+                max={MAX_ORDER} 
+                value={order} 
+                onChange={e => setOrder(Math.min(MAX_ORDER, Math.max(2, parseInt(e.target.value) || 2)))}
+                style={{width: '70px'}}
+              />
+            </div>
+            <div className="control-group">
+              <label>Seed</label>
+              <input 
+                type="number" 
+                min="0" 
+                value={seed} 
+                onChange={e => setSeed(parseInt(e.target.value) || 0)}
+              />
+            </div>
+            <div className="control-group">
+              <label>Density {density.toFixed(2)}</label>
+              <input 
+                type="range" 
+                min="0" 
+                max="1" 
+                step="0.01" 
+                value={density} 
+                onChange={e => setDensity(parseFloat(e.target.value))}
+              />
+            </div>
+            <button onClick={() => runRandom1D(randomSeed())}>
               Random Init
             </button>
-            <button className="secondary" onClick={() => run1D(initSingle1D())}>
+            <button className="secondary" onClick={() => runRandom1D(seed)}>
+              Replay Seed
+            </button>
+            <button className="secondary" onClick={runSingle1D}>
               Single Cell
             </button>
+            {progress !== null && (
+              <>
+                <span style={{fontSize: '0.8rem', opacity: 0.7}}>
+                  Running… {Math.round(progress * 100)}%
+                </span>
+                <button className="secondary" onClick={cancel1D}>
+                  Cancel
+                </button>
+              </>
+            )}
           </div>
           
+          {ruleError && <div className="error">{ruleError}</div>}
+          {runError && <div className="error">{runError}</div>}
+          
+          <div className="controls" style={{marginTop: '0.5rem'}}>
+            <div className="control-group">
+              <label>Custom Row Background</label>
+              <select value={rowBackground} onChange={e => setRowBackground(e.target.value)}>
+                <option value="zeros">Zeros</option>
+                <option value="random">Random (seed, density)</option>
+                <option value="tile">Repeating tile</option>
+              </select>
+            </div>
+            {rowBackground === 'tile' && (
+              <div className="control-group">
+                <label>Tile</label>
+                <input 
+                  type="text" 
+                  value={rowUnit} 
+                  onChange={e => setRowUnit(e.target.value.trim())}
+                  style={{width: '140px'}}
+                />
+              </div>
+            )}
+            {rowBackground === 'tile' && (
+              <button className="secondary" onClick={() => setRowUnit(ETHER_110)}>
+                Rule 110 Ether
+              </button>
+            )}
+            <div className="control-group">
+              <label>Motif (cells, e.g. 0110 or .**.)</label>
+              <input 
+                type="text" 
+                value={rowMotif} 
+                onChange={e => setRowMotif(e.target.value.trim())}
+                style={{width: '160px'}}
+              />
+            </div>
+            <div className="control-group">
+              <label>At cells (blank: centre)</label>
+              <input 
+                type="text" 
+                value={rowPositions} 
+                onChange={e => setRowPositions(e.target.value)}
+                style={{width: '100px'}}
+              />
+            </div>
+            <button className="secondary" onClick={() => runCustom1D(seed)} disabled={Boolean(rowError)}>
+              Run Custom Row
+            </button>
+          </div>
+          
+          {rowError && <div className="error">{rowError}</div>}
+          
+          {!multistate && (
           <div className="controls" style={{marginTop: '0.5rem'}}>
             <div className="control-group">
               <label style={{display: 'flex', alignItems: 'center', gap: '0.5rem'}}>
@@ -514,52 +987,216 @@ export default function App() {
               <div className="control-group">
                 <label>Memory Behavior</label>
                 <select 
-                  value={memoryBehavior} 
-                  onChange={e => setMemoryBehavior(e.target.value)}
+                  value={customAwareRule !== null ? 'custom' : memoryBehavior} 
+                  onChange={e => {
+                    // Custom starts from the rule on screen
+                    if (e.target.value === 'custom') {
+                      setCustomAwareRule(awareRule)
+                    } else {
+                      setCustomAwareRule(null)
+                      setMemoryBehavior(e.target.value)
+                    }
+                  }}
                 >
                   <option value="ignore">Ignore (same as standard)</option>
                   <option value="stabilize">Stabilize (if changed, stay put)</option>
                   <option value="invert">Invert (if changed, flip decision)</option>
                   <option value="excite">Excite (if changed, become active)</option>
+                  <option value="custom">Custom 16-bit rule</option>
                 </select>
               </div>
             )}
-            {awareMode && awareRule !== null && (
+            {awareMode && (
               <div className="control-group">
-                <span style={{fontSize: '0.8rem', opacity: 0.7}}>
-                  16-bit rule: {awareRule}
-                </span>
+                <label>Commutator History</label>
+                <select value={awareCommutator} onChange={e => setAwareCommutator(e.target.value)}>
+                  <option value="frozen">Frozen (both paths see last S')</option>
+                  <option value="paired">Paired (S, S') — each path keeps its own</option>
+                </select>
               </div>
             )}
           </div>
+          )}
           
+          {!multistate && awareMode && (
+            <AwareRuleEditor rule16={awareRule} onChange={setCustomAwareRule} />
+          )}
+          
+          <UpdateControls update={update} onChange={setUpdate} disabled={updateBlocked1D} />
+          
+          {multistate ? (
+          <div className="info">
+            <strong>{ruleLabel1D}</strong> — 
+            D, E and G use difference and addition mod k in place of XOR. Try k=2, r=2 totalistic 20 or 52
+            (gliders), k=3, r=1 totalistic 1599 or 1635.
+          </div>
+          ) : (
           <div className="info">
-            <strong>Rule {rule}{awareMode ? ` → Aware (${memoryBehavior})` : ''}</strong> — 
+            <strong>{ruleLabel1D}</strong> — 
             {awareMode ? (
               <>Cells see whether they changed last step. Try different memory behaviors!</>
             ) : (
               <>Known Class IV: 110, 124, 137, 193. Class III (chaotic): 30, 45, 60, 90. Class I/II: 0, 4, 32, 51.</>
             )}
           </div>
+          )}
           
           <div className="canvases">
             <div className="canvas-container">
               <h3>State Evolution S(t)</h3>
-              <canvas ref={stateCanvas} />
+              <PanZoom {...panProps1D} size={size1D}>
+                <canvas ref={stateCanvas} />
+              </PanZoom>
             </div>
             <div className="canvas-container">
               <h3>Derivative D(S) — Change Mask</h3>
-              <canvas ref={derivCanvas} />
+              <PanZoom {...panProps1D} size={sizeFields1D}>
+                <canvas ref={derivCanvas} />
+              </PanZoom>
             </div>
             <div className="canvas-container">
-              <h3>Groovy Commutator G(S) = D(E(S)) ⊕ E(D(S))</h3>
-              <canvas ref={groovyCanvas} />
+              <h3>Groovy Commutator G(S) = D(E(S)) {runK > 2 ? '− E(D(S)) mod k' : '⊕ E(D(S))'}</h3>
+              <PanZoom {...panProps1D} size={sizeFields1D}>
+                <canvas ref={groovyCanvas} />
+              </PanZoom>
             </div>
             <div className="canvas-container">
               <h3>Second-Order G²(S) = G(G(S))</h3>
-              <canvas ref={groovy2Canvas} />
+              <PanZoom {...panProps1D} size={sizeFields1D}>
+                <canvas ref={groovy2Canvas} />
+              </PanZoom>
             </div>
+            {!tower1D.histories && (
+              <div className="info">
+                The G³ … Gⁿ rows of a run this large are not kept; their densities and fates are below.
+              </div>
+            )}
+            {towerRows1D.map((_, i) => (
+              <div className="canvas-container" key={i}>
+                <h3>Order {i + 3}: G{toSuperscript(i + 3)}(S) = G(G{toSuperscript(i + 2)}(S))</h3>
+                <PanZoom {...panProps1D} size={sizeFields1D}>
+                  <canvas ref={el => { towerCanvases.current[i] = el }} />
+                </PanZoom>
+              </div>
+            ))}
+            {showOverlay && (
+              <div className="canvas-container">
+                <h3>
+                  RGB Overlay — <span style={{color: 'rgb(255, 80, 80)'}}>D</span>,{' '}
+                <span style={{color: 'rgb(80, 255, 80)'}}>G</span>,{' '}
+                <span style={{color: 'rgb(80, 140, 255)'}}>S</span>
+                </h3>
+                <PanZoom {...panProps1D} size={sizeFields1D}>
+                  <canvas ref={overlayCanvas} />
+                </PanZoom>
+              </div>
+            )}
           </div>
+          
+          <div className="controls" style={{marginTop: '0.5rem'}}>
+            <button className="secondary" onClick={() => setView1D(DEFAULT_VIEW)} disabled={shownView1D.zoom === 1}>
+              Reset View
+            </button>
+            <label style={{display: 'flex', alignItems: 'center', gap: '0.5rem'}}>
+              <input type="checkbox" checked={showOverlay} onChange={e => setShowOverlay(e.target.checked)} />
+              RGB overlay
+            </label>
+            <span style={{fontSize: '0.8rem', opacity: 0.7}}>
+              Zoom ×{shownView1D.zoom.toFixed(1)} — scroll to zoom, drag to pan, hover to inspect a cell
+            </span>
+          </div>
+          
+          <CellInspector
+            title={hover1D && `Cell ${hover1D.x}, step ${hover1D.y}`}
+            result={inspection1D}
+            shown={hover1D && hover1D.y < derivHistory.length
+              ? { D: derivHistory[hover1D.y][hover1D.x], G: groovyHistory[hover1D.y][hover1D.x] }
+              : null}
+          />
+          
+          <ExportBar
+            prefix={`groovy-rule-${fileRule1D}`}
+            disabled={history.length === 0}
+            panels={[
+              { key: 'state', short: 'S', label: 'State S(t)', canvas: () => stateCanvas.current },
+              { key: 'deriv', short: 'D', label: 'Derivative D(S)', canvas: () => derivCanvas.current },
+              { key: 'groovy', short: 'G', label: 'Groovy commutator G(S)', canvas: () => groovyCanvas.current },
+              { key: 'groovy2', short: 'G²', label: 'Second order G²(S)', canvas: () => groovy2Canvas.current },
+              ...towerRows1D.map((_, i) => ({
+                key: `groovy${i + 3}`,
+                short: `G${toSuperscript(i + 3)}`,
+                label: `Order ${i + 3} G${toSuperscript(i + 3)}(S)`,
+                canvas: () => towerCanvases.current[i]
+              })),
+              ...(showOverlay ? [{ key: 'overlay', short: 'RGB', label: 'Overlay D, G, S', canvas: () => overlayCanvas.current }] : [])
+            ]}
+            poster={{
+              title: ruleLabel1D,
+              lines: [
+                `${history[0]?.length ?? 0} cells × ${history.length} rows · ${boundary} boundary · ${init} start, seed ${seed}` +
+                  (isSynchronous(runOptions1D?.update) ? '' : ` · ${updateLabel(runOptions1D.update)}`),
+                `ρ = ${metrics.rho.toFixed(4)} · G density = ${metrics.groovyDensity.toFixed(4)} · ` +
+                  `G² density = ${metrics.groovy2Density.toFixed(4)}` +
+                  (cycle1D ? ` · transient ${cycle1D.transient} + period ${cycle1D.period}` : ''),
+                window.location.href
+              ]
+            }}
+          />
+          
+          <SonifyPanel
+            run={{ derivHistory, groovyHistory, groovy2History }}
+            k={runK}
+            prefix={`groovy-rule-${fileRule1D}`}
+            disabled={derivHistory.length === 0}
+          />
+          
+          <TowerPanel densities={tower1D.densities} fates={tower1D.fates} />
+          
+          <UpdateSweep
+            update={update}
+            disabled={updateBlocked1D || (history.length === 0 ? 'Run the CA first' : null)}
+            steps={updateSweepSteps}
+            onStepsChange={setUpdateSweepSteps}
+            onSweep={runUpdateSweep}
+            result={updateSweep}
+            prefix={`groovy-rule-${fileRule1D}`}
+          />
+          
+          {history.length > 0 && (
+          <div className="metrics">
+            <div className="metric">
+              <div className="metric-value">
+                {cycle1D ? `${cycle1D.transient} + ${cycle1D.period}` : '—'}
+              </div>
+              <div className="metric-label">
+                {cycle1D
+                  ? 'Transient + Period (amber row: attractor starts)'
+                  : boundary === 'infinite'
+                    ? 'No cycles on the infinite lattice'
+                    : !isSynchronous(runOptions1D?.update)
+                      ? 'No cycles under stochastic updates'
+                      : `No repeat within ${history.length - 1} steps`}
+              </div>
+            </div>
+            <div className="metric">
+              <div className="metric-value">{groovyByPhase.transient === null ? '—' : groovyByPhase.transient.toFixed(4)}</div>
+              <div className="metric-label">Mean G on Transient</div>
+            </div>
+            <div className="metric">
+              <div className="metric-value">{groovyByPhase.attractor === null ? '—' : groovyByPhase.attractor.toFixed(4)}</div>
+              <div className="metric-label">Mean G on Attractor</div>
+            </div>
+          </div>
+          )}
+          
+          <BasinView
+            width={Math.min(basinWidth, maxBasinWidth)}
+            maxWidth={maxBasinWidth}
+            onWidthChange={setBasinWidth}
+            onDraw={drawBasins}
+            result={basins}
+            busy={basinsBusy}
+          />
         </>
       )}
       
@@ -571,32 +1208,55 @@ export default function App() {
               <input 
                 type="number" 
                 min="50" 
-                max="200" 
+                max="512" 
                 value={grid2DSize} 
                 onChange={e => setGrid2DSize(parseInt(e.target.value) || 100)}
               />
             </div>
             <div className="control-group">
-              <label>Birth Rule</label>
+              <label>Rule</label>
               <input 
                 type="text" 
-                value={birthRule.join(',')} 
-                onChange={e => setBirthRule(e.target.value.split(',').map(n => parseInt(n)).filter(n => !isNaN(n)))}
-                style={{width: '80px'}}
+                value={ruleText2D} 
+                onChange={e => editLifeRule(e.target.value)}
+                style={{width: '220px'}}
               />
             </div>
             <div className="control-group">
-              <label>Survive Rule</label>
+              <label>Boundary</label>
+              <select value={boundary2D} onChange={e => setBoundary2D(e.target.value)}>
+                <option value="periodic">Periodic (torus)</option>
+                <option value="fixed0">Fixed 0</option>
+                <option value="fixed1">Fixed 1</option>
+                <option value="reflective">Reflective</option>
+              </select>
+            </div>
+            <div className="control-group">
+              <label>Seed</label>
               <input 
-                type="text" 
-                value={surviveRule.join(',')} 
-                onChange={e => setSurviveRule(e.target.value.split(',').map(n => parseInt(n)).filter(n => !isNaN(n)))}
-                style={{width: '80px'}}
+                type="number" 
+                min="0" 
+                value={seed} 
+                onChange={e => setSeed(parseInt(e.target.value) || 0)}
               />
             </div>
-            <button onClick={() => { setGrid(initRandom2D()); setRunning(false); }}>
+            <div className="control-group">
+              <label>Density {density2D.toFixed(2)}</label>
+              <input 
+                type="range" 
+                min="0" 
+                max="1" 
+                step="0.01" 
+                value={density2D} 
+                onChange={e => setDensity2D(parseFloat(e.target.value))}
+              />
+            </div>
+            <button onClick={() => reset2D(randomSeed())}>
               Reset Random
             </button>
+            <button className="secondary" onClick={() => reset2D(seed)}>
+              Replay Seed
+            </button>
             <button 
               className={running ? 'secondary' : ''} 
               onClick={() => setRunning(!running)}
@@ -604,30 +1264,212 @@ export default function App() {
               {running ? 'Pause' : 'Run'}
             </button>
             {!running && grid && (
-              <button className="secondary" onClick={() => setGrid(evolve2D(grid, birthRule, surviveRule))}>
+              <button className="secondary" onClick={() => post({ type: 'step2d' })}>
                 Step
               </button>
             )}
           </div>
+          {lifeRuleError && <div className="error">{lifeRuleError}</div>}
+          
+          <div className="controls" style={{marginTop: '0.5rem'}}>
+            <div className="control-group">
+              <label>Brush</label>
+              <select value={brush} onChange={e => setBrush(Number(e.target.value))}>
+                <option value={1}>Draw</option>
+                <option value={0}>Erase</option>
+              </select>
+            </div>
+            <div className="control-group">
+              <label>Brush Size</label>
+              <input 
+                type="number" 
+                min="1" 
+                max="9" 
+                value={brushSize} 
+                onChange={e => setBrushSize(Math.min(9, Math.max(1, parseInt(e.target.value) || 1)))}
+                style={{width: '70px'}}
+              />
+            </div>
+            <button className="secondary" onClick={clear2D}>
+              Clear
+            </button>
+            <span style={{fontSize: '0.8rem', opacity: 0.7}}>
+              Click or drag on the State canvas to paint, paused or running
+            </span>
+          </div>
+          
+          <PatternPanel
+            grids={{ state: grid, deriv: derivGrid, groovy: groovyGrid }}
+            size={grid2DSize}
+            rule={awareMode ? null : { birthRule, surviveRule, neighbourhood: neighbourhood2D, states: states2D }}
+            ruleLabel={awareMode ? 'aware' : lifeRuleName}
+            onLoad={load2D}
+            onRule={loadPatternRule}
+          />
+          
+          <div className="controls" style={{marginTop: '0.5rem'}}>
+            <div className="control-group">
+              <label style={{display: 'flex', alignItems: 'center', gap: '0.5rem'}}>
+                <input 
+                  type="checkbox" 
+                  checked={awareMode}
+                  onChange={e => setAwareMode(e.target.checked)}
+                />
+                🧠 Aware Mode (cells see whether they flipped)
+              </label>
+            </div>
+            {awareMode && (
+              <div className="control-group">
+                <label>Memory Behavior</label>
+                <select 
+                  value={memoryBehavior} 
+                  onChange={e => setMemoryBehavior(e.target.value)}
+                >
+                  <option value="ignore">Ignore (same as standard)</option>
+                  <option value="stabilize">Stabilize (if changed, stay put)</option>
+                  <option value="invert">Invert (if changed, flip decision)</option>
+                  <option value="excite">Excite (if changed, become active)</option>
+                </select>
+              </div>
+            )}
+            {awareMode && (
+              <div className="control-group">
+                <label>Commutator History</label>
+                <select value={awareCommutator} onChange={e => setAwareCommutator(e.target.value)}>
+                  <option value="frozen">Frozen (both paths see last S')</option>
+                  <option value="paired">Paired (S, S') — each path keeps its own</option>
+                </select>
+              </div>
+            )}
+          </div>
+          
+          <UpdateControls update={update} onChange={setUpdate} disabled={updateBlocked2D} />
           
           <div className="info">
-            <strong>B{birthRule.join('')}/S{surviveRule.join('')}</strong> — 
-            Game of Life: B3/S23. Try HighLife: B36/S23. Day & Night: B3678/S34678.
+            <strong>{lifeRuleName}{awareMode ? ` → Aware (${memoryBehavior})` : ''}</strong> — 
+            Game of Life: B3/S23. Try HighLife: B36/S23. Day & Night: B3678/S34678. A suffix picks the
+            neighbourhood: B2/S/V (von Neumann), B2/S34H (hexagonal). Larger than Life: Bosco's rule
+            R5,C0,M1,S34..58,B34..45,NM. Generations rules add dying states, C in all: Brian's Brain
+            B2/S/C3, Star Wars B2/S345/C4, Frogs B34/S12/C3; there D and G are differences mod C.
           </div>
           
           <div className="canvases">
             <div className="canvas-container">
               <h3>State</h3>
-              <canvas ref={state2DCanvas} />
+              <PanZoom {...panProps2D} paintable>
+                <canvas ref={state2DCanvas} className="paintable" {...paintHandlers} />
+              </PanZoom>
+            </div>
+            <div className="canvas-container">
+              <h3>Derivative D(S) — Change Mask</h3>
+              <PanZoom {...panProps2D}>
+                <canvas ref={deriv2DCanvas} />
+              </PanZoom>
+            </div>
+            <div className="canvas-container">
+              <h3>Groovy Commutator G(S){states2D > 2 ? ' — mod k' : ''}</h3>
+              <PanZoom {...panProps2D}>
+                <canvas ref={groovy2DCanvas} />
+              </PanZoom>
             </div>
             <div className="canvas-container">
-              <h3>Groovy Commutator G(S)</h3>
-              <canvas ref={groovy2DCanvas} />
+              <h3>Second-Order G²(S) = G(G(S))</h3>
+              <PanZoom {...panProps2D}>
+                <canvas ref={groovy22DCanvas} />
+              </PanZoom>
             </div>
+            {showOverlay && (
+              <div className="canvas-container">
+                <h3>
+                  RGB Overlay — <span style={{color: 'rgb(255, 80, 80)'}}>D</span>,{' '}
+                <span style={{color: 'rgb(80, 255, 80)'}}>G</span>,{' '}
+                <span style={{color: 'rgb(80, 140, 255)'}}>S</span>
+                </h3>
+                <PanZoom {...panProps2D}>
+                  <canvas ref={overlay2DCanvas} />
+                </PanZoom>
+              </div>
+            )}
           </div>
+          
+          <div className="controls" style={{marginTop: '0.5rem'}}>
+            <button className="secondary" onClick={() => setView2D(DEFAULT_VIEW)} disabled={shownView2D.zoom === 1}>
+              Reset View
+            </button>
+            <label style={{display: 'flex', alignItems: 'center', gap: '0.5rem'}}>
+              <input type="checkbox" checked={showOverlay} onChange={e => setShowOverlay(e.target.checked)} />
+              RGB overlay
+            </label>
+            <span style={{fontSize: '0.8rem', opacity: 0.7}}>
+              Zoom ×{shownView2D.zoom.toFixed(1)} — scroll to zoom, drag to pan (Shift-drag on State), hover to inspect a cell
+            </span>
+          </div>
+          
+          <CellInspector
+            title={hover2D && `Cell (${hover2D.x}, ${hover2D.y})`}
+            result={inspection2D}
+            shown={inspection2D && {
+              D: derivGrid.cells[hover2D.y * grid.width + hover2D.x],
+              G: groovyGrid.cells[hover2D.y * grid.width + hover2D.x]
+            }}
+          />
+          
+          <ExportBar
+            prefix={`groovy-${fileRule2D}`}
+            disabled={!grid}
+            panels={[
+              { key: 'state', short: 'S', label: 'State', canvas: () => state2DCanvas.current },
+              { key: 'deriv', short: 'D', label: 'Derivative D(S)', canvas: () => deriv2DCanvas.current },
+              { key: 'groovy', short: 'G', label: 'Groovy commutator G(S)', canvas: () => groovy2DCanvas.current },
+              { key: 'groovy2', short: 'G²', label: 'Second order G²(S)', canvas: () => groovy22DCanvas.current },
+              ...(showOverlay ? [{ key: 'overlay', short: 'RGB', label: 'Overlay D, G, S', canvas: () => overlay2DCanvas.current }] : [])
+            ]}
+            gif={{ onRecord: recordGIF, progress: gifProgress, error: gifError }}
+          />
+          
+          <UpdateSweep
+            update={update}
+            disabled={updateBlocked2D || (grid ? null : 'Load a grid first')}
+            steps={updateSweepSteps}
+            onStepsChange={setUpdateSweepSteps}
+            onSweep={runUpdateSweep}
+            result={updateSweep}
+            prefix={`groovy-${fileRule2D}`}
+          />
         </>
       )}
       
+      {mode === 'sweep' && (
+        <SweepView onSelectRule={(r, family) => {
+          if (family === 'aware') {
+            setRuleFamily('elementary')
+            setAwareMode(true)
+            setCustomAwareRule(r)
+          } else {
+            setRule(r)
+          }
+          setMode('1d')
+        }} />
+      )}
+      
+      {mode === 'spectrum' && <SpectrumView initialRule={rule} initialBoundary={boundary} />}
+      
+      {mode === 'compare' && (
+        <CompareView initial={{ rule, width, steps, seed, density, boundary, memoryBehavior }} />
+      )}
+      
+      {mode === 'audio' && (
+        <AudioView
+          initial={{
+            rule, width, seed, density, boundary, aware: awareMode, memoryBehavior, awareCommutator,
+            birthRule, surviveRule, neighbourhood: neighbourhood2D, states: states2D, gridSize: grid2DSize
+          }}
+        />
+      )}
+      
+      {mode === 'bench' && <BenchmarkView />}
+      
+      {(mode === '1d' || mode === '2d') && (
       <div className="metrics">
         <div className="metric">
           <div className="metric-value">{metrics.rho.toFixed(4)}</div>
@@ -638,10 +1480,45 @@ export default function App() {
           <div className="metric-label">G Density</div>
         </div>
         <div className="metric">
-          <div className="metric-value">{(metrics.groovy2Density || 0).toFixed(4)}</div>
+          <div className="metric-value">{metrics.groovy2Density.toFixed(4)}</div>
           <div className="metric-label">G² Density</div>
         </div>
       </div>
+      )}
+      
+      {mode === '1d' && (
+        <ComplexityPanel
+          samples={complexity1D}
+          groovy={series1D.groovy}
+          lambda={lambda1D}
+          lambdaLabel={multistate ? `k=${statesK} rule` : awareMode ? `aware rule ${awareRule}` : `rule ${rule}`}
+          maxBlock={maxBlock}
+          onMaxBlockChange={setMaxBlock}
+        />
+      )}
+      
+      {mode === '2d' && (
+        <ComplexityPanel
+          samples={series2D.complexity}
+          groovy={series2D.groovy}
+          lambda={lambda2D}
+          lambdaLabel={awareMode ? 'aware B/S rule' : lifeRuleName}
+          maxBlock={maxBlock}
+          onMaxBlockChange={setMaxBlock}
+        />
+      )}
+      
+      {mode === '1d' && (
+        <SeriesChart series={series1D} filename={`groovy-rule-${fileRule1D}-series.csv`} />
+      )}
+      
+      {mode === '2d' && (
+        <SeriesChart
+          series={series2D}
+          firstStep={series2D.firstStep}
+          filename={`groovy-${fileRule2D}-series.csv`}
+        />
+      )}
       
       <h2>The Math</h2>
       <div className="info">
@@ -649,6 +1526,13 @@ export default function App() {
         <p><strong>Evolution:</strong> <span className="formula">E(S) = S ⊕ D(S)</span> — applying the changes</p>
         <p><strong>Groovy Commutator:</strong> <span className="formula">G(S) = D(E(S)) ⊕ E(D(S))</span></p>
         <p><strong>Second-Order:</strong> <span className="formula">G²(S) = G(G(S))</span> — the grooviness of the groove</p>
+        <p><strong>Tower:</strong> <span className="formula">Gⁿ⁺¹(S) = G(Gⁿ(S))</span> — on a finite lattice it must
+          end in zero, a fixed point or a cycle; the order k where it gets there is reported per step</p>
+        <p><strong>Aware, paired:</strong> <span className="formula">Φ(S, S′) = (φ(S, S′), S ⊕ φ(S, S′))</span> — 
+          D, E, G and G² act on (S, S′) pairs, so each path of the commutator keeps its own history</p>
+        <p><strong>Stochastic updates:</strong> <span className="formula">Gₜ(S) = Dₜ(Eₜ(S)) ⊕ Eₜ(Dₜ(S))</span> — 
+          under asynchronous, random-sequential or noisy updating, every application of E in step t reuses
+          that step's random draws, so both paths see the same randomness</p>
         <p style={{marginTop: '1em'}}>
           When G(S) = 0, differentiation and evolution commute — the system is "transparent to scale."<br/>
           When G(S) ≠ 0 with <em>structure</em>, you're at the edge of chaos. That's the signature of aliveness.<br/>
@@ -0,0 +1,526 @@
+import { useState, useEffect, useRef, useCallback } from 'react'
+import {
+  mulberry32,
+  randomState,
+  createGrid,
+  formatLifeRule,
+  formatRulestring,
+  parseRulestring,
+  parseLifeRuleString,
+  AWARE_MEMORY_BEHAVIORS,
+  frameEnergies,
+  meanLoudness,
+  injectPoints2D,
+  beatSetting
+} from './ca-core/index.js'
+import { useSimWorker } from './useSimWorker.js'
+import { drawCA1D, draw2D, stateColor, groovyColor, fieldColorK, generationsColor } from './draw.js'
+
+// =============================================================================
+// AUDIO VIEW — a sound file drives the CA while it plays
+// =============================================================================
+//
+// The file is decoded and analysed once (see ca-core/audio.js); each frame of
+// the analysis is one CA step. A 1D run is computed in full up front and the
+// S and G panels scroll with playback, the newest row at the bottom. A 2D run
+// steps live: each new frame during playback sends one drive2d step, and
+// frames the worker cannot keep up with are skipped rather than queued, so
+// the grid never lags the sound. Seeking back does not rewind the grid.
+
+const ROWS_SHOWN = 200
+const BAND_COUNTS = [4, 8, 16, 32]
+const METER_SIZE = { w: 600, h: 80, pad: 4 }
+
+// The mean of the channels
+function mixDown(buffer) {
+  const mono = new Float32Array(buffer.length)
+  for (let c = 0; c < buffer.numberOfChannels; c++) {
+    const data = buffer.getChannelData(c)
+    for (let i = 0; i < data.length; i++) mono[i] += data[i] / buffer.numberOfChannels
+  }
+  return mono
+}
+
+async function decodeFile(file) {
+  const ctx = new (window.AudioContext || window.webkitAudioContext)()
+  try {
+    return await ctx.decodeAudioData(await file.arrayBuffer())
+  } finally {
+    ctx.close()
+  }
+}
+
+// "110, 30 90" → [110, 30, 90]
+function parseRules1D(text) {
+  const rules = text.split(/[\s,]+/).filter(Boolean).map(Number)
+  if (!rules.length || rules.some(r => !Number.isInteger(r) || r < 0 || r > 255)) {
+    throw new Error('Rules must be numbers from 0 to 255, separated by commas')
+  }
+  return rules
+}
+
+// "B3/S23, B36/S23H" → [{ birthRule, surviveRule, neighbourhood }, …]; a comma
+// only starts a new rule where one can begin, so Larger than Life rules
+// (R5,C0,M1,…) keep theirs
+function parseRules2D(text) {
+  const rules = text.split(/,(?=\s*(?:R\d|[BS]?\d*\/))/i).map(s => s.trim()).filter(Boolean).map(parseLifeRuleString)
+  if (!rules.length || rules.includes(null)) throw new Error('Rules must be rulestrings such as B3/S23 or B36/S23H, separated by commas')
+  return rules
+}
+
+const describe2D = r => `${formatRulestring(r)}${r.aware ? ` → aware (${r.memoryBehavior})` : ''}`
+
+// The band energies of the frame playing; amber on a beat
+function BandMeter({ energies, beat }) {
+  const { w, h, pad } = METER_SIZE
+  const slot = (w - 2 * pad) / energies.length
+  return (
+    <svg className="chart" viewBox={`0 0 ${w} ${h}`}>
+      {[...energies].map((e, b) => (
+        <rect
+          key={b}
+          x={pad + b * slot + 1}
+          y={h - pad - e * (h - 2 * pad)}
+          width={slot - 2}
+          height={e * (h - 2 * pad)}
+          className={`bar band ${beat ? 'beat' : ''}`}
+        />
+      ))}
+    </svg>
+  )
+}
+
+// initial: the 1D and 2D tabs' rule, width, seed, density, boundary, aware
+// settings and 2D rule (B/S lists and neighbourhood)
+export function AudioView({ initial }) {
+  const [fileName, setFileName] = useState('')
+  const [audioUrl, setAudioUrl] = useState(null)
+  const [samples, setSamples] = useState(null) // { data, sampleRate }
+  const [status, setStatus] = useState('')
+  const [error, setError] = useState(null)
+  const [analysis, setAnalysis] = useState(null)
+  const [bands, setBands] = useState(8)
+  const [frameRate, setFrameRate] = useState(30)
+
+  const [lattice, setLattice] = useState('1d')
+  const [rule, setRule] = useState(initial.rule)
+  const [lifeRule, setLifeRule] = useState(formatLifeRule(initial.birthRule, initial.surviveRule, initial.neighbourhood, initial.states))
+  const [width, setWidth] = useState(initial.width)
+  const [gridSize, setGridSize] = useState(initial.gridSize)
+  const [boundary, setBoundary] = useState(initial.boundary === 'infinite' ? 'periodic' : initial.boundary)
+  const [aware, setAware] = useState(initial.aware)
+  const [memoryBehavior, setMemoryBehavior] = useState(initial.memoryBehavior)
+  const [awareCommutator, setAwareCommutator] = useState(initial.awareCommutator)
+  const [seed, setSeed] = useState(initial.seed)
+  const [density, setDensity] = useState(initial.density)
+  const [densityFromAudio, setDensityFromAudio] = useState(true)
+  const [inject, setInject] = useState(0.05)
+  const [reseed, setReseed] = useState(false)
+  const [switchOn, setSwitchOn] = useState('none')
+  const [rulesText, setRulesText] = useState('')
+
+  const [run1D, setRun1D] = useState(null)
+  const [frame2D, setFrame2D] = useState(null)
+  const [frame, setFrame] = useState(0) // the analysis frame playing
+  const [busy, setBusy] = useState(false)
+
+  const audioRef = useRef(null)
+  const stateCanvas = useRef(null)
+  const groovyCanvas = useRef(null)
+  const jobRef = useRef(0)
+  const drive = useRef(null) // the 2D run being driven, set by run()
+
+  const post = useSimWorker(msg => {
+    if (msg.type === 'frame2d') {
+      if (drive.current) drive.current.pending = false
+      setFrame2D(msg)
+      return
+    }
+    if (msg.id !== jobRef.current) return
+    if (msg.type === 'audio') {
+      setStatus('')
+      if (msg.error) setError(msg.error)
+      else setAnalysis(msg.analysis)
+    } else if (msg.type === 'audio1d') {
+      setBusy(false)
+      if (msg.error) setError(msg.error)
+      else setRun1D(msg)
+    }
+  })
+
+  const loadFile = async file => {
+    if (!file) return
+    setError(null)
+    setStatus('Decoding…')
+    try {
+      const buffer = await decodeFile(file)
+      setFileName(file.name)
+      setAudioUrl(URL.createObjectURL(file))
+      setSamples({ data: mixDown(buffer), sampleRate: buffer.sampleRate })
+    } catch (e) {
+      setStatus('')
+      setError(`Could not decode ${file.name}: ${e.message}`)
+    }
+  }
+
+  useEffect(() => () => audioUrl && URL.revokeObjectURL(audioUrl), [audioUrl])
+
+  // A new file or new bands invalidate the run on screen
+  useEffect(() => {
+    if (!samples) return
+    jobRef.current++
+    drive.current = null
+    setRun1D(null)
+    setFrame2D(null)
+    setAnalysis(null)
+    setStatus('Analysing…')
+    post({ type: 'audio', id: jobRef.current, samples: samples.data, sampleRate: samples.sampleRate, frameRate, bands })
+  }, [post, samples, frameRate, bands])
+
+  const run = useCallback(() => {
+    if (!analysis) return
+    let rules = null
+    try {
+      if (switchOn === 'rules') rules = lattice === '1d' ? parseRules1D(rulesText) : parseRules2D(rulesText)
+      if (lattice === '2d') parseRulestring(lifeRule)
+    } catch (e) {
+      setError(e.message)
+      return
+    }
+    setError(null)
+    // Density from audio: the loudness of the first second
+    const p = densityFromAudio ? meanLoudness(analysis, 0, analysis.frameRate) : density
+    const rand = mulberry32(seed)
+    if (audioRef.current) audioRef.current.currentTime = 0
+    jobRef.current++
+
+    if (lattice === '1d') {
+      drive.current = null
+      setFrame2D(null)
+      setBusy(true)
+      post({
+        type: 'audio1d',
+        id: jobRef.current,
+        initial: randomState(width, rand, p),
+        analysis,
+        rule,
+        aware,
+        memoryBehavior,
+        awareCommutator,
+        boundary,
+        inject,
+        reseed,
+        switchOn,
+        rules: rules ?? [rule],
+        seed
+      })
+      return
+    }
+
+    const base = { ...parseLifeRuleString(lifeRule), boundary, aware, memoryBehavior, awareCommutator, maxBlock: 4 }
+    const rulesFor = setting => switchOn === 'rules'
+      ? { ...base, ...rules[setting] }
+      : switchOn === 'memory'
+        ? { ...base, aware: true, memoryBehavior: AWARE_MEMORY_BEHAVIORS[setting] }
+        : base
+    const randomGrid = q => createGrid(gridSize, gridSize, randomState(gridSize * gridSize, rand, q))
+    setRun1D(null)
+    drive.current = {
+      analysis, rulesFor, randomGrid, inject, reseed, switchOn, rand,
+      ruleCount: rules?.length ?? 1,
+      size: gridSize,
+      beats: 0,
+      setting: 0,
+      last: 0,
+      pending: true
+    }
+    post({ type: 'load2d', grid: randomGrid(p), ...rulesFor(0) })
+  }, [
+    post, analysis, lattice, rule, lifeRule, width, gridSize, boundary, aware, memoryBehavior, awareCommutator,
+    seed, density, densityFromAudio, inject, reseed, switchOn, rulesText
+  ])
+
+  // Follow playback: track the frame playing and drive the 2D run one step per new frame
+  useEffect(() => {
+    if (!analysis) return
+    let raf
+    const tick = () => {
+      raf = requestAnimationFrame(tick)
+      const audio = audioRef.current
+      if (!audio) return
+      const f = Math.min(analysis.frames - 1, Math.floor(audio.currentTime * analysis.frameRate))
+      setFrame(f)
+      const d = drive.current
+      if (!d || d.analysis !== analysis) return
+      if (f < d.last) d.last = f // seeked back
+      if (audio.paused || f === d.last || d.pending) return
+      let beat = false
+      for (let t = d.last + 1; t <= f; t++) beat ||= analysis.beats[t] === 1
+      d.last = f
+      if (beat) d.beats++
+      const setting = beatSetting(d.switchOn, d.beats, d.ruleCount)
+      const rules = setting !== d.setting ? d.rulesFor(setting) : null
+      d.setting = setting
+      d.pending = true
+      post({
+        type: 'drive2d',
+        grid: beat && d.reseed ? d.randomGrid(analysis.loudness[f]) : null,
+        points: d.inject > 0
+          ? injectPoints2D(d.size, d.size, frameEnergies(analysis, f), d.inject, d.rand)
+          : [],
+        rules
+      })
+    }
+    raf = requestAnimationFrame(tick)
+    return () => cancelAnimationFrame(raf)
+  }, [analysis, post])
+
+  // 1D: the ROWS_SHOWN rows up to the frame playing, blank above the first
+  useEffect(() => {
+    if (!run1D) return
+    const from = frame + 1 - ROWS_SHOWN
+    const blank = new Uint8Array(run1D.history[0].length)
+    const windowOf = rows => Array.from({ length: ROWS_SHOWN }, (_, i) => rows[from + i] ?? blank)
+    drawCA1D(stateCanvas.current, windowOf(run1D.history), stateColor)
+    drawCA1D(groovyCanvas.current, windowOf(run1D.groovyHistory), groovyColor)
+  }, [run1D, frame])
+
+  useEffect(() => {
+    if (!frame2D) return
+    draw2D(stateCanvas.current, frame2D.grid, generationsColor(frame2D.states))
+    draw2D(groovyCanvas.current, frame2D.groovy, fieldColorK(groovyColor, frame2D.states))
+  }, [frame2D])
+
+  const shown = run1D || frame2D
+  const time = analysis ? frame / analysis.frameRate : 0
+  const label = run1D
+    ? run1D.labels[run1D.settings[frame]]
+    : frame2D && drive.current
+      ? describe2D(drive.current.rulesFor(drive.current.setting))
+      : ''
+  const groovyDensity = run1D ? run1D.series.groovy[frame] : frame2D?.metrics.groovyDensity
+
+  return (
+    <>
+      <div className="controls">
+        <div className="control-group">
+          <label>Audio File (WAV, MP3, OGG)</label>
+          <input type="file" accept="audio/*" onChange={e => loadFile(e.target.files[0])} />
+        </div>
+        <div className="control-group">
+          <label>Bands</label>
+          <select value={bands} onChange={e => setBands(Number(e.target.value))}>
+            {BAND_COUNTS.map(n => <option key={n} value={n}>{n}</option>)}
+          </select>
+        </div>
+        <div className="control-group">
+          <label>Steps per Second</label>
+          <input
+            type="number"
+            min="5"
+            max="60"
+            value={frameRate}
+            onChange={e => setFrameRate(Math.min(60, Math.max(5, parseInt(e.target.value) || 30)))}
+          />
+        </div>
+      </div>
+
+      {status && <div className="info">{status}</div>}
+      {audioUrl && <audio ref={audioRef} src={audioUrl} controls style={{width: '100%', margin: '0.5rem 0'}} />}
+
+      <div className="controls">
+        <div className="control-group">
+          <label>Lattice</label>
+          <select value={lattice} onChange={e => setLattice(e.target.value)}>
+            <option value="1d">1D row</option>
+            <option value="2d">2D grid</option>
+          </select>
+        </div>
+        {lattice === '1d' ? (
+          <>
+            <div className="control-group">
+              <label>Rule</label>
+              <input
+                type="number"
+                min="0"
+                max="255"
+                value={rule}
+                onChange={e => setRule(Math.min(255, Math.max(0, parseInt(e.target.value) || 0)))}
+              />
+            </div>
+            <div className="control-group">
+              <label>Width</label>
+              <input
+                type="number"
+                min="10"
+                max="2000"
+                value={width}
+                onChange={e => setWidth(Math.max(10, parseInt(e.target.value) || 200))}
+              />
+            </div>
+          </>
+        ) : (
+          <>
+            <div className="control-group">
+              <label>Rule</label>
+              <input type="text" value={lifeRule} onChange={e => setLifeRule(e.target.value)} />
+            </div>
+            <div className="control-group">
+              <label>Grid Size</label>
+              <input
+                type="number"
+                min="16"
+                max="400"
+                value={gridSize}
+                onChange={e => setGridSize(Math.min(400, Math.max(16, parseInt(e.target.value) || 100)))}
+              />
+            </div>
+          </>
+        )}
+        <div className="control-group">
+          <label>Boundary</label>
+          <select value={boundary} onChange={e => setBoundary(e.target.value)}>
+            <option value="periodic">Periodic</option>
+            <option value="fixed0">Fixed 0</option>
+            <option value="fixed1">Fixed 1</option>
+            <option value="reflective">Reflective</option>
+          </select>
+        </div>
+        <div className="control-group">
+          <label style={{display: 'flex', alignItems: 'center', gap: '0.5rem'}}>
+            <input type="checkbox" checked={aware} onChange={e => setAware(e.target.checked)} />
+            Aware
+          </label>
+        </div>
+        {(aware || switchOn === 'memory') && (
+          <>
+            {switchOn !== 'memory' && (
+              <div className="control-group">
+                <label>Memory Behavior</label>
+                <select value={memoryBehavior} onChange={e => setMemoryBehavior(e.target.value)}>
+                  {AWARE_MEMORY_BEHAVIORS.map(b => <option key={b} value={b}>{b}</option>)}
+                </select>
+              </div>
+            )}
+            <div className="control-group">
+              <label>Commutator History</label>
+              <select value={awareCommutator} onChange={e => setAwareCommutator(e.target.value)}>
+                <option value="frozen">Frozen</option>
+                <option value="paired">Paired</option>
+              </select>
+            </div>
+          </>
+        )}
+      </div>
+
+      <div className="controls">
+        <div className="control-group">
+          <label>Inject {inject.toFixed(2)}</label>
+          <input
+            type="range"
+            min="0"
+            max="0.5"
+            step="0.01"
+            value={inject}
+            onChange={e => setInject(parseFloat(e.target.value))}
+          />
+        </div>
+        <div className="control-group">
+          <label>Seed</label>
+          <input type="number" min="0" value={seed} onChange={e => setSeed(parseInt(e.target.value) || 0)} />
+        </div>
+        <div className="control-group">
+          <label style={{display: 'flex', alignItems: 'center', gap: '0.5rem'}}>
+            <input type="checkbox" checked={densityFromAudio} onChange={e => setDensityFromAudio(e.target.checked)} />
+            Initial density from loudness
+          </label>
+        </div>
+        {!densityFromAudio && (
+          <div className="control-group">
+            <label>Density {density.toFixed(2)}</label>
+            <input
+              type="range"
+              min="0"
+              max="1"
+              step="0.01"
+              value={density}
+              onChange={e => setDensity(parseFloat(e.target.value))}
+            />
+          </div>
+        )}
+        <div className="control-group">
+          <label style={{display: 'flex', alignItems: 'center', gap: '0.5rem'}}>
+            <input type="checkbox" checked={reseed} onChange={e => setReseed(e.target.checked)} />
+            Reseed on beats
+          </label>
+        </div>
+        <div className="control-group">
+          <label>On Beats</label>
+          <select value={switchOn} onChange={e => setSwitchOn(e.target.value)}>
+            <option value="none">Keep the rule</option>
+            <option value="rules">Cycle through rules</option>
+            <option value="memory">Cycle memory behaviors</option>
+          </select>
+        </div>
+        {switchOn === 'rules' && (
+          <div className="control-group">
+            <label>Rules</label>
+            <input
+              type="text"
+              value={rulesText}
+              placeholder={lattice === '1d' ? '110, 30, 90' : 'B3/S23, B36/S23'}
+              onChange={e => setRulesText(e.target.value)}
+            />
+          </div>
+        )}
+        <button onClick={run} disabled={!analysis || busy}>
+          {busy ? 'Running…' : 'Run'}
+        </button>
+      </div>
+
+      {error && <div className="error">{error}</div>}
+
+      {!analysis && !status && (
+        <div className="info">
+          Load an audio file. Each band of its spectrum drives one stripe of the lattice, low
+          frequencies on the left; beats can reseed the state or switch the rule. Press Run, then play.
+        </div>
+      )}
+
+      {analysis && (
+        <>
+          <div className="metrics">
+            <div className="metric">
+              <div className="metric-value">{time.toFixed(1)} s</div>
+              <div className="metric-label">{fileName}: {analysis.duration.toFixed(1)} s, {analysis.frames} steps</div>
+            </div>
+            <div className="metric">
+              <div className="metric-value">{analysis.beats.reduce((s, b) => s + b, 0)}</div>
+              <div className="metric-label">Beats Detected</div>
+            </div>
+            {shown && (
+              <div className="metric">
+                <div className="metric-value">{groovyDensity?.toFixed(4) ?? '—'}</div>
+                <div className="metric-label">G Density — {label}</div>
+              </div>
+            )}
+          </div>
+          <BandMeter energies={frameEnergies(analysis, frame)} beat={analysis.beats[frame] === 1} />
+        </>
+      )}
+
+      {shown && (
+        <div className="canvases">
+          <div className="canvas-container">
+            <h3>State S(t){run1D ? ' — newest row at the bottom' : ''}</h3>
+            <canvas ref={stateCanvas} />
+          </div>
+          <div className="canvas-container">
+            <h3>Groovy Commutator G(S)</h3>
+            <canvas ref={groovyCanvas} />
+          </div>
+        </div>
+      )}
+    </>
+  )
+}
@@ -0,0 +1,75 @@
+import { AWARE_RULE_COUNT, matchAwareRule, mulberry32 } from './ca-core/index.js'
+import { randomSeed } from './urlState.js'
+
+// =============================================================================
+// AWARE RULE EDITOR — any of the 65,536 rules, bit by bit
+// =============================================================================
+//
+// Bit 8·l + 4·c + 2·r + didChange of the rule number is the output for that
+// input (see awareRuleToTable). Neighbourhoods are listed 111 → 000 as in
+// Wolfram's rule icons.
+
+const NEIGHBOURHOODS = [7, 6, 5, 4, 3, 2, 1, 0]
+const pattern = n => n.toString(2).padStart(3, '0')
+
+export function AwareRuleEditor({ rule16, onChange }) {
+  const bit = idx => (rule16 >> idx) & 1
+  const toggle = idx => onChange(rule16 ^ (1 << idx))
+  const presets = matchAwareRule(rule16)
+
+  return (
+    <div className="aware-editor">
+      <div className="controls">
+        <div className="control-group">
+          <label>16-bit rule</label>
+          <input
+            type="number"
+            min="0"
+            max={AWARE_RULE_COUNT - 1}
+            value={rule16}
+            onChange={e => onChange(Math.min(AWARE_RULE_COUNT - 1, Math.max(0, parseInt(e.target.value) || 0)))}
+          />
+        </div>
+        <button
+          className="secondary"
+          onClick={() => onChange(Math.floor(mulberry32(randomSeed())() * AWARE_RULE_COUNT))}
+        >
+          🎲 Rule
+        </button>
+        <span style={{fontSize: '0.8rem', opacity: 0.7}}>
+          {presets.length
+            ? `= rule ${presets[0].rule} + ${presets.map(p => p.memoryBehavior).join(' / ')}`
+            : 'Not a standard rule + memory behavior'}
+        </span>
+      </div>
+      <table className="aware-table">
+        <thead>
+          <tr>
+            <th>l c r</th>
+            {NEIGHBOURHOODS.map(n => <th key={n}>{pattern(n)}</th>)}
+          </tr>
+        </thead>
+        <tbody>
+          {[0, 1].map(didChange => (
+            <tr key={didChange}>
+              <th>{didChange ? 'changed' : 'unchanged'}</th>
+              {NEIGHBOURHOODS.map(n => {
+                const idx = (n << 1) | didChange
+                return (
+                  <td
+                    key={n}
+                    className={bit(idx) ? 'on' : ''}
+                    title={`(${pattern(n).split('').join(', ')}, ${didChange}) → ${bit(idx)}; click to flip`}
+                    onClick={() => toggle(idx)}
+                  >
+                    {bit(idx)}
+                  </td>
+                )
+              })}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  )
+}
@@ -0,0 +1,169 @@
+import { useEffect, useMemo, useRef } from 'react'
+import { layoutBasins } from './ca-core/index.js'
+import { downloadCanvasPNG } from './export.js'
+import { groovyRamp } from './draw.js'
+
+// =============================================================================
+// BASIN VIEW — basin-of-attraction trees of a small lattice, coloured by G
+// =============================================================================
+//
+// Every state of the lattice is a node with an edge to its successor. Each
+// basin is drawn as its cycle (ringed nodes) with transient trees fanning out,
+// larger basins larger. A node's colour is the G density of its state.
+
+const MAX_DRAWN = 256 // the largest basins; the rest are only counted
+const CANVAS_WIDTH = 960
+const MAX_DIAMETER = 420
+const MIN_DIAMETER = 18
+const GAP = 8
+
+// Pack basin discs into rows, biggest first (findBasins sorts them)
+function packBasins(basins, count) {
+  const biggest = basins[0].size
+  const discs = []
+  let x = GAP
+  let y = GAP
+  let rowHeight = 0
+  for (let b = 0; b < count; b++) {
+    const d = Math.max(MIN_DIAMETER, MAX_DIAMETER * Math.sqrt(basins[b].size / biggest))
+    if (x + d > CANVAS_WIDTH - GAP && x > GAP) {
+      x = GAP
+      y += rowHeight + GAP
+      rowHeight = 0
+    }
+    discs.push({ cx: x + d / 2, cy: y + d / 2, r: d / 2 })
+    x += d + GAP
+    rowHeight = Math.max(rowHeight, d)
+  }
+  return { discs, height: y + rowHeight + GAP }
+}
+
+function drawBasins(canvas, { graph, basins }) {
+  const count = Math.min(MAX_DRAWN, basins.basins.length)
+  const layouts = layoutBasins(graph.next, basins, count)
+  const { discs, height } = packBasins(basins.basins, count)
+
+  canvas.width = CANVAS_WIDTH
+  canvas.height = height
+  const ctx = canvas.getContext('2d')
+  ctx.fillStyle = 'rgb(10, 10, 15)'
+  ctx.fillRect(0, 0, canvas.width, canvas.height)
+
+  layouts.forEach(({ ids, x, y }, b) => {
+    const { cx, cy, r } = discs[b]
+    const at = new Map(ids.map((id, i) => [id, i]))
+    const px = i => cx + x[i] * (r - 2)
+    const py = i => cy + y[i] * (r - 2)
+
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.18)'
+    ctx.lineWidth = 0.5
+    ctx.beginPath()
+    ids.forEach((id, i) => {
+      const j = at.get(graph.next[id])
+      ctx.moveTo(px(i), py(i))
+      ctx.lineTo(px(j), py(j))
+    })
+    ctx.stroke()
+
+    const dot = ids.length > 2000 ? 1 : ids.length > 200 ? 2 : 3
+    ids.forEach((id, i) => {
+      const [red, green, blue] = groovyRamp(graph.groovy[id])
+      ctx.fillStyle = `rgb(${red}, ${green}, ${blue})`
+      const onCycle = basins.depth[id] === 0
+      const s = onCycle ? dot + 2 : dot
+      ctx.fillRect(px(i) - s / 2, py(i) - s / 2, s, s)
+      if (onCycle) {
+        ctx.strokeStyle = 'rgb(255, 191, 0)'
+        ctx.lineWidth = 1
+        ctx.strokeRect(px(i) - s / 2 - 1, py(i) - s / 2 - 1, s + 2, s + 2)
+      }
+    })
+  })
+}
+
+const formatG = g => g === null ? '—' : g.toFixed(4)
+
+// result: the worker's basins message; maxWidth: widest lattice whose state
+// space fits (0 when none does, e.g. on the infinite lattice)
+export function BasinView({ width, maxWidth, onWidthChange, onDraw, result, busy }) {
+  const canvasRef = useRef(null)
+
+  useEffect(() => {
+    if (result && !result.error && canvasRef.current) drawBasins(canvasRef.current, result)
+  }, [result])
+
+  const periods = useMemo(() => {
+    if (!result || result.error) return ''
+    const counts = new Map()
+    for (const { cycle } of result.basins.basins) counts.set(cycle.length, (counts.get(cycle.length) || 0) + 1)
+    return [...counts].sort((a, b) => a[0] - b[0]).map(([p, n]) => `${n}×${p}`).join(', ')
+  }, [result])
+
+  return (
+    <>
+      <h2>Basins of Attraction</h2>
+      <div className="controls">
+        <div className="control-group">
+          <label>Lattice N</label>
+          <input
+            type="number"
+            min="1"
+            max={maxWidth}
+            value={width}
+            onChange={e => onWidthChange(Math.min(maxWidth, Math.max(1, parseInt(e.target.value) || 1)))}
+            disabled={maxWidth === 0}
+            style={{width: '70px'}}
+          />
+        </div>
+        <button onClick={onDraw} disabled={maxWidth === 0 || busy}>
+          {busy ? 'Computing…' : 'Draw State-Transition Graph'}
+        </button>
+        {result && !result.error && (
+          <button
+            className="secondary"
+            onClick={() => downloadCanvasPNG(canvasRef.current, `groovy-basins-${result.summary.states}-states.png`, 2)}
+          >
+            PNG
+          </button>
+        )}
+        <span style={{fontSize: '0.8rem', opacity: 0.7}}>
+          {maxWidth === 0
+            ? 'Needs a finite boundary'
+            : `Every state of an N-cell lattice (N ≤ ${maxWidth}) with the rule and boundary above`}
+        </span>
+      </div>
+
+      {result?.error && <div className="error">{result.error}</div>}
+
+      {result && !result.error && (
+        <>
+          <div className="metrics">
+            <div className="metric">
+              <div className="metric-value">{result.basins.basins.length}</div>
+              <div className="metric-label">Basins (cycles: count×period {periods})</div>
+            </div>
+            <div className="metric">
+              <div className="metric-value">{(result.summary.gardenOfEden * 100).toFixed(1)}%</div>
+              <div className="metric-label">Garden-of-Eden States</div>
+            </div>
+            <div className="metric">
+              <div className="metric-value">{formatG(result.summary.groovyOnAttractors)}</div>
+              <div className="metric-label">Mean G on Attractors ({result.summary.attractorStates} states)</div>
+            </div>
+            <div className="metric">
+              <div className="metric-value">{formatG(result.summary.groovyOnTransients)}</div>
+              <div className="metric-label">Mean G on Transients</div>
+            </div>
+          </div>
+          <div className="canvas-container">
+            <h3>
+              {result.summary.states} states; node colour = G density (blue 0 → teal → yellow 1), ringed nodes on cycles
+              {result.basins.basins.length > MAX_DRAWN ? ` — largest ${MAX_DRAWN} basins shown` : ''}
+            </h3>
+            <canvas ref={canvasRef} className="basin-canvas" />
+          </div>
+        </>
+      )}
+    </>
+  )
+}
@@ -0,0 +1,89 @@
+import { useState, useCallback } from 'react'
+import { BENCHMARKS } from './ca-core/index.js'
+import { useSimWorker } from './useSimWorker.js'
+
+// =============================================================================
+// BENCHMARK VIEW — lookup-table engine vs the original string-keyed engine
+// =============================================================================
+
+const formatMs = ms => ms < 1 ? `${(ms * 1000).toFixed(0)} µs` : `${ms.toFixed(2)} ms`
+
+const LIFE = BENCHMARKS.find(b => b.id === 'life')
+
+export function BenchmarkView() {
+  const [results, setResults] = useState({})
+  const [pending, setPending] = useState([])
+  const [error, setError] = useState(null)
+
+  const post = useSimWorker(msg => {
+    if (msg.type !== 'bench') return
+    if (msg.error) setError(`${BENCHMARKS.find(b => b.id === msg.id).label}: ${msg.error}`)
+    else setResults(r => ({ ...r, [msg.id]: msg.result }))
+    setPending(p => p.filter(id => id !== msg.id))
+  })
+
+  // The worker runs benchmarks one after another in the order they were posted
+  const runAll = useCallback(() => {
+    setResults({})
+    setError(null)
+    setPending(BENCHMARKS.map(b => b.id))
+    for (const b of BENCHMARKS) post({ type: 'bench', id: b.id })
+  }, [post])
+
+  return (
+    <>
+      <div className="controls">
+        <button onClick={runAll} disabled={pending.length > 0}>
+          {pending.length > 0 ? 'Running…' : 'Run Benchmarks'}
+        </button>
+      </div>
+      {error && <div className="error">{error}</div>}
+
+      <div className="info">
+        Each benchmark runs in the simulation worker. The reference engine (string-keyed lookups,
+        arrays of rows, modulo wrap) only runs a short prefix of the experiment; that prefix is
+        also checked bit for bit against the lookup-table engine.
+      </div>
+
+      <table className="leaderboard">
+        <thead>
+          <tr>
+            <th>Benchmark</th>
+            <th>Size</th>
+            <th>Reference</th>
+            <th>Lookup table</th>
+            <th>Speedup</th>
+            <th>Identical</th>
+          </tr>
+        </thead>
+        <tbody>
+          {BENCHMARKS.map(b => {
+            const r = results[b.id]
+            const size = b.id === 'elementary'
+              ? `${b.width} cells × ${b.steps} steps`
+              : `${b.size}×${b.size} × ${b.frames} frames`
+            return (
+              <tr key={b.id}>
+                <td>{b.label}</td>
+                <td>{size}</td>
+                <td>{r ? `${formatMs(r.referencePerUnit)} / ${r.unit}` : '—'}</td>
+                <td>{r ? `${formatMs(r.fastPerUnit)} / ${r.unit} (${formatMs(r.fastMs)} total)` : '—'}</td>
+                <td>{r ? `${r.speedup.toFixed(1)}×` : pending.includes(b.id) ? '…' : '—'}</td>
+                <td>{r ? (r.identical ? '✓' : '✗') : '—'}</td>
+              </tr>
+            )
+          })}
+        </tbody>
+      </table>
+
+      {results.life && (
+        <div className="info">
+          A {LIFE.size}×{LIFE.size} 2D frame is six full-grid steps (E, D, G and G²) and takes{' '}
+          {formatMs(results.life.fastPerUnit)} on this machine, so the 2D tab plays at most about{' '}
+          {Math.floor(1000 / results.life.fastPerUnit)} frames per second at that size. The cost grows with the
+          number of cells: a grid half as wide plays about four times as fast.
+        </div>
+      )}
+    </>
+  )
+}
@@ -0,0 +1,81 @@
+// =============================================================================
+// CELL INSPECTOR — the rule entries and path values behind one cell
+// =============================================================================
+
+// 1D neighbourhoods on one line; 2D blocks as `side` rows, blank where a
+// cell is not in the neighbourhood and shaded where a Generations cell is dying
+function Neighbourhood({ cells, side }) {
+  if (!side) return <code>{cells.join('')}</code>
+  const rows = Array.from({ length: side }, (_, i) => cells.slice(i * side, (i + 1) * side))
+  return (
+    <code className="block">
+      {rows.map((row, i) => <span key={i}>{row.map(v => v === null ? ' ' : v === 1 ? '█' : v ? '▒' : '·').join('')}</span>)}
+    </code>
+  )
+}
+
+// 2D entries read as B/S rule parts, 1D ones as table indices; dying
+// Generations cells use no entry
+const entryName = e => e.count === undefined
+  ? `#${e.index}`
+  : e.index === null ? `dying (${e.state})` : `${e.alive ? 'S' : 'B'}${e.count}`
+
+// What a stochastic step's draws did to the cell (see cellDraws)
+function describeScheme({ mode, updated, position, noise }) {
+  const update = mode === 'async'
+    ? updated ? 'updated this step' : 'skipped this step, so E keeps its value'
+    : mode === 'sequential' ? `updated at place ${position + 1} of this step's random order` : ''
+  const shift = noise ? `noise added ${noise}` : 'no noise'
+  return `Stochastic step: ${update ? `${update}; ` : ''}${shift}. The entries show the rule alone.`
+}
+
+// title: which cell; result: inspectCell1D / inspectCell2D output; shown: the
+// { D, G } values the panels on screen hold there (null past the last row)
+export function CellInspector({ title, result, shown }) {
+  if (!result) {
+    return (
+      <div className="info inspector">
+        Hover over any panel to inspect a cell: its neighbourhood, the rule entry that fired and both paths of G.
+      </div>
+    )
+  }
+  const { entries, values, labels, scheme } = result
+  const stale = shown && (shown.D !== values.D || shown.G !== values.G)
+  return (
+    <div className="info inspector">
+      <strong>{title}</strong>
+      <table>
+        <thead>
+          <tr>
+            <th>Step</th>
+            <th>Neighbourhood</th>
+            <th>S′</th>
+            <th>Entry</th>
+            <th>Output</th>
+          </tr>
+        </thead>
+        <tbody>
+          {entries.map(e => (
+            <tr key={e.label}>
+              <td className="formula">{e.label}</td>
+              <td><Neighbourhood cells={e.cells} side={e.side} /></td>
+              <td>{e.didChange ?? '—'}</td>
+              <td>{entryName(e)}</td>
+              <td>{e.output}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <p>
+        S = {values.S} · D(S) = {values.D} · E(S) = {values.E} · {labels.DE} = {values.DE} ·{' '}
+        {labels.ED} = {values.ED} · <strong>G = {values.G}</strong>
+      </p>
+      {scheme && <p>{describeScheme(scheme)}</p>}
+      {stale && (
+        <p className="error">
+          The panels show D = {shown.D}, G = {shown.G} here: the controls have changed since this run.
+        </p>
+      )}
+    </div>
+  )
+}
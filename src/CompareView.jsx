@@ -0,0 +1,274 @@
+import { useState, useEffect, useRef, useCallback } from 'react'
+import { mulberry32, randomState, AWARE_MEMORY_BEHAVIORS } from './ca-core/index.js'
+import { useSimWorker } from './useSimWorker.js'
+import { drawCA1D, stateColor, derivColor, groovyColor, groovy2Color, compareColor } from './draw.js'
+import { PanZoom, DEFAULT_VIEW, clampView } from './PanZoom.jsx'
+
+// =============================================================================
+// COMPARE VIEW — two 1D configurations from the same seed, side by side
+// =============================================================================
+//
+// A and B share the lattice, initial row, steps and boundary and differ only
+// in rule, awareness, memory behaviour or commutator. The third panel is the
+// difference map of the chosen field: red only in A, blue only in B, grey in
+// both.
+
+const FIELDS = [
+  { key: 'history', label: 'State S', color: stateColor },
+  { key: 'derivHistory', label: 'Derivative D', color: derivColor },
+  { key: 'groovyHistory', label: 'Commutator G', color: groovyColor },
+  { key: 'groovy2History', label: 'Second order G²', color: groovy2Color }
+]
+
+const CHART_SIZE = { w: 600, h: 160, pad: 32 }
+
+const describe = c => c.aware
+  ? `Rule ${c.rule} → aware (${c.memoryBehavior}, ${c.awareCommutator})`
+  : `Rule ${c.rule}`
+
+function ConfigEditor({ name, config, onChange }) {
+  const set = patch => onChange({ ...config, ...patch })
+  return (
+    <div className="controls" style={{marginTop: '0.5rem'}}>
+      <strong style={{alignSelf: 'center', width: '1.5rem'}}>{name}</strong>
+      <div className="control-group">
+        <label>Rule</label>
+        <input
+          type="number"
+          min="0"
+          max="255"
+          value={config.rule}
+          onChange={e => set({ rule: Math.min(255, Math.max(0, parseInt(e.target.value) || 0)) })}
+        />
+      </div>
+      <div className="control-group">
+        <label style={{display: 'flex', alignItems: 'center', gap: '0.5rem'}}>
+          <input type="checkbox" checked={config.aware} onChange={e => set({ aware: e.target.checked })} />
+          Aware
+        </label>
+      </div>
+      {config.aware && (
+        <>
+          <div className="control-group">
+            <label>Memory Behavior</label>
+            <select value={config.memoryBehavior} onChange={e => set({ memoryBehavior: e.target.value })}>
+              {AWARE_MEMORY_BEHAVIORS.map(b => <option key={b} value={b}>{b}</option>)}
+            </select>
+          </div>
+          <div className="control-group">
+            <label>Commutator History</label>
+            <select value={config.awareCommutator} onChange={e => set({ awareCommutator: e.target.value })}>
+              <option value="frozen">Frozen</option>
+              <option value="paired">Paired</option>
+            </select>
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
+
+function DifferenceChart({ density }) {
+  const { w, h, pad } = CHART_SIZE
+  const n = density.length
+  const maxY = Math.max(0.01, ...density)
+  const sx = i => pad + (n > 1 ? i / (n - 1) : 0) * (w - 2 * pad)
+  const sy = v => h - pad - (v / maxY) * (h - 2 * pad)
+  return (
+    <svg className="chart" viewBox={`0 0 ${w} ${h}`}>
+      <line x1={pad} y1={h - pad} x2={w - pad} y2={h - pad} className="axis" />
+      <line x1={pad} y1={pad} x2={pad} y2={h - pad} className="axis" />
+      <text x={pad - 4} y={pad + 4} className="tick-label" textAnchor="end">{maxY.toFixed(2)}</text>
+      <text x={w - pad} y={h - pad + 14} className="tick-label">{n - 1}</text>
+      <text x={w / 2} y={h - 6} className="axis-label">t</text>
+      <polyline
+        points={density.map((d, i) => `${sx(i).toFixed(1)},${sy(d).toFixed(1)}`).join(' ')}
+        className="rolling series-compare"
+      />
+    </svg>
+  )
+}
+
+// initial: the 1D tab's rule, width, steps, seed, density, boundary and memory behaviour
+export function CompareView({ initial }) {
+  const [width, setWidth] = useState(initial.width)
+  const [steps, setSteps] = useState(initial.steps)
+  const [seed, setSeed] = useState(initial.seed)
+  const [density, setDensity] = useState(initial.density)
+  const [boundary, setBoundary] = useState(initial.boundary)
+  const [start, setStart] = useState('random') // or 'single'
+  const [field, setField] = useState('groovyHistory')
+  const [configs, setConfigs] = useState([
+    { rule: initial.rule, aware: false, memoryBehavior: 'ignore', awareCommutator: 'frozen' },
+    { rule: initial.rule, aware: true, memoryBehavior: initial.memoryBehavior === 'ignore' ? 'invert' : initial.memoryBehavior, awareCommutator: 'frozen' }
+  ])
+  const [result, setResult] = useState(null)
+  const [busy, setBusy] = useState(false)
+  const [view, setView] = useState(DEFAULT_VIEW)
+  const jobRef = useRef(0)
+  const ranConfigs = useRef(configs) // the configurations of the result on screen
+  const canvases = [useRef(null), useRef(null), useRef(null)]
+
+  const post = useSimWorker(msg => {
+    if (msg.type !== 'compare' || msg.id !== jobRef.current) return
+    setResult({ ...msg, configs: ranConfigs.current })
+    setBusy(false)
+  })
+
+  const run = useCallback(() => {
+    let row
+    if (start === 'single') {
+      row = new Uint8Array(width)
+      row[Math.floor(width / 2)] = 1
+    } else {
+      row = randomState(width, mulberry32(seed), density)
+    }
+    jobRef.current++
+    ranConfigs.current = configs
+    setBusy(true)
+    post({ type: 'compare', id: jobRef.current, initial: row, configs, steps, boundary })
+  }, [post, start, width, seed, density, configs, steps, boundary])
+
+  const fieldInfo = FIELDS.find(f => f.key === field)
+
+  useEffect(() => {
+    if (!result || result.error) return
+    result.runs.forEach((r, i) => drawCA1D(canvases[i].current, r[field], fieldInfo.color))
+    drawCA1D(canvases[2].current, result.fields[field].diff, compareColor)
+  }, [result, field])
+
+  const diff = result && !result.error ? result.fields[field] : null
+  const size = diff ? { width: diff.diff[0]?.length ?? 0, height: diff.diff.length } : { width: 0, height: 0 }
+  const panProps = { view: clampView(view, size), onView: setView, size }
+
+  return (
+    <>
+      <div className="controls">
+        <div className="control-group">
+          <label>Width</label>
+          <input
+            type="number"
+            min="10"
+            max="2000"
+            value={width}
+            onChange={e => setWidth(Math.max(10, parseInt(e.target.value) || 200))}
+          />
+        </div>
+        <div className="control-group">
+          <label>Steps</label>
+          <input
+            type="number"
+            min="10"
+            max="2000"
+            value={steps}
+            onChange={e => setSteps(Math.max(10, parseInt(e.target.value) || 150))}
+          />
+        </div>
+        <div className="control-group">
+          <label>Start</label>
+          <select value={start} onChange={e => setStart(e.target.value)}>
+            <option value="random">Random (seed)</option>
+            <option value="single">Single cell</option>
+          </select>
+        </div>
+        {start === 'random' && (
+          <>
+            <div className="control-group">
+              <label>Seed</label>
+              <input type="number" min="0" value={seed} onChange={e => setSeed(parseInt(e.target.value) || 0)} />
+            </div>
+            <div className="control-group">
+              <label>Density {density.toFixed(2)}</label>
+              <input
+                type="range"
+                min="0"
+                max="1"
+                step="0.01"
+                value={density}
+                onChange={e => setDensity(parseFloat(e.target.value))}
+              />
+            </div>
+          </>
+        )}
+        <div className="control-group">
+          <label>Boundary</label>
+          <select value={boundary} onChange={e => setBoundary(e.target.value)}>
+            <option value="periodic">Periodic (ring)</option>
+            <option value="fixed0">Fixed 0</option>
+            <option value="fixed1">Fixed 1</option>
+            <option value="reflective">Reflective</option>
+            <option value="infinite">Infinite</option>
+          </select>
+        </div>
+        <div className="control-group">
+          <label>Compare</label>
+          <select value={field} onChange={e => setField(e.target.value)}>
+            {FIELDS.map(f => <option key={f.key} value={f.key}>{f.label}</option>)}
+          </select>
+        </div>
+        <button onClick={run} disabled={busy}>
+          {busy ? 'Running…' : 'Run Both'}
+        </button>
+      </div>
+
+      {configs.map((config, i) => (
+        <ConfigEditor
+          key={i}
+          name={'AB'[i]}
+          config={config}
+          onChange={c => setConfigs(configs.map((old, j) => j === i ? c : old))}
+        />
+      ))}
+
+      {result?.error && <div className="error">{result.error}</div>}
+
+      {diff && (
+        <>
+          <div className="metrics">
+            {result.runs.map((r, i) => (
+              <div className="metric" key={i}>
+                <div className="metric-value">{r.metrics.groovyDensity.toFixed(4)}</div>
+                <div className="metric-label">
+                  {'AB'[i]}: G density (ρ {r.metrics.rho.toFixed(4)})
+                  {r.cycle ? `, cycle ${r.cycle.transient} + ${r.cycle.period}` : ''}
+                </div>
+              </div>
+            ))}
+            <div className="metric">
+              <div className="metric-value">{diff.meanDensity.toFixed(4)}</div>
+              <div className="metric-label">Mean Fraction of Cells That Differ</div>
+            </div>
+            <div className="metric">
+              <div className="metric-value">{diff.firstDifference ?? '—'}</div>
+              <div className="metric-label">First Row Where They Differ</div>
+            </div>
+          </div>
+
+          <div className="canvases">
+            {['A', 'B'].map((name, i) => (
+              <div className="canvas-container" key={name}>
+                <h3>{name}: {describe(result.configs[i])} — {fieldInfo.label}</h3>
+                <PanZoom {...panProps}>
+                  <canvas ref={canvases[i]} />
+                </PanZoom>
+              </div>
+            ))}
+            <div className="canvas-container">
+              <h3>
+                Difference — <span style={{color: 'rgb(255, 107, 107)'}}>only A</span>,{' '}
+                <span style={{color: 'rgb(0, 170, 255)'}}>only B</span>, grey in both
+              </h3>
+              <PanZoom {...panProps}>
+                <canvas ref={canvases[2]} />
+              </PanZoom>
+            </div>
+            <div className="canvas-container">
+              <h3>Fraction of cells that differ, per row</h3>
+              <DifferenceChart density={diff.density} />
+            </div>
+          </div>
+        </>
+      )}
+    </>
+  )
+}
@@ -0,0 +1,94 @@
+import { useMemo } from 'react'
+import { MAX_BLOCK, correlation } from './ca-core/index.js'
+
+// =============================================================================
+// COMPLEXITY PANEL — block entropy, LZ and mutual information beside G
+// =============================================================================
+
+const FIELDS = ['S', 'D', 'G']
+
+// One row per measure; value picks it out of a complexityProfile
+function measures(maxBlock) {
+  const rows = []
+  for (let b = 1; b <= maxBlock; b++) {
+    rows.push({ label: `H${b} (bits)`, value: p => p.entropy[b - 1] })
+  }
+  rows.push({ label: 'Lempel–Ziv', value: p => p.lz })
+  rows.push({ label: 'Mutual info (bits)', value: p => p.mi })
+  return rows
+}
+
+// Correlation of a measure with G density over the steps where both exist
+function correlateWithG(samples, groovy, field, value) {
+  const xs = []
+  const ys = []
+  samples.forEach((sample, t) => {
+    const x = value(sample[field])
+    if (x !== undefined && groovy[t] !== undefined) {
+      xs.push(x)
+      ys.push(groovy[t])
+    }
+  })
+  return xs.length > 1 ? correlation(xs, ys) : null
+}
+
+const formatR = r => r === null ? '—' : `${r >= 0 ? '+' : '−'}${Math.abs(r).toFixed(2)}`
+
+// samples: per-step { S, D, G } profiles; groovy: the matching G densities
+export function ComplexityPanel({ samples, groovy, lambda, lambdaLabel, maxBlock, onMaxBlockChange }) {
+  const rows = useMemo(() => measures(maxBlock), [maxBlock])
+  const correlations = useMemo(() => rows.map(row =>
+    FIELDS.map(field => correlateWithG(samples, groovy, field, row.value))
+  ), [rows, samples, groovy])
+
+  const latest = samples[samples.length - 1]
+
+  return (
+    <>
+      <div className="controls" style={{marginTop: '1rem'}}>
+        <div className="metric">
+          <div className="metric-value">{lambda.toFixed(4)}</div>
+          <div className="metric-label">Langton's λ ({lambdaLabel})</div>
+        </div>
+        <div className="control-group">
+          <label>Entropy blocks 1..</label>
+          <input
+            type="number"
+            min="1"
+            max={MAX_BLOCK}
+            value={maxBlock}
+            onChange={e => onMaxBlockChange(Math.min(MAX_BLOCK, Math.max(1, parseInt(e.target.value) || 1)))}
+          />
+        </div>
+      </div>
+
+      {latest && (
+        <table className="leaderboard series-stats">
+          <thead>
+            <tr>
+              <th>Measure</th>
+              {FIELDS.map(field => (
+                <th key={field}>{field} now / r with |G|</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((row, i) => (
+              <tr key={row.label}>
+                <td>{row.label}</td>
+                {FIELDS.map((field, j) => {
+                  const v = row.value(latest[field])
+                  return (
+                    <td key={field}>
+                      {v === undefined ? '—' : v.toFixed(4)} / {formatR(correlations[i][j])}
+                    </td>
+                  )
+                })}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </>
+  )
+}
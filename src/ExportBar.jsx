@@ -0,0 +1,101 @@
+import { useState } from 'react'
+import { MAX_EXPORT_SCALE, downloadCanvasPNG, posterCanvas } from './export.js'
+
+// =============================================================================
+// EXPORT BAR — PNGs of the panels on screen, a labelled poster of them all,
+// and (2D) an animated GIF recorded by the worker
+// =============================================================================
+
+export const MAX_GIF_FRAMES = 500
+
+// panels: [{ key, short, label, canvas }] with canvas() returning the element;
+// poster: { title, lines } to offer a composite of every panel; gif:
+// { onRecord({ frames, scale, delay }), progress (0..1, or null when idle),
+// error } to offer a recording. disabled: nothing drawn yet.
+export function ExportBar({ panels, prefix, poster = null, gif = null, disabled = false }) {
+  const [scale, setScale] = useState(4)
+  const [frames, setFrames] = useState(60)
+  const [delay, setDelay] = useState(100) // ms per frame
+
+  const savePanel = ({ key, canvas }) => downloadCanvasPNG(canvas(), `${prefix}-${key}-x${scale}.png`, scale)
+
+  const savePoster = () => {
+    const canvas = posterCanvas(
+      panels.map(({ label, canvas }) => ({ label, canvas: canvas() })),
+      { ...poster, scale }
+    )
+    downloadCanvasPNG(canvas, `${prefix}-poster-x${scale}.png`)
+  }
+
+  return (
+    <div className="controls" style={{marginTop: '0.5rem'}}>
+      <div className="control-group">
+        <label>Export Scale ×</label>
+        <input
+          type="number"
+          min="1"
+          max={MAX_EXPORT_SCALE}
+          value={scale}
+          onChange={e => setScale(Math.min(MAX_EXPORT_SCALE, Math.max(1, parseInt(e.target.value) || 1)))}
+          style={{width: '70px'}}
+        />
+      </div>
+      <div className="control-group">
+        <label>PNG</label>
+        <div style={{display: 'flex', gap: '0.25rem'}}>
+          {panels.map(panel => (
+            <button
+              key={panel.key}
+              className="secondary"
+              onClick={() => savePanel(panel)}
+              disabled={disabled}
+              title={panel.label}
+            >
+              {panel.short}
+            </button>
+          ))}
+        </div>
+      </div>
+      {poster && (
+        <button className="secondary" onClick={savePoster} disabled={disabled}>
+          Poster PNG
+        </button>
+      )}
+      {gif && (
+        <>
+          <div className="control-group">
+            <label>GIF Frames</label>
+            <input
+              type="number"
+              min="1"
+              max={MAX_GIF_FRAMES}
+              value={frames}
+              onChange={e => setFrames(Math.min(MAX_GIF_FRAMES, Math.max(1, parseInt(e.target.value) || 1)))}
+              style={{width: '70px'}}
+            />
+          </div>
+          <div className="control-group">
+            <label>Frame ms</label>
+            <input
+              type="number"
+              min="20"
+              max="2000"
+              step="10"
+              value={delay}
+              onChange={e => setDelay(Math.min(2000, Math.max(20, parseInt(e.target.value) || 100)))}
+              style={{width: '70px'}}
+            />
+          </div>
+          <button
+            className="secondary"
+            onClick={() => gif.onRecord({ frames, scale, delay })}
+            disabled={gif.progress !== null || disabled}
+          >
+            {gif.progress === null ? 'Record GIF (State + G)' : `Recording… ${Math.round(gif.progress * 100)}%`}
+          </button>
+          {gif.error && <div className="error">{gif.error}</div>}
+        </>
+      )}
+    </div>
+  )
+}
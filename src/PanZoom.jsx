@@ -0,0 +1,124 @@
+import { useEffect, useRef } from 'react'
+
+// =============================================================================
+// PAN & ZOOM — one canvas panel of a linked set
+// =============================================================================
+//
+// Panels of a set share one view { zoom, x, y }: the zoom factor and the cell
+// at the top-left corner, so S, D, G and G² always show the same cells even
+// when their heights differ by a row. The canvas keeps one pixel per cell and
+// is scaled with CSS, nearest-neighbour (image-rendering: pixelated).
+// Wheel zooms about the pointer; dragging pans. On a paintable panel, drag
+// paints and Shift-drag (or the middle button) pans.
+
+export const DEFAULT_VIEW = { zoom: 1, x: 0, y: 0 }
+export const MAX_ZOOM = 64
+
+// Keep the visible window inside the size.width × size.height cells
+export function clampView({ zoom, x, y }, size) {
+  const z = Math.min(MAX_ZOOM, Math.max(1, zoom))
+  return {
+    zoom: z,
+    x: Math.min(Math.max(0, x), size.width - size.width / z),
+    y: Math.min(Math.max(0, y), size.height - size.height / z)
+  }
+}
+
+// size: the panel's cells; marker: a cell to outline (the one inspected);
+// onHover({ x, y }) reports the cell under the pointer
+export function PanZoom({ view, onView, size, marker = null, onHover = null, paintable = false, children }) {
+  const boxRef = useRef(null)
+  const dragRef = useRef(null)
+  const latest = useRef({ view, onView, size })
+  latest.current = { view, onView, size }
+
+  // React's wheel listener is passive, so the page would scroll too
+  useEffect(() => {
+    const box = boxRef.current
+    const onWheel = e => {
+      const { view, onView, size } = latest.current
+      if (!size.width || !size.height) return
+      e.preventDefault()
+      const rect = box.getBoundingClientRect()
+      const u = (e.clientX - rect.left) / rect.width
+      const v = (e.clientY - rect.top) / rect.height
+      const zoom = Math.min(MAX_ZOOM, Math.max(1, view.zoom * Math.exp(-e.deltaY * 0.002)))
+      // The cell under the pointer stays put
+      onView(clampView({
+        zoom,
+        x: view.x + u * size.width * (1 / view.zoom - 1 / zoom),
+        y: view.y + v * size.height * (1 / view.zoom - 1 / zoom)
+      }, size))
+    }
+    box.addEventListener('wheel', onWheel, { passive: false })
+    return () => box.removeEventListener('wheel', onWheel)
+  }, [])
+
+  const cellAt = e => {
+    const canvas = boxRef.current.querySelector('canvas')
+    const rect = canvas.getBoundingClientRect()
+    const x = Math.floor((e.clientX - rect.left) / rect.width * size.width)
+    const y = Math.floor((e.clientY - rect.top) / rect.height * size.height)
+    return x >= 0 && x < size.width && y >= 0 && y < size.height ? { x, y } : null
+  }
+
+  const onPointerDown = e => {
+    if (paintable && !e.shiftKey && e.button !== 1) return
+    e.preventDefault()
+    e.currentTarget.setPointerCapture(e.pointerId)
+    dragRef.current = { clientX: e.clientX, clientY: e.clientY, view }
+  }
+
+  const onPointerMove = e => {
+    const drag = dragRef.current
+    if (drag) {
+      const rect = boxRef.current.getBoundingClientRect()
+      onView(clampView({
+        zoom: drag.view.zoom,
+        x: drag.view.x - (e.clientX - drag.clientX) / rect.width * size.width / drag.view.zoom,
+        y: drag.view.y - (e.clientY - drag.clientY) / rect.height * size.height / drag.view.zoom
+      }, size))
+    }
+    if (onHover && size.width) {
+      const cell = cellAt(e)
+      if (cell) onHover(cell)
+    }
+  }
+
+  const endDrag = () => {
+    dragRef.current = null
+  }
+
+  const { zoom, x, y } = view
+  const pct = (cells, total) => `${total ? cells / total * 100 : 0}%`
+  return (
+    <div
+      ref={boxRef}
+      className="pan-zoom"
+      onPointerDown={onPointerDown}
+      onPointerMove={onPointerMove}
+      onPointerUp={endDrag}
+      onPointerCancel={endDrag}
+    >
+      <div
+        style={{
+          transform: `scale(${zoom}) translate(-${pct(x, size.width)}, -${pct(y, size.height)})`,
+          transformOrigin: '0 0'
+        }}
+      >
+        {children}
+      </div>
+      {marker && marker.x < size.width && marker.y < size.height && (
+        <div
+          className="cell-marker"
+          style={{
+            left: pct((marker.x - x) * zoom, size.width),
+            top: pct((marker.y - y) * zoom, size.height),
+            width: pct(zoom, size.width),
+            height: pct(zoom, size.height)
+          }}
+        />
+      )}
+    </div>
+  )
+}
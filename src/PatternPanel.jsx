@@ -0,0 +1,123 @@
+import { useState, useRef, useCallback } from 'react'
+import { createGrid, parsePattern, placePattern, gridToRLE } from './ca-core/index.js'
+import { downloadText } from './download.js'
+
+// =============================================================================
+// PATTERN PANEL — load RLE, .cells or Life 1.06 files into the 2D grid and
+// save the state, D or G grid as RLE
+// =============================================================================
+
+const PATTERN_FILES = '.rle,.cells,.lif,.life,.txt'
+
+// grids: { state, deriv, groovy } on screen; rule: { birthRule, surviveRule,
+// neighbourhood }, or null when the run is not a plain outer-totalistic rule;
+// onLoad(grid) replaces the grid
+export function PatternPanel({ grids, size, rule, ruleLabel, onLoad, onRule }) {
+  const [text, setText] = useState('')
+  const [centre, setCentre] = useState(true)
+  const [offset, setOffset] = useState({ x: 0, y: 0 })
+  const [clearFirst, setClearFirst] = useState(true)
+  const [useRule, setUseRule] = useState(true)
+  const [message, setMessage] = useState(null) // { error } or { info }
+  const fileInput = useRef(null)
+
+  const load = useCallback((source) => {
+    let pattern
+    try {
+      pattern = parsePattern(source)
+    } catch (err) {
+      setMessage({ error: err.message })
+      return
+    }
+    if (!pattern.width) {
+      setMessage({ error: 'The pattern has no live cells' })
+      return
+    }
+    const base = clearFirst || !grids.state ? createGrid(size, size) : grids.state
+    const { grid, clipped } = placePattern(base, pattern, centre ? null : offset)
+    if (useRule && pattern.rule) onRule(pattern.rule)
+    onLoad(grid)
+    const name = pattern.name ? `"${pattern.name}" ` : ''
+    setMessage({
+      info: `Loaded ${name}(${pattern.width}×${pattern.height})` +
+        (clipped ? ' — cells past the grid edge were dropped' : '')
+    })
+  }, [grids.state, size, clearFirst, centre, offset, useRule, onLoad, onRule])
+
+  const loadFile = useCallback(async (e) => {
+    const file = e.target.files[0]
+    e.target.value = '' // the same file can be picked again
+    if (!file) return
+    const source = await file.text()
+    setText(source)
+    load(source)
+  }, [load])
+
+  const save = (which, label) => {
+    const grid = grids[which]
+    if (!grid) return
+    const name = `${ruleLabel} ${label}`
+    downloadText(`groovy-${ruleLabel.replace(/\//g, '').replace(/[,.]+/g, '-')}-${which}.rle`, gridToRLE(grid, { rule, name }))
+  }
+
+  return (
+    <div className="controls" style={{marginTop: '0.5rem', alignItems: 'flex-start'}}>
+      <div className="control-group">
+        <label>Pattern (RLE, .cells or Life 1.06)</label>
+        <textarea
+          value={text}
+          onChange={e => setText(e.target.value)}
+          rows={4}
+          cols={36}
+          spellCheck={false}
+          placeholder={'x = 3, y = 3, rule = B3/S23\nbob$2bo$3o!'}
+        />
+      </div>
+      <div className="control-group">
+        <label style={{display: 'flex', alignItems: 'center', gap: '0.5rem'}}>
+          <input type="checkbox" checked={centre} onChange={e => setCentre(e.target.checked)} />
+          Centre
+        </label>
+        {!centre && (
+          <div style={{display: 'flex', gap: '0.25rem'}}>
+            {['x', 'y'].map(axis => (
+              <input
+                key={axis}
+                type="number"
+                value={offset[axis]}
+                onChange={e => setOffset({ ...offset, [axis]: parseInt(e.target.value) || 0 })}
+                title={`${axis} offset of the pattern's top-left cell`}
+                style={{width: '60px'}}
+              />
+            ))}
+          </div>
+        )}
+        <label style={{display: 'flex', alignItems: 'center', gap: '0.5rem'}}>
+          <input type="checkbox" checked={clearFirst} onChange={e => setClearFirst(e.target.checked)} />
+          Clear grid first
+        </label>
+        <label style={{display: 'flex', alignItems: 'center', gap: '0.5rem'}}>
+          <input type="checkbox" checked={useRule} onChange={e => setUseRule(e.target.checked)} />
+          Use the pattern's rule
+        </label>
+      </div>
+      <button onClick={() => load(text)} disabled={!text.trim()}>
+        Load Pattern
+      </button>
+      <button className="secondary" onClick={() => fileInput.current.click()}>
+        Open File…
+      </button>
+      <input ref={fileInput} type="file" accept={PATTERN_FILES} onChange={loadFile} style={{display: 'none'}} />
+      <div className="control-group">
+        <label>Save as RLE</label>
+        <div style={{display: 'flex', gap: '0.25rem'}}>
+          <button className="secondary" onClick={() => save('state', 'state')} disabled={!grids.state}>State</button>
+          <button className="secondary" onClick={() => save('deriv', 'D')} disabled={!grids.deriv}>D</button>
+          <button className="secondary" onClick={() => save('groovy', 'G')} disabled={!grids.groovy}>G</button>
+        </div>
+      </div>
+      {message?.error && <div className="error">{message.error}</div>}
+      {message?.info && <span style={{fontSize: '0.8rem', opacity: 0.7}}>{message.info}</span>}
+    </div>
+  )
+}
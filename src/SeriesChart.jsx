@@ -0,0 +1,142 @@
+import { useState, useMemo } from 'react'
+import { SERIES_KEYS, seriesStats, seriesToCSV } from './ca-core/index.js'
+import { downloadText } from './download.js'
+
+// =============================================================================
+// SERIES CHART — ρ(t), |G|(t) and |G²|(t) with rolling statistics
+// =============================================================================
+
+const SERIES_LABELS = { rho: 'ρ', groovy: '|G|', groovy2: '|G²|' }
+const LINE_SIZE = { w: 600, h: 200, pad: 32 }
+const ACF_SIZE = { w: 320, h: 200, pad: 32 }
+
+const points = (ys, sx, sy) => ys.map((y, i) => `${sx(i).toFixed(1)},${sy(y).toFixed(1)}`).join(' ')
+
+// Lag ≥ 1 with the largest autocorrelation — the dominant oscillation period,
+// if the series has one
+function acfPeak(acf) {
+  let best = null
+  for (let lag = 1; lag < acf.length; lag++) {
+    if (best === null || acf[lag] > acf[best]) best = lag
+  }
+  return best
+}
+
+// series: { rho, groovy, groovy2 } arrays; step t of the chart is firstStep + t
+export function SeriesChart({ series, firstStep = 0, filename = 'series.csv' }) {
+  const [windowSize, setWindowSize] = useState(20)
+  const [maxLag, setMaxLag] = useState(50)
+  const n = series.rho.length
+
+  const stats = useMemo(() => Object.fromEntries(
+    SERIES_KEYS.map(key => [key, seriesStats(series[key], { window: windowSize, maxLag })])
+  ), [series, windowSize, maxLag])
+
+  if (n === 0) return null
+
+  const { w, h, pad } = LINE_SIZE
+  const maxY = Math.max(0.01, ...SERIES_KEYS.map(key => Math.max(...series[key])))
+  const sx = i => pad + (n > 1 ? i / (n - 1) : 0) * (w - 2 * pad)
+  const sy = v => h - pad - (v / maxY) * (h - 2 * pad)
+
+  const lags = stats.rho.acf.length
+  const A = ACF_SIZE
+  const ax = lag => A.pad + (lags > 1 ? lag / (lags - 1) : 0) * (A.w - 2 * A.pad)
+  const ay = r => A.h / 2 - r * (A.h / 2 - A.pad)
+
+  const exportCSV = () => downloadText(filename, seriesToCSV(series, { window: windowSize, firstStep }), 'text/csv')
+
+  return (
+    <>
+      <div className="controls" style={{marginTop: '1rem'}}>
+        <div className="control-group">
+          <label>Rolling Window</label>
+          <input
+            type="number"
+            min="1"
+            max="1000"
+            value={windowSize}
+            onChange={e => setWindowSize(Math.max(1, parseInt(e.target.value) || 1))}
+          />
+        </div>
+        <div className="control-group">
+          <label>Max Lag</label>
+          <input
+            type="number"
+            min="1"
+            max="1000"
+            value={maxLag}
+            onChange={e => setMaxLag(Math.max(1, parseInt(e.target.value) || 1))}
+          />
+        </div>
+        <button className="secondary" onClick={exportCSV}>
+          Export CSV
+        </button>
+      </div>
+
+      <div className="canvases">
+        <div className="canvas-container">
+          <h3>Densities over time (faint: per step, solid: rolling mean of {windowSize})</h3>
+          <svg className="chart" viewBox={`0 0 ${w} ${h}`}>
+            <line x1={pad} y1={h - pad} x2={w - pad} y2={h - pad} className="axis" />
+            <line x1={pad} y1={pad} x2={pad} y2={h - pad} className="axis" />
+            <text x={pad} y={h - pad + 14} className="tick-label">{firstStep}</text>
+            <text x={w - pad} y={h - pad + 14} className="tick-label">{firstStep + n - 1}</text>
+            <text x={pad - 4} y={pad + 4} className="tick-label" textAnchor="end">{maxY.toFixed(2)}</text>
+            <text x={w / 2} y={h - 6} className="axis-label">t</text>
+            {SERIES_KEYS.map(key => (
+              <g key={key} className={`series-${key}`}>
+                <polyline points={points(series[key], sx, sy)} className="raw" />
+                <polyline points={points(stats[key].means, sx, sy)} className="rolling" />
+              </g>
+            ))}
+          </svg>
+        </div>
+        <div className="canvas-container">
+          <h3>Autocorrelation r(lag)</h3>
+          <svg className="chart" viewBox={`0 0 ${A.w} ${A.h}`}>
+            <line x1={A.pad} y1={ay(0)} x2={A.w - A.pad} y2={ay(0)} className="axis" />
+            <line x1={A.pad} y1={A.pad} x2={A.pad} y2={A.h - A.pad} className="axis" />
+            <text x={A.pad - 4} y={ay(1) + 4} className="tick-label" textAnchor="end">1</text>
+            <text x={A.pad - 4} y={ay(-1) + 4} className="tick-label" textAnchor="end">−1</text>
+            <text x={A.w - A.pad} y={A.h - A.pad + 14} className="tick-label">{lags - 1}</text>
+            {SERIES_KEYS.map(key => (
+              <polyline key={key} points={points(stats[key].acf, ax, ay)} className={`series-${key} rolling`} />
+            ))}
+          </svg>
+        </div>
+      </div>
+
+      <table className="leaderboard series-stats">
+        <thead>
+          <tr>
+            <th>Series</th>
+            <th>Mean</th>
+            <th>Variance</th>
+            <th>Rolling mean</th>
+            <th>Rolling variance</th>
+            <th>r(1)</th>
+            <th>ACF peak</th>
+          </tr>
+        </thead>
+        <tbody>
+          {SERIES_KEYS.map(key => {
+            const s = stats[key]
+            const peak = acfPeak(s.acf)
+            return (
+              <tr key={key}>
+                <td className={`series-${key}`}>{SERIES_LABELS[key]}</td>
+                <td>{s.mean.toFixed(4)}</td>
+                <td>{s.variance.toExponential(2)}</td>
+                <td>{s.means[n - 1].toFixed(4)}</td>
+                <td>{s.variances[n - 1].toExponential(2)}</td>
+                <td>{s.acf.length > 1 ? s.acf[1].toFixed(3) : '—'}</td>
+                <td>{peak !== null ? `lag ${peak} (${s.acf[peak].toFixed(3)})` : '—'}</td>
+              </tr>
+            )
+          })}
+        </tbody>
+      </table>
+    </>
+  )
+}
@@ -0,0 +1,184 @@
+import { useState, useEffect, useRef } from 'react'
+import { sonifyScore, SONIFY_RAMP, SONIFY_VOICES, MAX_PARTIALS } from './ca-core/index.js'
+import { useSimWorker } from './useSimWorker.js'
+import { downloadBlob } from './download.js'
+
+// =============================================================================
+// SONIFY PANEL — hear D, G and G² of the 1D run, live or as a WAV file
+// =============================================================================
+//
+// Live playback schedules the score (see ca-core/sonify.js) on Web Audio
+// oscillators, one per partial. The WAV is rendered from the same score by
+// the worker in plain JS, so a run always gives the same file.
+
+// One oscillator and gain per partial, automated step by step from `start`
+// (AudioContext time) the way renderScore ramps them
+function scheduleScore(ctx, score, stepSeconds, start) {
+  const master = ctx.createGain()
+  master.gain.value = score.gain
+  master.connect(ctx.destination)
+  const end = start + score.steps * stepSeconds + SONIFY_RAMP
+  for (const { freqs, amps } of score.voices) {
+    for (let p = 0; p < (amps[0]?.length ?? 0); p++) {
+      const osc = ctx.createOscillator()
+      const gain = ctx.createGain()
+      osc.frequency.setValueAtTime(freqs[0][p], start)
+      gain.gain.setValueAtTime(0, start)
+      let prevAmp = 0
+      let prevFreq = freqs[0][p]
+      for (let t = 0; t <= score.steps; t++) {
+        const amp = t < score.steps ? amps[t][p] : 0
+        const freq = t < score.steps ? freqs[t][p] : prevFreq
+        const at = start + t * stepSeconds
+        if (amp !== prevAmp) {
+          gain.gain.setValueAtTime(prevAmp, at)
+          gain.gain.linearRampToValueAtTime(amp, at + SONIFY_RAMP)
+        }
+        if (freq !== prevFreq) {
+          osc.frequency.setValueAtTime(prevFreq, at)
+          osc.frequency.linearRampToValueAtTime(freq, at + SONIFY_RAMP)
+        }
+        prevAmp = amp
+        prevFreq = freq
+      }
+      osc.connect(gain).connect(master)
+      osc.start(start)
+      osc.stop(end)
+    }
+  }
+  return end
+}
+
+// run: { derivHistory, groovyHistory, groovy2History } of the 1D run on
+// screen; k: its colours; prefix: the start of the WAV file name
+export function SonifyPanel({ run, k, prefix, disabled = false }) {
+  const [mapping, setMapping] = useState('partials')
+  const [partials, setPartials] = useState(32)
+  const [stepMs, setStepMs] = useState(100)
+  const [voices, setVoices] = useState(SONIFY_VOICES.map(v => v.name))
+  const [playing, setPlaying] = useState(null) // { step, steps } while playing
+  const [rendering, setRendering] = useState(false)
+  const [error, setError] = useState(null)
+  const playback = useRef(null) // { ctx, raf }
+  const jobRef = useRef(0)
+
+  const post = useSimWorker(msg => {
+    if (msg.type !== 'sonify' || msg.id !== jobRef.current) return
+    setRendering(false)
+    if (msg.error) setError(msg.error)
+    else downloadBlob(`${prefix}-${mapping}.wav`, new Blob([msg.bytes], { type: 'audio/wav' }))
+  })
+
+  const stop = () => {
+    if (!playback.current) return
+    cancelAnimationFrame(playback.current.raf)
+    playback.current.ctx.close()
+    playback.current = null
+    setPlaying(null)
+  }
+
+  useEffect(() => stop, [])
+
+  const options = () => ({ mapping, partials, k, voices })
+
+  const play = () => {
+    stop()
+    setError(null)
+    let score
+    try {
+      score = sonifyScore(run, options())
+    } catch (e) {
+      setError(e.message)
+      return
+    }
+    const ctx = new (window.AudioContext || window.webkitAudioContext)()
+    const stepSeconds = stepMs / 1000
+    const start = ctx.currentTime + 0.05
+    const end = scheduleScore(ctx, score, stepSeconds, start)
+    const follow = () => {
+      if (ctx.currentTime >= end) return stop()
+      setPlaying({ step: Math.max(0, Math.floor((ctx.currentTime - start) / stepSeconds)), steps: score.steps })
+      playback.current.raf = requestAnimationFrame(follow)
+    }
+    playback.current = { ctx, raf: requestAnimationFrame(follow) }
+  }
+
+  const saveWAV = () => {
+    jobRef.current++
+    setError(null)
+    setRendering(true)
+    const { derivHistory, groovyHistory, groovy2History } = run
+    post({
+      type: 'sonify',
+      id: jobRef.current,
+      run: { derivHistory, groovyHistory, groovy2History },
+      stepSeconds: stepMs / 1000,
+      ...options()
+    })
+  }
+
+  const toggleVoice = name => setVoices(voices.includes(name) ? voices.filter(v => v !== name) : [...voices, name])
+  const silent = disabled || voices.length === 0
+
+  return (
+    <>
+      <div className="controls" style={{marginTop: '0.5rem'}}>
+        <div className="control-group">
+          <label>Sonify</label>
+          <select value={mapping} onChange={e => setMapping(e.target.value)}>
+            <option value="partials">Partials per column</option>
+            <option value="density">Density → pitch</option>
+          </select>
+        </div>
+        {mapping === 'partials' && (
+          <div className="control-group">
+            <label>Partials</label>
+            <input
+              type="number"
+              min="1"
+              max={MAX_PARTIALS}
+              value={partials}
+              onChange={e => setPartials(Math.min(MAX_PARTIALS, Math.max(1, parseInt(e.target.value) || 32)))}
+              style={{width: '70px'}}
+            />
+          </div>
+        )}
+        <div className="control-group">
+          <label>ms per Step</label>
+          <input
+            type="number"
+            min="10"
+            max="2000"
+            value={stepMs}
+            onChange={e => setStepMs(Math.min(2000, Math.max(10, parseInt(e.target.value) || 100)))}
+            style={{width: '70px'}}
+          />
+        </div>
+        <div className="control-group">
+          <label>Voices</label>
+          <div style={{display: 'flex', gap: '0.5rem'}}>
+            {SONIFY_VOICES.map(({ name }) => (
+              <label key={name} style={{display: 'flex', alignItems: 'center', gap: '0.25rem'}}>
+                <input type="checkbox" checked={voices.includes(name)} onChange={() => toggleVoice(name)} />
+                {name}
+              </label>
+            ))}
+          </div>
+        </div>
+        {playing ? (
+          <button className="secondary" onClick={stop}>
+            ■ Stop (step {playing.step} / {playing.steps})
+          </button>
+        ) : (
+          <button className="secondary" onClick={play} disabled={silent}>
+            ▶ Play
+          </button>
+        )}
+        <button className="secondary" onClick={saveWAV} disabled={silent || rendering}>
+          {rendering ? 'Rendering…' : 'Save WAV'}
+        </button>
+      </div>
+      {error && <div className="error">{error}</div>}
+    </>
+  )
+}
@@ -0,0 +1,205 @@
+import { useState, useRef, useCallback } from 'react'
+import { MAX_SPECTRUM_WIDTH, MAX_COMMUTING_LISTED } from './ca-core/index.js'
+import { useSimWorker } from './useSimWorker.js'
+
+// =============================================================================
+// SPECTRUM VIEW — D, G and G² on every one of the 2^N states
+// =============================================================================
+
+const SERIES = [
+  { key: 'rho', label: '|D|' },
+  { key: 'groovy', label: '|G|' },
+  { key: 'groovy2', label: '|G²|' }
+]
+
+const HISTOGRAM_SIZE = { w: 600, h: 220, pad: 36 }
+
+// State x as cells 0..N-1, cell i = bit i
+const stateString = (x, width) => Array.from({ length: width }, (_, i) => (x >> i) & 1).join('')
+
+function WeightHistogram({ result }) {
+  const { w, h, pad } = HISTOGRAM_SIZE
+  const bins = result.width + 1
+  const maxFraction = Math.max(...SERIES.flatMap(({ key }) => result.weights[key].map(c => c / result.states)))
+  const slot = (w - 2 * pad) / bins
+  const bar = slot / (SERIES.length + 1)
+  const sy = f => h - pad - (f / maxFraction) * (h - 2 * pad)
+
+  return (
+    <svg className="chart" viewBox={`0 0 ${w} ${h}`}>
+      <line x1={pad} y1={h - pad} x2={w - pad} y2={h - pad} className="axis" />
+      <line x1={pad} y1={pad} x2={pad} y2={h - pad} className="axis" />
+      <text x={pad - 4} y={pad + 4} className="tick-label" textAnchor="end">{maxFraction.toFixed(2)}</text>
+      <text x={w / 2} y={h - 6} className="axis-label">weight (cells that are 1)</text>
+      {Array.from({ length: bins }, (_, weight) => (
+        <g key={weight}>
+          <text x={pad + (weight + 0.5) * slot} y={h - pad + 14} className="tick-label">{weight}</text>
+          {SERIES.map(({ key }, j) => {
+            const f = result.weights[key][weight] / result.states
+            return (
+              <rect
+                key={key}
+                x={pad + weight * slot + (j + 0.5) * bar}
+                y={sy(f)}
+                width={bar}
+                height={h - pad - sy(f)}
+                className={`bar series-${key}`}
+              >
+                <title>{`${result.weights[key][weight]} states with weight ${weight}`}</title>
+              </rect>
+            )
+          })}
+        </g>
+      ))}
+    </svg>
+  )
+}
+
+// rule and boundary start from the 1D tab's
+export function SpectrumView({ initialRule, initialBoundary }) {
+  const [rule, setRule] = useState(initialRule)
+  const [width, setWidth] = useState(12)
+  const [boundary, setBoundary] = useState(initialBoundary === 'infinite' ? 'periodic' : initialBoundary)
+  const [result, setResult] = useState(null)
+  const [progress, setProgress] = useState(null)
+  const jobRef = useRef(0)
+
+  const post = useSimWorker(msg => {
+    if (msg.type !== 'spectrum' || msg.id !== jobRef.current) return
+    if (msg.error) {
+      setResult({ error: msg.error })
+      setProgress(null)
+    } else if (msg.result) {
+      setResult(msg.result)
+      setProgress(null)
+    } else {
+      setProgress(msg.done / msg.total)
+    }
+  })
+
+  const run = useCallback(() => {
+    jobRef.current++
+    setResult(null)
+    setProgress(0)
+    post({ type: 'spectrum', id: jobRef.current, rule, width, boundary })
+  }, [post, rule, width, boundary])
+
+  const cancel = useCallback(() => {
+    jobRef.current++
+    setProgress(null)
+    post({ type: 'cancel' })
+  }, [post])
+
+  return (
+    <>
+      <div className="controls">
+        <div className="control-group">
+          <label>Rule</label>
+          <input
+            type="number"
+            min="0"
+            max="255"
+            value={rule}
+            onChange={e => setRule(Math.min(255, Math.max(0, parseInt(e.target.value) || 0)))}
+          />
+        </div>
+        <div className="control-group">
+          <label>Lattice N</label>
+          <input
+            type="number"
+            min="1"
+            max={MAX_SPECTRUM_WIDTH}
+            value={width}
+            onChange={e => setWidth(Math.min(MAX_SPECTRUM_WIDTH, Math.max(1, parseInt(e.target.value) || 1)))}
+            style={{width: '70px'}}
+          />
+        </div>
+        <div className="control-group">
+          <label>Boundary</label>
+          <select value={boundary} onChange={e => setBoundary(e.target.value)}>
+            <option value="periodic">Periodic (ring)</option>
+            <option value="fixed0">Fixed 0</option>
+            <option value="fixed1">Fixed 1</option>
+            <option value="reflective">Reflective</option>
+          </select>
+        </div>
+        <button onClick={run} disabled={progress !== null}>
+          Evaluate All {(2 ** width).toLocaleString()} States
+        </button>
+        {progress !== null && (
+          <>
+            <span style={{fontSize: '0.8rem', opacity: 0.7}}>
+              Running… {Math.round(progress * 100)}%
+            </span>
+            <button className="secondary" onClick={cancel}>
+              Cancel
+            </button>
+          </>
+        )}
+      </div>
+
+      <div className="info">
+        <strong>Exact, not sampled</strong> — D, G and G² are evaluated on every state of an N-cell lattice.
+        Linear rules (90, 150, 60, 102 …) commute everywhere: G(S) = 0 for all S.
+      </div>
+
+      {result?.error && <div className="error">{result.error}</div>}
+
+      {result && !result.error && (
+        <>
+          <div className="metrics">
+            <div className="metric">
+              <div className="metric-value">{result.commutingCount.toLocaleString()}</div>
+              <div className="metric-label">
+                States with G = 0 ({(100 * result.commutingCount / result.states).toFixed(2)}%)
+              </div>
+            </div>
+            <div className="metric">
+              <div className="metric-value">{result.groovy2Zero.toLocaleString()}</div>
+              <div className="metric-label">States with G² = 0</div>
+            </div>
+            <div className="metric">
+              <div className="metric-value">{result.meanDensity.groovy.toFixed(4)}</div>
+              <div className="metric-label">Mean G Density (ρ {result.meanDensity.rho.toFixed(4)})</div>
+            </div>
+            <div className="metric">
+              <div className="metric-value">{result.groovyLinear ? 'Linear' : 'Nonlinear'}</div>
+              <div className="metric-label">
+                G over XOR{result.groovyLinear ? '' : ` (${result.groovyViolations.toLocaleString()} states break it)`};
+                rule φ is {result.phiLinear ? 'linear' : 'not linear'}
+              </div>
+            </div>
+          </div>
+
+          {result.counterexample && (
+            <div className="info">
+              Counterexample: G({stateString(result.counterexample.a, result.width)} ⊕{' '}
+              {stateString(result.counterexample.b, result.width)}) ≠ G(a) ⊕ G(b)
+            </div>
+          )}
+
+          <div className="canvases">
+            <div className="canvas-container">
+              <h3>
+                Weight distribution over all {result.states.toLocaleString()} states —{' '}
+                {SERIES.map(({ key, label }, i) => (
+                  <span key={key} className={`series-${key}`}>{i ? ', ' : ''}{label}</span>
+                ))}
+              </h3>
+              <WeightHistogram result={result} />
+            </div>
+            <div className="canvas-container">
+              <h3>
+                Commuting states (G = 0)
+                {result.commutingCount > MAX_COMMUTING_LISTED ? `, first ${MAX_COMMUTING_LISTED}` : ''}
+              </h3>
+              <div className="state-list">
+                {result.commuting.map(x => <div key={x}>{stateString(x, result.width)}</div>)}
+              </div>
+            </div>
+          </div>
+        </>
+      )}
+    </>
+  )
+}
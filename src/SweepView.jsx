@@ -0,0 +1,284 @@
+import { useState, useEffect, useRef, useCallback, useMemo } from 'react'
+import { CLASS_IV_RULES, AWARE_RULE_COUNT, awareThumbnail, matchAwareRule } from './ca-core/index.js'
+import { useSimWorker } from './useSimWorker.js'
+import { drawCA1D, stateColor } from './draw.js'
+
+// =============================================================================
+// SWEEP VIEW — all 256 elementary rules, or a sample of the 65,536 aware
+// rules, in one table and scatter plot
+// =============================================================================
+
+export function Thumbnail({ history, colorFn = stateColor }) {
+  const canvas = useRef(null)
+  useEffect(() => {
+    if (history && history.length > 0) drawCA1D(canvas.current, history, colorFn)
+  }, [history, colorFn])
+  return <canvas ref={canvas} className="thumbnail" />
+}
+
+const SWEEP_COLUMNS = [
+  { key: 'rule', label: 'Rule' },
+  { key: 'rho', label: 'ρ' },
+  { key: 'groovyDensity', label: 'G' },
+  { key: 'groovy2Density', label: 'G²' },
+  { key: 'ratio', label: 'G / ρ' }
+]
+
+const SCATTER_SIZE = { w: 420, h: 300, pad: 36 }
+
+// An exhaustive aware sweep is too big to draw in full: the scatter plot and
+// the table show the best rules by G density and by the current sort
+const MAX_PLOTTED = 2000
+const MAX_LISTED = 256
+
+// Aware sweeps keep no thumbnails; draw one when a row needs it
+function AwareThumbnail({ rule, width, steps }) {
+  const history = useMemo(() => awareThumbnail(rule, { width, steps }), [rule, width, steps])
+  return <Thumbnail history={history} />
+}
+
+const describeAwareRule = rule => matchAwareRule(rule)
+  .map(m => `${m.rule} + ${m.memoryBehavior}`)
+  .join(', ') || '—'
+
+// onSelectRule(rule, family) opens a rule in the 1D tab
+export function SweepView({ onSelectRule }) {
+  const [family, setFamily] = useState('elementary')
+  const [sampleAll, setSampleAll] = useState(false)
+  const [sampleCount, setSampleCount] = useState(1000)
+  const [sampleSeed, setSampleSeed] = useState(1)
+  const [width, setWidth] = useState(64)
+  const [steps, setSteps] = useState(64)
+  const [seeds, setSeeds] = useState(3)
+  const [results, setResults] = useState([])
+  const [progress, setProgress] = useState(null)
+  const [sort, setSort] = useState({ key: 'groovyDensity', dir: -1 })
+  const [hovered, setHovered] = useState(null)
+  const jobRef = useRef(0)
+
+  const post = useSimWorker(msg => {
+    if (msg.type !== 'sweepRows' || msg.id !== jobRef.current) return
+    const rows = msg.results.map(r => ({ ...r, ratio: r.rho > 0 ? r.groovyDensity / r.rho : 0 }))
+    setResults(prev => prev.concat(rows))
+    setProgress(msg.done < msg.total ? msg.done / msg.total : null)
+  })
+
+  // A new sweep supersedes the one in flight
+  const runSweep = useCallback(() => {
+    jobRef.current++
+    setResults([])
+    setProgress(0)
+    const sample = family === 'aware' && !sampleAll ? { count: sampleCount, seed: sampleSeed } : null
+    post({ type: 'sweep', id: jobRef.current, width, steps, seeds, family, sample })
+  }, [post, width, steps, seeds, family, sampleAll, sampleCount, sampleSeed])
+
+  const changeFamily = f => {
+    jobRef.current++
+    post({ type: 'cancel' })
+    setFamily(f)
+    setResults([])
+    setProgress(null)
+    setHovered(null)
+  }
+
+  const aware = family === 'aware'
+  const sorted = useMemo(
+    () => results.slice().sort((a, b) => sort.dir * (a[sort.key] - b[sort.key])),
+    [results, sort]
+  )
+  const listed = sorted.slice(0, MAX_LISTED)
+  const plotted = useMemo(() => results.length <= MAX_PLOTTED ? results
+    : results.slice().sort((a, b) => b.groovyDensity - a.groovyDensity).slice(0, MAX_PLOTTED), [results])
+  const toggleSort = key => setSort(s => ({ key, dir: s.key === key ? -s.dir : -1 }))
+  const highlighted = rule => !aware && CLASS_IV_RULES.includes(rule)
+
+  const maxRho = plotted.reduce((m, r) => Math.max(m, r.rho), 0.01)
+  const maxGroovy = plotted.reduce((m, r) => Math.max(m, r.groovyDensity), 0.01)
+  const { w, h, pad } = SCATTER_SIZE
+  const sx = v => pad + (v / maxRho) * (w - 2 * pad)
+  const sy = v => h - pad - (v / maxGroovy) * (h - 2 * pad)
+  const hoveredResult = results.find(r => r.rule === hovered)
+
+  return (
+    <>
+      <div className="controls">
+        <div className="control-group">
+          <label>Rules</label>
+          <select value={family} onChange={e => changeFamily(e.target.value)}>
+            <option value="elementary">Elementary (256)</option>
+            <option value="aware">Aware 16-bit ({AWARE_RULE_COUNT.toLocaleString()})</option>
+          </select>
+        </div>
+        {aware && (
+          <>
+            <div className="control-group">
+              <label style={{display: 'flex', alignItems: 'center', gap: '0.5rem'}}>
+                <input
+                  type="checkbox"
+                  checked={sampleAll}
+                  onChange={e => setSampleAll(e.target.checked)}
+                />
+                All rules (slow)
+              </label>
+            </div>
+            {!sampleAll && (
+              <>
+                <div className="control-group">
+                  <label>Sample size</label>
+                  <input
+                    type="number"
+                    min="1"
+                    max={AWARE_RULE_COUNT}
+                    value={sampleCount}
+                    onChange={e => setSampleCount(parseInt(e.target.value) || 1000)}
+                  />
+                </div>
+                <div className="control-group">
+                  <label>Sample seed</label>
+                  <input
+                    type="number"
+                    min="0"
+                    value={sampleSeed}
+                    onChange={e => setSampleSeed(parseInt(e.target.value) || 0)}
+                  />
+                </div>
+              </>
+            )}
+          </>
+        )}
+        <div className="control-group">
+          <label>Width</label>
+          <input
+            type="number"
+            min="16"
+            max="200"
+            value={width}
+            onChange={e => setWidth(parseInt(e.target.value) || 64)}
+          />
+        </div>
+        <div className="control-group">
+          <label>Steps</label>
+          <input
+            type="number"
+            min="16"
+            max="200"
+            value={steps}
+            onChange={e => setSteps(parseInt(e.target.value) || 64)}
+          />
+        </div>
+        <div className="control-group">
+          <label>Seeds per rule</label>
+          <input
+            type="number"
+            min="1"
+            max="20"
+            value={seeds}
+            onChange={e => setSeeds(parseInt(e.target.value) || 3)}
+          />
+        </div>
+        <button onClick={runSweep}>
+          {progress !== null ? 'Restart Sweep' : aware ? 'Sweep Aware Rules' : 'Sweep 256 Rules'}
+        </button>
+        {progress !== null && (
+          <span style={{fontSize: '0.8rem', opacity: 0.7}}>
+            {Math.round(progress * 100)}%
+          </span>
+        )}
+      </div>
+
+      {aware ? (
+        <div className="info">
+          Aware rules are run from the same {seeds} seeded random states; densities are averaged over all steps
+          and seeds. Only 1,020 of the 65,536 are a standard rule plus a memory behaviour
+          (the Preset column). The plot shows the top {MAX_PLOTTED.toLocaleString()} rules by G density and the
+          table the top {MAX_LISTED} by the current sort. Click a rule to open it in the 1D tab.
+        </div>
+      ) : (
+        <div className="info">
+          Every elementary rule is run from the same {seeds} seeded random states; densities are averaged over
+          all steps and seeds. Known Class IV rules ({CLASS_IV_RULES.join(', ')}) are highlighted.
+          Click a rule to open it in the 1D tab.
+        </div>
+      )}
+
+      {results.length > 0 && (
+        <div className="canvases">
+          <div className="canvas-container">
+            <h3>ρ vs G Density</h3>
+            <svg className="scatter" viewBox={`0 0 ${w} ${h}`}>
+              <line x1={pad} y1={h - pad} x2={w - pad} y2={h - pad} className="axis" />
+              <line x1={pad} y1={pad} x2={pad} y2={h - pad} className="axis" />
+              <text x={w / 2} y={h - 8} className="axis-label">ρ (derivative density)</text>
+              <text x={12} y={h / 2} className="axis-label" transform={`rotate(-90 12 ${h / 2})`}>G density</text>
+              <text x={w - pad} y={h - pad + 14} className="tick-label">{maxRho.toFixed(2)}</text>
+              <text x={pad - 4} y={pad + 4} className="tick-label" textAnchor="end">{maxGroovy.toFixed(2)}</text>
+              {plotted.map(r => (
+                <circle
+                  key={r.rule}
+                  cx={sx(r.rho)}
+                  cy={sy(r.groovyDensity)}
+                  r={r.rule === hovered ? 6 : 3.5}
+                  className={highlighted(r.rule) ? 'point class-iv' : 'point'}
+                  onMouseEnter={() => setHovered(r.rule)}
+                  onMouseLeave={() => setHovered(null)}
+                  onClick={() => onSelectRule(r.rule, family)}
+                />
+              ))}
+            </svg>
+          </div>
+          <div className="canvas-container">
+            <h3>{hoveredResult ? `${aware ? 'Aware rule' : 'Rule'} ${hoveredResult.rule}` : 'Hover a point'}</h3>
+            {hoveredResult && (
+              <>
+                {aware
+                  ? <AwareThumbnail rule={hoveredResult.rule} width={width} steps={steps} />
+                  : <Thumbnail history={hoveredResult.thumbnail} />}
+                <p style={{fontSize: '0.8rem', opacity: 0.7}}>
+                  ρ {hoveredResult.rho.toFixed(4)} · G {hoveredResult.groovyDensity.toFixed(4)} · G² {hoveredResult.groovy2Density.toFixed(4)}
+                </p>
+              </>
+            )}
+          </div>
+        </div>
+      )}
+
+      {results.length > 0 && (
+        <table className="leaderboard">
+          <thead>
+            <tr>
+              {SWEEP_COLUMNS.map(col => (
+                <th key={col.key} onClick={() => toggleSort(col.key)}>
+                  {col.label}{sort.key === col.key ? (sort.dir < 0 ? ' ▼' : ' ▲') : ''}
+                </th>
+              ))}
+              {aware && <th>Preset</th>}
+              <th>S(t)</th>
+            </tr>
+          </thead>
+          <tbody>
+            {listed.map(r => (
+              <tr
+                key={r.rule}
+                className={highlighted(r.rule) ? 'class-iv' : ''}
+                onMouseEnter={() => setHovered(r.rule)}
+                onClick={() => onSelectRule(r.rule, family)}
+              >
+                <td>{r.rule}</td>
+                <td>{r.rho.toFixed(4)}</td>
+                <td>{r.groovyDensity.toFixed(4)}</td>
+                <td>{r.groovy2Density.toFixed(4)}</td>
+                <td>{r.ratio.toFixed(3)}</td>
+                {aware && <td>{describeAwareRule(r.rule)}</td>}
+                <td>
+                  {aware
+                    ? <AwareThumbnail rule={r.rule} width={width} steps={steps} />
+                    : <Thumbnail history={r.thumbnail} />}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </>
+  )
+}
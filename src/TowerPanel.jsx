@@ -0,0 +1,84 @@
+import { useMemo } from 'react'
+import { TOWER_FATES, meanTowerDensities, summarizeFates } from './ca-core/index.js'
+
+// =============================================================================
+// TOWER PANEL — Gᵏ density against order k, and where the tower ends up
+// =============================================================================
+
+const SIZE = { w: 600, h: 200, pad: 32 }
+
+const FATE_LABELS = {
+  zero: 'Zero — Gᵏ = 0',
+  fixed: 'Fixed point — Gᵏ⁺¹ = Gᵏ',
+  cycle: 'Cycle — Gᵏ⁺ᵖ = Gᵏ',
+  open: 'Open — no repeat up to n'
+}
+
+const points = (ys, sx, sy) => ys.map((y, i) => `${sx(i).toFixed(1)},${sy(y).toFixed(1)}`).join(' ')
+
+function describeFate(fate) {
+  if (fate.kind === 'zero') return `zero at order ${fate.order}`
+  if (fate.kind === 'fixed') return `fixed point from order ${fate.order}`
+  if (fate.kind === 'cycle') return `cycle of period ${fate.period} from order ${fate.order}`
+  return 'open (no repeat)'
+}
+
+// densities: per-step Gᵏ densities (k = 1 … n); fates: the matching per-step fates
+export function TowerPanel({ densities, fates }) {
+  const means = useMemo(() => meanTowerDensities(densities), [densities])
+  const summary = useMemo(() => summarizeFates(fates), [fates])
+  const latest = densities[densities.length - 1]
+  const fate = fates[fates.length - 1]
+  if (!latest) return null
+
+  const n = latest.length
+  const { w, h, pad } = SIZE
+  const maxY = Math.max(0.01, ...means, ...latest)
+  const sx = i => pad + (n > 1 ? i / (n - 1) : 0) * (w - 2 * pad)
+  const sy = v => h - pad - (v / maxY) * (h - 2 * pad)
+
+  return (
+    <div className="canvases">
+      <div className="canvas-container">
+        <h3>Density against order k (solid: mean over the run, faint: last step)</h3>
+        <svg className="chart" viewBox={`0 0 ${w} ${h}`}>
+          <line x1={pad} y1={h - pad} x2={w - pad} y2={h - pad} className="axis" />
+          <line x1={pad} y1={pad} x2={pad} y2={h - pad} className="axis" />
+          {latest.map((_, i) => (
+            <text key={i} x={sx(i)} y={h - pad + 14} className="tick-label">{i + 1}</text>
+          ))}
+          <text x={pad - 4} y={pad + 4} className="tick-label" textAnchor="end">{maxY.toFixed(2)}</text>
+          <text x={w / 2} y={h - 4} className="axis-label">k</text>
+          <g className="series-groovy">
+            <polyline points={points(latest, sx, sy)} className="raw" />
+            <polyline points={points(means, sx, sy)} className="rolling" />
+          </g>
+        </svg>
+      </div>
+      <div className="canvas-container">
+        <h3>Tower fate — last step: {describeFate(fate)}</h3>
+        <table className="leaderboard series-stats">
+          <thead>
+            <tr>
+              <th>Fate</th>
+              <th>Steps</th>
+              <th>Mean order</th>
+            </tr>
+          </thead>
+          <tbody>
+            {TOWER_FATES.map(kind => {
+              const s = summary[kind]
+              return (
+                <tr key={kind}>
+                  <td>{FATE_LABELS[kind]}</td>
+                  <td>{s.count} / {fates.length}</td>
+                  <td>{s.meanOrder !== null ? s.meanOrder.toFixed(2) : '—'}</td>
+                </tr>
+              )
+            })}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,186 @@
+import { UPDATE_MODES, SWEEP_EPSILONS, isSynchronous } from './ca-core/index.js'
+import { groovyRamp } from './draw.js'
+import { downloadText } from './download.js'
+
+// =============================================================================
+// UPDATE SCHEME — stochastic updating, and G density swept over α and ε
+// =============================================================================
+//
+// See ca-core/stochastic.js: a scheme { mode, alpha, epsilon, seed } fixes the
+// random draws of every step, so a seed replays the same S, D, G and G².
+
+const MODE_LABELS = {
+  synchronous: 'Synchronous (all at once)',
+  async: 'α-asynchronous (each cell w.p. α)',
+  sequential: 'Random sequential (one at a time)'
+}
+
+const clamp = (x, lo, hi) => Math.min(hi, Math.max(lo, x))
+
+// A stochastic scheme as the poster names it
+export const updateLabel = ({ mode, alpha, epsilon, seed }) =>
+  (mode === 'async' ? `α-asynchronous α = ${alpha}` : mode === 'sequential' ? 'random sequential' : 'synchronous') +
+  (epsilon ? `, noise ε = ${epsilon}` : '') + `, update seed ${seed}`
+
+// update: the scheme in the controls; disabled: why it cannot apply, or null
+export function UpdateControls({ update, onChange, disabled }) {
+  const set = changes => onChange({ ...update, ...changes })
+  return (
+    <div className="controls" style={{marginTop: '0.5rem'}}>
+      <div className="control-group">
+        <label>Update</label>
+        <select value={update.mode} onChange={e => set({ mode: e.target.value })} disabled={Boolean(disabled)}>
+          {UPDATE_MODES.map(mode => <option key={mode} value={mode}>{MODE_LABELS[mode]}</option>)}
+        </select>
+      </div>
+      {update.mode === 'async' && (
+        <div className="control-group">
+          <label>α {update.alpha.toFixed(2)}</label>
+          <input
+            type="range"
+            min="0.01"
+            max="1"
+            step="0.01"
+            value={update.alpha}
+            onChange={e => set({ alpha: parseFloat(e.target.value) })}
+            disabled={Boolean(disabled)}
+          />
+        </div>
+      )}
+      <div className="control-group">
+        <label>Noise ε</label>
+        <input
+          type="number"
+          min="0"
+          max="1"
+          step="0.001"
+          value={update.epsilon}
+          onChange={e => set({ epsilon: clamp(parseFloat(e.target.value) || 0, 0, 1) })}
+          disabled={Boolean(disabled)}
+          style={{width: '80px'}}
+        />
+      </div>
+      <div className="control-group">
+        <label>Update Seed</label>
+        <input
+          type="number"
+          min="0"
+          value={update.seed}
+          onChange={e => set({ seed: Math.max(0, parseInt(e.target.value) || 0) })}
+          disabled={Boolean(disabled) || isSynchronous(update)}
+        />
+      </div>
+      <span style={{fontSize: '0.8rem', opacity: 0.7}}>
+        {disabled || (isSynchronous(update)
+          ? 'Every cell updates at once, with no noise'
+          : 'Both paths of G use the same draws each step; the seed replays them')}
+      </span>
+    </div>
+  )
+}
+
+const sweepCSV = results => ['alpha,epsilon,rho,g,g2']
+  .concat(results.map(r => [r.alpha, r.epsilon, r.rho, r.groovyDensity, r.groovy2Density].join(',')))
+  .join('\n') + '\n'
+
+// result: { update, results, done, total }, the scheme swept around and the
+// worker's updateSweep messages so far, or { error }; prefix: of the CSV file's name
+export function UpdateSweep({ update, disabled, steps, onStepsChange, onSweep, result, prefix }) {
+  const swept = result?.update ?? update
+  const results = result?.results ?? []
+  const busy = Boolean(result && !result.error && result.done < result.total)
+  const alphas = [...new Set(results.map(r => r.alpha))]
+  const epsilons = [...new Set(results.map(r => r.epsilon))]
+  const cellOf = (alpha, epsilon) => results.find(r => r.alpha === alpha && r.epsilon === epsilon)
+  const maxG = Math.max(1e-9, ...results.map(r => r.groovyDensity))
+  const baseline = results.find(r => r.epsilon === 0 && r.alpha === 1)
+  const noisiest = results.find(r => r.epsilon === epsilons[epsilons.length - 1] && r.alpha === 1)
+
+  return (
+    <>
+      <h2>Robustness to Update Noise</h2>
+      <div className="controls">
+        <div className="control-group">
+          <label>Steps per Cell</label>
+          <input
+            type="number"
+            min="1"
+            max="2000"
+            value={steps}
+            onChange={e => onStepsChange(clamp(parseInt(e.target.value) || 1, 1, 2000))}
+            style={{width: '80px'}}
+          />
+        </div>
+        <button onClick={onSweep} disabled={Boolean(disabled) || busy}>
+          {busy
+            ? `Sweeping… ${result.done}/${result.total}`
+            : update.mode === 'async' ? 'Sweep α × ε' : 'Sweep ε'}
+        </button>
+        {results.length > 0 && !busy && (
+          <button
+            className="secondary"
+            onClick={() => downloadText(`${prefix}-${swept.mode}-sweep.csv`, sweepCSV(results), 'text/csv')}
+          >
+            CSV
+          </button>
+        )}
+        <span style={{fontSize: '0.8rem', opacity: 0.7}}>
+          {disabled || `Mean G density from the same start under each scheme (${update.mode}, seed ${update.seed}); ` +
+            `ε runs over ${SWEEP_EPSILONS.join(', ')}`}
+        </span>
+      </div>
+
+      {result?.error && <div className="error">{result.error}</div>}
+
+      {results.length > 0 && (
+        <div className="canvas-container">
+          <h3>
+            Mean G density{alphas.length > 1 ? ' — rows α, columns ε' : ' against ε'} (hover a cell for ρ and G²)
+          </h3>
+          <table className="leaderboard series-stats">
+            <thead>
+              <tr>
+                <th>{alphas.length > 1 ? 'α \\ ε' : ''}</th>
+                {epsilons.map(epsilon => <th key={epsilon}>{epsilon}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {alphas.map(alpha => (
+                <tr key={alpha}>
+                  <td>{alphas.length > 1 ? alpha : swept.mode}</td>
+                  {epsilons.map(epsilon => {
+                    const r = cellOf(alpha, epsilon)
+                    if (!r) return <td key={epsilon}>…</td>
+                    const level = r.groovyDensity / maxG
+                    const [red, green, blue] = groovyRamp(level)
+                    const current = alpha === (swept.mode === 'async' ? swept.alpha : 1) && epsilon === swept.epsilon
+                    return (
+                      <td
+                        key={epsilon}
+                        title={`ρ = ${r.rho.toFixed(4)} · G² density = ${r.groovy2Density.toFixed(4)}`}
+                        style={{
+                          background: `rgb(${red}, ${green}, ${blue})`,
+                          color: level > 0.6 ? '#111' : '#eee',
+                          outline: current ? '2px solid #fff' : 'none'
+                        }}
+                      >
+                        {r.groovyDensity.toFixed(4)}
+                      </td>
+                    )
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {baseline && noisiest && noisiest !== baseline && (
+            <p style={{fontSize: '0.8rem', opacity: 0.7}}>
+              Noiseless{swept.mode === 'async' ? ', α = 1' : ''}: G = {baseline.groovyDensity.toFixed(4)},
+              ρ = {baseline.rho.toFixed(4)} · at ε = {noisiest.epsilon}: G = {noisiest.groovyDensity.toFixed(4)},
+              ρ = {noisiest.rho.toFixed(4)}
+            </p>
+          )}
+        </div>
+      )}
+    </>
+  )
+}
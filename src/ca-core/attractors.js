@@ -0,0 +1,257 @@
+import { ruleToTable, evolve, groovyCommutator, density } from './elementary.js'
+import { awareRuleToTable, evolveAware, groovyCommutatorAware, groovyCommutatorAwarePair } from './aware.js'
+import { compileRuleK, applyRuleK, groovyCommutatorK } from './multistate.js'
+import { rowKey } from './tower.js'
+
+// =============================================================================
+// ATTRACTORS — transients, cycles and basins of finite 1D runs
+// =============================================================================
+//
+// A finite lattice has finitely many states, so every run falls into a cycle.
+// The run's dynamical state is its row, except for aware rules, where the
+// next row also depends on the last change: there it is the pair (S, S').
+// transient is the first history index on the cycle and period its length,
+// so history[transient + period] = history[transient].
+
+// State-transition graphs are drawn up to this many states
+export const MAX_BASIN_STATES = 1 << 16
+
+// Key of a run's dynamical state; prevDeriv is null outside aware runs
+export const dynamicalKey = (state, prevDeriv = null) =>
+  prevDeriv ? rowKey(state) + rowKey(prevDeriv) : rowKey(state)
+
+// Feed it each history index's key in order; returns { transient, period }
+// from the first repeat on, null before it
+export function createCycleDetector() {
+  let seen = new Map()
+  let cycle = null
+  return key => {
+    if (cycle) return cycle
+    const first = seen.get(key)
+    if (first !== undefined) {
+      cycle = { transient: first, period: seen.size - first }
+      seen = null
+    } else {
+      seen.set(key, seen.size)
+    }
+    return cycle
+  }
+}
+
+// Means of a per-step series before the cycle starts and on it. The series
+// has one entry per step, entry t measured at history[t].
+export function splitByAttractor(xs, cycle) {
+  const mean = ys => ys.length ? ys.reduce((a, b) => a + b, 0) / ys.length : null
+  if (!cycle) return { transient: mean(xs), attractor: null }
+  return { transient: mean(xs.slice(0, cycle.transient)), attractor: mean(xs.slice(cycle.transient)) }
+}
+
+// =============================================================================
+// STATE-TRANSITION GRAPH — every state of a small lattice and its successor
+// =============================================================================
+
+// Cells per state and the number of states for a run's options; aware states
+// are (S, S') pairs, so each cell carries two bits
+function stateSpace(width, { aware = false, multistate = null }) {
+  const base = multistate ? multistate.k : aware ? 4 : 2
+  return { base, size: base ** width }
+}
+
+export function basinStateCount(width, options) {
+  return stateSpace(width, options).size
+}
+
+// Successor and G density of every state. State ids are base-k numbers with
+// cell i as digit i; an aware id packs S into the low width bits and S' above.
+// Aware graphs take the 16-bit awareRule itself (see resolveAwareRule).
+export function transitionGraph(width, options) {
+  const { rule, aware = false, awareRule, awareCommutator = 'frozen', multistate = null, boundary = 'periodic' } = options
+  if (boundary === 'infinite') throw new Error('State-transition graphs need a finite lattice')
+  const { size } = stateSpace(width, options)
+  if (size > MAX_BASIN_STATES) throw new Error(`${size} states is more than ${MAX_BASIN_STATES}`)
+
+  const next = new Int32Array(size)
+  const groovy = new Float64Array(size)
+
+  if (multistate) {
+    const ruleK = compileRuleK(multistate)
+    const { k } = ruleK
+    const encode = row => row.reduceRight((id, v) => id * k + v, 0)
+    const row = new Uint8Array(width)
+    for (let id = 0; id < size; id++) {
+      for (let i = 0, rest = id; i < width; i++, rest = Math.floor(rest / k)) row[i] = rest % k
+      next[id] = encode(applyRuleK(row, ruleK, boundary))
+      groovy[id] = density(groovyCommutatorK(row, ruleK, boundary))
+    }
+  } else if (aware) {
+    const table = awareRuleToTable(awareRule)
+    const encode = row => row.reduceRight((id, v) => id * 2 + v, 0)
+    const state = new Uint8Array(width)
+    const prevDeriv = new Uint8Array(width)
+    for (let id = 0; id < size; id++) {
+      for (let i = 0; i < width; i++) {
+        state[i] = (id >> i) & 1
+        prevDeriv[i] = (id >> (width + i)) & 1
+      }
+      const step = evolveAware(state, prevDeriv, table, boundary)
+      next[id] = encode(step.next) + encode(step.deriv) * 2 ** width
+      const G = awareCommutator === 'paired'
+        ? groovyCommutatorAwarePair({ state, prevDeriv }, table, boundary).state
+        : groovyCommutatorAware(state, prevDeriv, table, boundary)
+      groovy[id] = density(G)
+    }
+  } else {
+    const table = ruleToTable(rule)
+    const row = new Uint8Array(width)
+    for (let id = 0; id < size; id++) {
+      for (let i = 0; i < width; i++) row[i] = (id >> i) & 1
+      next[id] = evolve(row, table, boundary).reduceRight((acc, v) => acc * 2 + v, 0)
+      groovy[id] = density(groovyCommutator(row, table, boundary))
+    }
+  }
+
+  return { next, groovy }
+}
+
+// Split a graph into basins. Each state gets its basin id and its depth, the
+// steps it takes to reach the cycle (0 on it). Basins are listed largest
+// first with their cycle in step order.
+export function findBasins(next) {
+  const size = next.length
+  const basin = new Int32Array(size).fill(-1)
+  const depth = new Int32Array(size)
+  const onPath = new Int32Array(size).fill(-1) // position on the walk in progress
+  const found = []
+
+  for (let start = 0; start < size; start++) {
+    if (basin[start] !== -1) continue
+    const path = []
+    let id = start
+    while (basin[id] === -1 && onPath[id] === -1) {
+      onPath[id] = path.length
+      path.push(id)
+      id = next[id]
+    }
+
+    // path[0 .. tail) hangs off a tree whose next state has depth d - 1
+    let tail = path.length
+    let d = depth[id] + 1
+    if (basin[id] === -1) {
+      // The walk closed a new cycle
+      tail = onPath[id]
+      const cycle = path.slice(tail)
+      for (const c of cycle) basin[c] = found.length
+      found.push({ cycle, size: 0 })
+      d = 1
+    }
+    for (let i = tail - 1; i >= 0; i--, d++) {
+      basin[path[i]] = basin[id]
+      depth[path[i]] = d
+    }
+    for (const p of path) onPath[p] = -1
+  }
+
+  for (let id = 0; id < size; id++) found[basin[id]].size++
+  const order = found.map((_, i) => i).sort((a, b) => found[b].size - found[a].size)
+  const rank = new Int32Array(found.length)
+  order.forEach((old, i) => { rank[old] = i })
+  for (let id = 0; id < size; id++) basin[id] = rank[basin[id]]
+
+  return { basin, depth, basins: order.map(i => found[i]) }
+}
+
+// Mean G density over cycle states and over transient states, plus the share
+// of Garden-of-Eden states (no predecessor)
+export function basinSummary({ next, groovy }, { depth }) {
+  const size = next.length
+  const hasParent = new Uint8Array(size)
+  for (let id = 0; id < size; id++) hasParent[next[id]] = 1
+  let onCycle = 0
+  let gCycle = 0
+  let gTransient = 0
+  let eden = 0
+  for (let id = 0; id < size; id++) {
+    if (depth[id] === 0) {
+      onCycle++
+      gCycle += groovy[id]
+    } else {
+      gTransient += groovy[id]
+    }
+    if (!hasParent[id]) eden++
+  }
+  return {
+    states: size,
+    attractorStates: onCycle,
+    gardenOfEden: eden / size,
+    groovyOnAttractors: gCycle / onCycle,
+    groovyOnTransients: onCycle < size ? gTransient / (size - onCycle) : null
+  }
+}
+
+// Positions for the first `limit` basins of findBasins, each drawn as trees:
+// the cycle on a ring of radius 1 / (maxDepth + 1), each tree fanned out from
+// its cycle state with depth as radius and an angle in proportion to its
+// number of leaves. Returns per basin its state ids with x, y in [-1, 1].
+export function layoutBasins(next, { basin, depth, basins }, limit = basins.length) {
+  const members = basins.slice(0, limit).map(() => [])
+  for (let id = 0; id < next.length; id++) if (basin[id] < limit) members[basin[id]].push(id)
+  return members.map((ids, b) => layoutBasin(next, depth, ids, basins[b].cycle))
+}
+
+function layoutBasin(next, depth, ids, cycle) {
+  // Children of each state off the cycle, as index lists
+  const children = new Map()
+  for (const id of ids) {
+    if (depth[id] === 0) continue
+    const parent = next[id]
+    if (!children.has(parent)) children.set(parent, [])
+    children.get(parent).push(id)
+  }
+
+  const leaves = new Map()
+  const countLeaves = root => {
+    // Post-order without recursion: trees can be thousands of states deep
+    const stack = [root]
+    const order = []
+    while (stack.length) {
+      const id = stack.pop()
+      order.push(id)
+      for (const c of children.get(id) || []) stack.push(c)
+    }
+    for (let i = order.length - 1; i >= 0; i--) {
+      const kids = children.get(order[i])
+      leaves.set(order[i], kids ? kids.reduce((sum, c) => sum + leaves.get(c), 0) : 1)
+    }
+  }
+  for (const c of cycle) countLeaves(c)
+
+  let maxDepth = 0
+  for (const id of ids) maxDepth = Math.max(maxDepth, depth[id])
+  const ring = 1 / (maxDepth + 1)
+  const x = new Float32Array(ids.length)
+  const y = new Float32Array(ids.length)
+  const at = new Map(ids.map((id, i) => [id, i]))
+
+  const total = cycle.reduce((sum, c) => sum + leaves.get(c), 0)
+  let angle = 0
+  for (const c of cycle) {
+    const span = 2 * Math.PI * leaves.get(c) / total
+    const stack = [[c, angle, span]]
+    while (stack.length) {
+      const [id, from, width] = stack.pop()
+      const theta = from + width / 2
+      const r = ring * (depth[id] + 1)
+      x[at.get(id)] = r * Math.cos(theta)
+      y[at.get(id)] = r * Math.sin(theta)
+      let a = from
+      for (const child of children.get(id) || []) {
+        const w = width * leaves.get(child) / leaves.get(id)
+        stack.push([child, a, w])
+        a += w
+      }
+    }
+    angle += span
+  }
+
+  return { ids, x, y }
+}
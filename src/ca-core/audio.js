@@ -0,0 +1,274 @@
+import { ruleToTable, evolve, xorRows, groovyCommutator, density } from './elementary.js'
+import {
+  awareRuleToTable,
+  evolveAware,
+  groovyCommutatorAware,
+  groovyCommutatorAwarePair,
+  AWARE_MEMORY_BEHAVIORS
+} from './aware.js'
+import { resolveAwareRule } from './run.js'
+import { mulberry32, randomState } from './random.js'
+
+// =============================================================================
+// AUDIO — a sound's spectrum as a drive on the CA
+// =============================================================================
+//
+// analyseAudio turns mono samples into frames (frameRate per second) of band
+// energies, loudness and beats; each frame then drives one CA step. Energies
+// are per band, in dB relative to the band's loudest frame and mapped from
+// AUDIO_DB_RANGE below it (0) to the peak (1), so quiet bands drive as
+// strongly as loud ones. Band b of `bands` drives stripe b of the lattice,
+// low frequencies on the left.
+
+export const AUDIO_FFT_SIZE = 2048
+export const AUDIO_MIN_HZ = 40
+export const AUDIO_MAX_HZ = 16000
+export const AUDIO_DB_RANGE = 60
+// What a beat does besides any reseed: nothing, or move on to the next rule
+// of a list, or to the next memory behaviour of an aware rule
+export const AUDIO_BEAT_SWITCHES = ['none', 'rules', 'memory']
+
+// In-place radix-2 FFT; re and im have the same power-of-two length
+export function fft(re, im) {
+  const n = re.length
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1
+    for (; j & bit; bit >>= 1) j ^= bit
+    j ^= bit
+    if (i < j) {
+      const r = re[i]
+      re[i] = re[j]
+      re[j] = r
+      const m = im[i]
+      im[i] = im[j]
+      im[j] = m
+    }
+  }
+  for (let len = 2; len <= n; len <<= 1) {
+    const angle = -2 * Math.PI / len
+    const wr = Math.cos(angle)
+    const wi = Math.sin(angle)
+    for (let i = 0; i < n; i += len) {
+      let cr = 1, ci = 0
+      for (let j = 0; j < len / 2; j++) {
+        const a = i + j
+        const b = a + len / 2
+        const tr = re[b] * cr - im[b] * ci
+        const ti = re[b] * ci + im[b] * cr
+        re[b] = re[a] - tr
+        im[b] = im[a] - ti
+        re[a] += tr
+        im[a] += ti
+        const nr = cr * wr - ci * wi
+        ci = cr * wi + ci * wr
+        cr = nr
+      }
+    }
+  }
+}
+
+// FFT bins [edges[b], edges[b + 1]) of each band, log-spaced between
+// AUDIO_MIN_HZ and AUDIO_MAX_HZ (or Nyquist); every band gets at least one bin
+export function bandEdges(bands, sampleRate, fftSize = AUDIO_FFT_SIZE) {
+  const hz = sampleRate / fftSize
+  const top = Math.min(AUDIO_MAX_HZ, sampleRate / 2)
+  const edges = new Int32Array(bands + 1)
+  for (let b = 0; b <= bands; b++) {
+    const f = AUDIO_MIN_HZ * Math.pow(top / AUDIO_MIN_HZ, b / bands)
+    edges[b] = Math.max(b ? edges[b - 1] + 1 : 1, Math.round(f / hz))
+  }
+  return edges
+}
+
+// dB values relative to their maximum, mapped onto 0..1
+function normaliseDb(db) {
+  const peak = db.reduce((m, v) => Math.max(m, v), -Infinity)
+  return db.map(v => Math.min(1, Math.max(0, 1 + (v - peak) / AUDIO_DB_RANGE)))
+}
+
+// Onsets of spectral flux: frames where the rise in band energies peaks above
+// 1.5 × its mean over the surrounding second, at least 0.1 s apart
+function detectBeats(energies, frames, bands, frameRate) {
+  const flux = new Float32Array(frames)
+  for (let t = 1; t < frames; t++) {
+    for (let b = 0; b < bands; b++) flux[t] += Math.max(0, energies[t * bands + b] - energies[(t - 1) * bands + b])
+  }
+  const half = Math.max(1, Math.round(frameRate / 2))
+  const gap = Math.max(1, Math.round(frameRate / 10))
+  const beats = new Uint8Array(frames)
+  let last = -gap
+  for (let t = 1; t < frames - 1; t++) {
+    let sum = 0, count = 0
+    for (let u = Math.max(0, t - half); u <= Math.min(frames - 1, t + half); u++, count++) sum += flux[u]
+    const threshold = 1.5 * sum / count + 0.02 * bands
+    if (flux[t] > threshold && flux[t] >= flux[t - 1] && flux[t] >= flux[t + 1] && t - last >= gap) {
+      beats[t] = 1
+      last = t
+    }
+  }
+  return beats
+}
+
+// samples: mono Float32Array. Returns { frameRate, frames, bands, duration,
+// energies, loudness, beats }: energies is frames × bands (frame-major),
+// loudness the 0..1 level of each frame and beats 1 on onset frames.
+export function analyseAudio(samples, sampleRate, { frameRate = 30, bands = 8, fftSize = AUDIO_FFT_SIZE } = {}) {
+  const hop = sampleRate / frameRate
+  const frames = Math.max(1, Math.floor(samples.length / hop))
+  const edges = bandEdges(bands, sampleRate, fftSize)
+  const window = Float32Array.from({ length: fftSize }, (_, i) => 0.5 - 0.5 * Math.cos(2 * Math.PI * i / fftSize))
+  const re = new Float32Array(fftSize)
+  const im = new Float32Array(fftSize)
+  const bandDb = Array.from({ length: bands }, () => new Float32Array(frames))
+  const totalDb = new Float32Array(frames)
+
+  for (let t = 0; t < frames; t++) {
+    // Each window is centred on its frame's time
+    const start = Math.round(t * hop + hop / 2 - fftSize / 2)
+    for (let i = 0; i < fftSize; i++) {
+      const s = start + i
+      re[i] = s >= 0 && s < samples.length ? samples[s] * window[i] : 0
+      im[i] = 0
+    }
+    fft(re, im)
+    let total = 0
+    for (let b = 0; b < bands; b++) {
+      let power = 0
+      const to = Math.min(edges[b + 1], fftSize / 2)
+      for (let k = edges[b]; k < to; k++) power += re[k] * re[k] + im[k] * im[k]
+      bandDb[b][t] = 10 * Math.log10(power / Math.max(1, to - edges[b]) + 1e-12)
+      total += power
+    }
+    totalDb[t] = 10 * Math.log10(total + 1e-12)
+  }
+
+  const energies = new Float32Array(frames * bands)
+  bandDb.map(normaliseDb).forEach((levels, b) => levels.forEach((v, t) => { energies[t * bands + b] = v }))
+  return {
+    frameRate,
+    frames,
+    bands,
+    duration: samples.length / sampleRate,
+    energies,
+    loudness: normaliseDb(totalDb),
+    beats: detectBeats(energies, frames, bands, frameRate)
+  }
+}
+
+// The band energies of frame t
+export const frameEnergies = (analysis, t) => analysis.energies.subarray(t * analysis.bands, (t + 1) * analysis.bands)
+
+// Mean loudness over the frames in [from, to)
+export function meanLoudness(analysis, from = 0, to = analysis.frames) {
+  const levels = analysis.loudness.subarray(from, Math.max(from + 1, to))
+  return levels.reduce((s, v) => s + v, 0) / levels.length
+}
+
+// The [from, to) cells band b of `bands` drives on a lattice `size` wide
+export const bandSpan = (b, bands, size) => [Math.floor(b * size / bands), Math.floor((b + 1) * size / bands)]
+
+// Each cell in a band's stripe is set with probability gain · e², e its energy
+export function injectRow(row, energies, gain, rand) {
+  const out = row.slice()
+  energies.forEach((e, b) => {
+    const [from, to] = bandSpan(b, energies.length, row.length)
+    const p = gain * e * e
+    for (let i = from; i < to; i++) if (rand() < p) out[i] = 1
+  })
+  return out
+}
+
+// The same injection on a grid, as [x, y] points for paintGrid; stripes are columns
+export function injectPoints2D(width, height, energies, gain, rand) {
+  const points = []
+  energies.forEach((e, b) => {
+    const [from, to] = bandSpan(b, energies.length, width)
+    const p = gain * e * e
+    for (let y = 0; y < height; y++) {
+      for (let x = from; x < to; x++) if (rand() < p) points.push([x, y])
+    }
+  })
+  return points
+}
+
+// The setting in force after `beats` beats: the index into the rules list or
+// into AWARE_MEMORY_BEHAVIORS
+export const beatSetting = (switchOn, beats, ruleCount) =>
+  switchOn === 'rules' ? beats % ruleCount : switchOn === 'memory' ? beats % AWARE_MEMORY_BEHAVIORS.length : 0
+
+// A 1D run with one step per frame of the analysis. Before each step the row
+// is driven: on a beat it is reseeded at that frame's loudness (reseed) and
+// the rule moves on (switchOn, through `rules` or the memory behaviours,
+// which makes the run aware); then the bands inject cells (inject, the gain;
+// 0 for none). options are otherwise runCA1D's (rule, aware, memoryBehavior,
+// awareRule, awareCommutator, boundary) on a finite lattice, plus seed for
+// the injected cells.
+// Row t of history is the driven state that step t starts from, so history,
+// derivHistory and groovyHistory have one row per frame; settings[t] is the
+// rule in force at step t, an index into labels.
+export function runAudio1D(initial, analysis, options) {
+  const {
+    rule,
+    aware = false,
+    awareCommutator = 'frozen',
+    boundary = 'periodic',
+    inject = 0,
+    reseed = false,
+    switchOn = 'none',
+    rules = [rule],
+    seed = 0
+  } = options
+  if (boundary === 'infinite') throw new Error('Audio runs need a finite lattice')
+  if (switchOn === 'rules' && !rules.length) throw new Error('No rules to switch between')
+
+  const awareRun = aware || switchOn === 'memory'
+  const configs = switchOn === 'memory'
+    ? AWARE_MEMORY_BEHAVIORS.map(memoryBehavior => ({ ...options, memoryBehavior, awareRule: null }))
+    : switchOn === 'rules'
+      ? rules.map(r => ({ ...options, rule: r, awareRule: null }))
+      : [options]
+  const tables = configs.map(c => awareRun ? awareRuleToTable(resolveAwareRule(c)) : ruleToTable(c.rule))
+  const labels = configs.map(c => awareRun ? `Rule ${c.rule} → aware (${c.memoryBehavior})` : `Rule ${c.rule}`)
+
+  const rand = mulberry32(seed)
+  let state = initial
+  let prevDeriv = null
+  let beats = 0
+  const history = []
+  const derivHistory = []
+  const groovyHistory = []
+  const settings = new Uint8Array(analysis.frames)
+  const series = { rho: [], groovy: [] }
+
+  for (let t = 0; t < analysis.frames; t++) {
+    if (analysis.beats[t]) {
+      beats++
+      if (reseed) state = randomState(state.length, rand, analysis.loudness[t])
+    }
+    if (inject > 0) state = injectRow(state, frameEnergies(analysis, t), inject, rand)
+    const setting = beatSetting(switchOn, beats, configs.length)
+    const table = tables[setting]
+    settings[t] = setting
+
+    let next, deriv, groovy
+    if (awareRun) {
+      ({ next, deriv } = evolveAware(state, prevDeriv, table, boundary))
+      groovy = awareCommutator === 'paired'
+        ? groovyCommutatorAwarePair({ state, prevDeriv }, table, boundary).state
+        : groovyCommutatorAware(state, prevDeriv, table, boundary)
+      prevDeriv = deriv
+    } else {
+      next = evolve(state, table, boundary)
+      deriv = xorRows(state, next)
+      groovy = groovyCommutator(state, table, boundary)
+    }
+    history.push(state)
+    derivHistory.push(deriv)
+    groovyHistory.push(groovy)
+    series.rho.push(density(deriv))
+    series.groovy.push(density(groovy))
+    state = next
+  }
+
+  return { history, derivHistory, groovyHistory, series, settings, labels }
+}
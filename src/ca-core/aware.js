@@ -0,0 +1,139 @@
+import { ruleToTable, xorRows } from './elementary.js'
+import { cellAt } from './boundary.js'
+
+// =============================================================================
+// AWARE CA — cells with memory (can see their S' value)
+// =============================================================================
+
+export const AWARE_RULE_COUNT = 1 << 16
+export const AWARE_MEMORY_BEHAVIORS = ['ignore', 'stabilize', 'invert', 'excite']
+
+// How the aware commutator treats history (see groovyCommutatorAware and
+// groovyCommutatorAwarePair)
+export const AWARE_COMMUTATORS = ['frozen', 'paired']
+
+// Extended rule: 4-bit input (left, center, right, didChange) → 16-bit rule number,
+// compiled to a 16-entry table indexed by 8·left + 4·center + 2·right + didChange
+export function awareRuleToTable(ruleNumber) {
+  const table = new Uint8Array(16)
+  for (let idx = 0; idx < 16; idx++) {
+    table[idx] = (ruleNumber >> idx) & 1
+  }
+  return table
+}
+
+// Apply aware rule: cells see their previous S' (change) value
+export function applyAwareRule(state, prevDerivative, table, boundary = 'periodic', out = new Uint8Array(state.length)) {
+  const n = state.length
+  if (n === 0) return out
+  let idx = (cellAt(state, -1, boundary) << 1) | state[0] // (left, center) of cell 0
+  for (let i = 0; i < n; i++) {
+    idx = ((idx << 1) | (i + 1 < n ? state[i + 1] : cellAt(state, n, boundary))) & 7
+    const didChange = prevDerivative ? prevDerivative[i] : 0
+    out[i] = table[(idx << 1) | didChange]
+  }
+  return out
+}
+
+// Evolve aware CA and track derivative history
+export function evolveAware(state, prevDeriv, table, boundary) {
+  const next = applyAwareRule(state, prevDeriv, table, boundary)
+  const deriv = xorRows(state, next)
+  return { next, deriv }
+}
+
+// Groovy commutator for aware CA (more complex - derivative depends on prev derivative).
+// The 'frozen' approximation: both paths see the same prevDeriv.
+export function groovyCommutatorAware(state, prevDeriv, table, boundary) {
+  // This is trickier because the aware rule depends on history
+  // For now, compute it assuming the prevDeriv stays constant for both paths
+  const { next: Es, deriv: Ds } = evolveAware(state, prevDeriv, table, boundary)
+
+  // Path 1: evolve, then check what would change
+  const { deriv: D_Es } = evolveAware(Es, prevDeriv, table, boundary)
+
+  // Path 2: differentiate, then evolve
+  const E_Ds = applyAwareRule(Ds, prevDeriv, table, boundary)
+
+  return xorRows(D_Es, E_Ds)
+}
+
+// =============================================================================
+// PAIRED HISTORY — the aware CA as a plain map on (S, S') pairs
+// =============================================================================
+//
+// An aware step needs the state and the change that produced it, so the honest
+// phase space is the pair X = (S, P), P = previous S'. On pairs the aware rule
+// is an ordinary deterministic map
+//   Φ(S, P) = (φ(S, P), S ⊕ φ(S, P))
+// and D, E and G are defined exactly as for standard rules, XOR-ing both
+// components:
+//   E(X) = Φ(X)    D(X) = X ⊕ Φ(X)    G(X) = D(E(X)) ⊕ E(D(X))
+// Each path of the commutator now carries its own derivative history, and
+// G(X) is itself a pair, so G²(X) = G(G(X)) is aware all the way down.
+// A missing P (the first step) counts as all zeros.
+
+const pairOf = (state, prevDeriv) => ({ state, prevDeriv: prevDeriv || new Uint8Array(state.length) })
+
+const xorPairs = (a, b) => ({ state: xorRows(a.state, b.state), prevDeriv: xorRows(a.prevDeriv, b.prevDeriv) })
+
+// Φ(S, P)
+export function evolveAwarePair(pair, table, boundary) {
+  const { next, deriv } = evolveAware(pair.state, pair.prevDeriv, table, boundary)
+  return { state: next, prevDeriv: deriv }
+}
+
+// G(X) as a pair; .state is the row drawn as G
+export function groovyCommutatorAwarePair(pair, table, boundary) {
+  const X = pairOf(pair.state, pair.prevDeriv)
+  const Ex = evolveAwarePair(X, table, boundary)
+  const Dx = xorPairs(X, Ex)
+  const D_Ex = xorPairs(Ex, evolveAwarePair(Ex, table, boundary))
+  const E_Dx = evolveAwarePair(Dx, table, boundary)
+  return xorPairs(D_Ex, E_Dx)
+}
+
+// Generate interesting aware rules by extending standard rules
+export function standardToAwareRule(rule8bit, memoryBehavior = 'ignore') {
+  // memoryBehavior: 'ignore' = same as standard, 'invert' = flip if changed, 'stabilize' = stay if changed
+  let rule16 = 0
+  const table = ruleToTable(rule8bit)
+
+  for (let l = 0; l < 2; l++) {
+    for (let c = 0; c < 2; c++) {
+      for (let r = 0; r < 2; r++) {
+        const baseResult = table[4 * l + 2 * c + r]
+        for (let d = 0; d < 2; d++) {
+          let result = baseResult
+          if (d === 1) { // cell changed last step
+            if (memoryBehavior === 'invert') result = 1 - result
+            else if (memoryBehavior === 'stabilize') result = c // stay same
+            else if (memoryBehavior === 'excite') result = 1 // become/stay active
+          }
+          const idx = 8 * l + 4 * c + 2 * r + d
+          if (result) rule16 |= 1 << idx
+        }
+      }
+    }
+  }
+  return rule16
+}
+
+// The plain elementary rule hidden in an aware rule: its didChange = 0 half
+export function awareBaseRule(rule16) {
+  let rule8 = 0
+  for (let idx = 0; idx < 8; idx++) {
+    if ((rule16 >> (idx << 1)) & 1) rule8 |= 1 << idx
+  }
+  return rule8
+}
+
+// The { rule, memoryBehavior } presets that give this aware rule, if any.
+// Most of the 65,536 aware rules are no standard rule + behaviour at all.
+export function matchAwareRule(rule16) {
+  const rule = awareBaseRule(rule16)
+  return AWARE_MEMORY_BEHAVIORS
+    .filter(memoryBehavior => standardToAwareRule(rule, memoryBehavior) === rule16)
+    .map(memoryBehavior => ({ rule, memoryBehavior }))
+}
+
@@ -0,0 +1,158 @@
+import * as reference from './reference.js'
+import { iterateCA1D } from './run.js'
+import { createGrid, groovyFrame2D, density2D } from './life.js'
+import { mulberry32, randomState } from './random.js'
+
+// =============================================================================
+// BENCHMARK — lookup-table engine vs the original string-keyed engine
+// =============================================================================
+//
+// The reference engine is too slow to run at the target sizes, so it runs a
+// short prefix of the same experiment. Speedup compares time per step (or per
+// frame), and the prefix doubles as a bit-for-bit equivalence check.
+
+export const BENCHMARKS = [
+  {
+    id: 'elementary',
+    label: '1D rule 110: D, G, G² per step',
+    unit: 'step',
+    width: 1000,
+    steps: 5000,
+    referenceSteps: 100
+  },
+  {
+    id: 'life',
+    label: '2D B3/S23: E, D, G, G² per frame',
+    unit: 'frame',
+    size: 512,
+    frames: 60,
+    referenceFrames: 2
+  }
+]
+
+const rowsEqual = (a, b) => a.length === b.length && a.every((v, i) => v === b[i])
+
+function benchElementary({ width, steps, referenceSteps }) {
+  const rule = 110
+  const initial = randomState(width, mulberry32(1))
+
+  // Reference: the original run1D loop
+  const refDict = reference.ruleToDict(rule)
+  const refRows = []
+  let state = initial
+  let t0 = performance.now()
+  for (let i = 0; i < referenceSteps; i++) {
+    const D = reference.derivative(state, refDict)
+    const G = reference.groovyCommutator(state, refDict)
+    const G2 = reference.groovyCommutator2(state, refDict)
+    refRows.push({ D, G, G2 })
+    state = reference.evolve(state, refDict)
+  }
+  const referenceMs = performance.now() - t0
+
+  let identical = true
+  let i = 0
+  t0 = performance.now()
+  for (const step of iterateCA1D(initial, { rule, steps })) {
+    if (i < referenceSteps) {
+      const r = refRows[i]
+      identical = identical && rowsEqual(r.D, step.deriv) && rowsEqual(r.G, step.groovy) && rowsEqual(r.G2, step.groovy2)
+    }
+    i++
+  }
+  const fastMs = performance.now() - t0
+
+  return { referenceMs, referenceUnits: referenceSteps, fastMs, fastUnits: steps, identical }
+}
+
+function benchLife({ size, frames, referenceFrames }) {
+  const birth = [3]
+  const survive = [2, 3]
+  const cells = randomState(size * size, mulberry32(1), 0.3)
+
+  // Reference: the original per-frame work of the 2D tab (G, ρ, then evolve),
+  // plus the G² every frame now carries
+  let refGrid = []
+  for (let y = 0; y < size; y++) refGrid.push(cells.slice(y * size, (y + 1) * size))
+  const refFrames = []
+  let t0 = performance.now()
+  for (let f = 0; f < referenceFrames; f++) {
+    const G = reference.groovyCommutator2D(refGrid, birth, survive)
+    const G2 = reference.groovyCommutator2D(G, birth, survive)
+    reference.derivative2D(refGrid, birth, survive)
+    refFrames.push({ G, G2 })
+    refGrid = reference.evolve2D(refGrid, birth, survive)
+  }
+  const referenceMs = performance.now() - t0
+
+  let identical = true
+  let grid = createGrid(size, size, cells)
+  const sameGrid = (rows, g) => rows.every((row, y) => rowsEqual(row, g.cells.subarray(y * size, (y + 1) * size)))
+  t0 = performance.now()
+  for (let f = 0; f < frames; f++) {
+    const { next, deriv, groovy, groovy2 } = groovyFrame2D(grid, birth, survive)
+    density2D(deriv)
+    if (f < referenceFrames) {
+      identical = identical && sameGrid(refFrames[f].G, groovy) && sameGrid(refFrames[f].G2, groovy2)
+    }
+    grid = next
+  }
+  const fastMs = performance.now() - t0
+
+  return { referenceMs, referenceUnits: referenceFrames, fastMs, fastUnits: frames, identical }
+}
+
+// The 1D and 2D aware commutators must measure the same thing. On a single
+// row with a dead (fixed0) border a Moore cell only sees its left and right
+// neighbours, so every B/S rule drawn from counts 0–2 is an elementary rule;
+// each of those, with every memory behaviour, runs from a few random rows in
+// both engines and S, G and G² are compared step by step.
+export function checkAwareAgreement({ width = 24, steps = 16, seeds = 3 } = {}) {
+  const boundary = 'fixed0'
+  let checked = 0
+  let identical = true
+  for (let bits = 0; bits < 64; bits++) {
+    const birth = [0, 1, 2].filter(n => bits & (1 << n))
+    const survive = [0, 1, 2].filter(n => bits & (8 << n))
+    let rule = 0
+    for (let idx = 0; idx < 8; idx++) {
+      const count = (idx >> 2) + (idx & 1)
+      if ((idx & 2 ? survive : birth).includes(count)) rule |= 1 << idx
+    }
+    for (const memoryBehavior of ['ignore', 'stabilize', 'invert', 'excite']) {
+      for (let seed = 1; seed <= seeds; seed++) {
+        const initial = randomState(width, mulberry32(seed))
+        let grid = createGrid(width, 1, initial)
+        let prevDeriv = null
+        for (const step of iterateCA1D(initial, { rule, steps, aware: true, memoryBehavior, boundary })) {
+          const frame = groovyFrame2D(grid, birth, survive, boundary, { prevDeriv, memoryBehavior })
+          identical = identical && rowsEqual(step.state, frame.next.cells) &&
+            rowsEqual(step.groovy, frame.groovy.cells) && rowsEqual(step.groovy2, frame.groovy2.cells)
+          grid = frame.next
+          prevDeriv = frame.deriv
+        }
+        checked++
+      }
+    }
+  }
+  return { checked, identical }
+}
+
+// Run one benchmark by id; times are wall-clock milliseconds
+export function runBenchmark(id) {
+  const bench = BENCHMARKS.find(b => b.id === id)
+  if (!bench) throw new Error(`Unknown benchmark "${id}"`)
+
+  const r = bench.id === 'elementary' ? benchElementary(bench) : benchLife(bench)
+  const referencePerUnit = r.referenceMs / r.referenceUnits
+  const fastPerUnit = r.fastMs / r.fastUnits
+  return {
+    id: bench.id,
+    label: bench.label,
+    unit: bench.unit,
+    ...r,
+    referencePerUnit,
+    fastPerUnit,
+    speedup: referencePerUnit / fastPerUnit
+  }
+}
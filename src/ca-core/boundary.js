@@ -0,0 +1,101 @@
+// =============================================================================
+// BOUNDARY CONDITIONS
+// =============================================================================
+//
+// What a cell sees past the edge of the lattice:
+//   periodic    — the other edge (a ring / torus)
+//   fixed0/1    — a constant 0 or 1 wall
+//   reflective  — a mirror at the edge: cell −j sees cell j − 1
+//   infinite    — 1D only. The initial row is padded with 0s wider than the
+//                 light cone of the whole run, and each row is taken to
+//                 continue with its edge value. Far from the pattern every
+//                 row (S, D, G, ...) is uniform, so this is exactly the
+//                 unbounded lattice, and nothing ever reaches an edge.
+
+export const BOUNDARIES = ['periodic', 'fixed0', 'fixed1', 'reflective', 'infinite']
+export const BOUNDARIES_2D = ['periodic', 'fixed0', 'fixed1', 'reflective']
+
+// Value of cell j of a row, where j may lie outside 0..n-1
+export function cellAt(state, j, boundary = 'periodic') {
+  const n = state.length
+  if (j >= 0 && j < n) return state[j]
+  switch (boundary) {
+    case 'fixed0':
+      return 0
+    case 'fixed1':
+      return 1
+    case 'reflective': {
+      const m = j < 0 ? -j - 1 : 2 * n - 1 - j
+      return state[Math.min(Math.max(m, 0), n - 1)]
+    }
+    case 'infinite':
+      return state[j < 0 ? 0 : n - 1]
+    default:
+      return state[((j % n) + n) % n]
+  }
+}
+
+// Cells an infinite-lattice run of this many steps must pad on each side:
+// S spreads r cells per step, and each level of the tower (G, G², … Gⁿ with
+// n = levels) takes two more steps, so Gⁿ at step t reaches 2n steps further.
+export function lightConePadding(radius, steps, levels = 2) {
+  return radius * (steps + 2 * levels)
+}
+
+export function padInfinite(initial, radius, steps, levels = 2) {
+  const pad = lightConePadding(radius, steps, levels)
+  const padded = new Uint8Array(initial.length + 2 * pad)
+  padded.set(initial, pad)
+  return padded
+}
+
+// The part of a row inside an active { from, to } window of an infinite-lattice
+// run, or all of it when there is no window
+export const activeCells = (row, window) => window ? row.subarray(window.from, window.to) : row
+
+// Index (0..n-1) of the cell that ghost cell j stands for, periodic or reflective
+function ghostIndex(j, n, reflect) {
+  if (!reflect) return ((j % n) + n) % n
+  return Math.min(Math.max(j < 0 ? -j - 1 : 2 * n - 1 - j, 0), n - 1)
+}
+
+// Value of cell (x, y) of a grid, where x and y may lie outside it; the same
+// cell padGrid puts there
+export function cellAt2D({ width: w, height: h, cells }, x, y, boundary = 'periodic') {
+  if (x >= 0 && x < w && y >= 0 && y < h) return cells[y * w + x]
+  if (boundary === 'fixed0') return 0
+  if (boundary === 'fixed1') return 1
+  const reflect = boundary === 'reflective'
+  const px = x >= 0 && x < w ? x : ghostIndex(x, w, reflect)
+  const py = y >= 0 && y < h ? y : ghostIndex(y, h, reflect)
+  return cells[py * w + px]
+}
+
+// Copy a flat grid into a (w + 2r) × (h + 2r) buffer whose outer r rings hold
+// the boundary cells, so a neighbourhood of range r never needs a bounds check
+export function padGrid({ width: w, height: h, cells }, boundary = 'periodic', r = 1) {
+  const pw = w + 2 * r
+  const padded = new Uint8Array(pw * (h + 2 * r))
+  if (boundary === 'fixed1') padded.fill(1)
+  for (let y = 0; y < h; y++) {
+    padded.set(cells.subarray(y * w, (y + 1) * w), (y + r) * pw + r)
+  }
+  if (boundary === 'fixed0' || boundary === 'fixed1') return padded
+
+  // Ghost columns first, then whole ghost rows, so the corners come along
+  const reflect = boundary === 'reflective'
+  for (let py = r; py < r + h; py++) {
+    const row = py * pw + r
+    for (let g = 1; g <= r; g++) {
+      padded[row - g] = padded[row + ghostIndex(-g, w, reflect)]
+      padded[row + w - 1 + g] = padded[row + ghostIndex(w - 1 + g, w, reflect)]
+    }
+  }
+  for (let g = 1; g <= r; g++) {
+    const top = r + ghostIndex(-g, h, reflect)
+    const bottom = r + ghostIndex(h - 1 + g, h, reflect)
+    padded.copyWithin((r - g) * pw, top * pw, (top + 1) * pw)
+    padded.copyWithin((r + h - 1 + g) * pw, bottom * pw, (bottom + 1) * pw)
+  }
+  return padded
+}
@@ -0,0 +1,51 @@
+import { runCA1D } from './run.js'
+
+// =============================================================================
+// COMPARE — two 1D configurations from the same initial row
+// =============================================================================
+//
+// Each configuration is a set of runCA1D options (rule, aware, memoryBehavior,
+// awareRule, awareCommutator); both run from the same initial row, with the
+// same steps and boundary. Difference rows code each cell as a + 2b for
+// binary fields (0 both off, 1 only A, 2 only B, 3 both), so one row shows
+// where the runs agree as well as where they part.
+
+export const COMPARE_FIELDS = ['history', 'derivHistory', 'groovyHistory', 'groovy2History']
+
+export function differenceRows(rowsA, rowsB) {
+  const n = Math.min(rowsA.length, rowsB.length)
+  return Array.from({ length: n }, (_, t) => {
+    const a = rowsA[t]
+    const b = rowsB[t]
+    const out = new Uint8Array(a.length)
+    for (let i = 0; i < a.length; i++) out[i] = (a[i] ? 1 : 0) | (b[i] ? 2 : 0)
+    return out
+  })
+}
+
+// Per row, the fraction of cells where A and B disagree; firstDifference is
+// the first row where any do (null if none)
+export function differenceStats(diff) {
+  const density = diff.map(row => {
+    let count = 0
+    for (let i = 0; i < row.length; i++) if (row[i] === 1 || row[i] === 2) count++
+    return row.length ? count / row.length : 0
+  })
+  const first = density.findIndex(d => d > 0)
+  return {
+    density,
+    meanDensity: density.length ? density.reduce((s, d) => s + d, 0) / density.length : 0,
+    firstDifference: first === -1 ? null : first
+  }
+}
+
+// Both runs and, for every field, their difference rows and stats
+export function compareRuns(initial, configA, configB, { steps, boundary = 'periodic' }) {
+  const runs = [configA, configB].map(config => runCA1D(initial, { ...config, steps, boundary }))
+  const fields = {}
+  for (const field of COMPARE_FIELDS) {
+    const diff = differenceRows(runs[0][field], runs[1][field])
+    fields[field] = { diff, ...differenceStats(diff) }
+  }
+  return { runs, fields }
+}
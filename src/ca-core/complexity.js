@@ -0,0 +1,159 @@
+import { MOORE, neighbourhoodOffsets, lifeTableSpan } from './life.js'
+import { activeCells } from './boundary.js'
+
+// =============================================================================
+// COMPLEXITY MEASURES — the established yardsticks to hold G up against
+// =============================================================================
+//
+// All measures work on Uint8Array rows of k-ary cells. 2D grids pass their
+// cells with rowWidth = grid.width, so blocks and neighbour pairs never wrap
+// from the end of one grid row to the start of the next. Entropies and
+// mutual information are in bits.
+
+export const MAX_BLOCK = 8
+
+// Count every length-b block (as a base-k code) that fits inside a row.
+// The code rolls along the row: drop the leading digit, append the next cell.
+// Small alphabets count into an array; large ones fall back to a Map.
+function countBlocks(row, b, k, rowWidth) {
+  const size = k ** b
+  const top = k ** (b - 1)
+  const small = size <= 1 << 16
+  const counts = small ? new Uint32Array(size) : new Map()
+  for (let start = 0; start + rowWidth <= row.length; start += rowWidth) {
+    let code = 0
+    for (let x = 0; x < rowWidth; x++) {
+      if (x >= b) code -= row[start + x - b] * top
+      code = code * k + row[start + x]
+      if (x + 1 < b) continue
+      if (small) counts[code]++
+      else counts.set(code, (counts.get(code) || 0) + 1)
+    }
+  }
+  return counts
+}
+
+function shannon(counts) {
+  let total = 0
+  for (const c of counts.values()) total += c
+  let h = 0
+  for (const c of counts.values()) {
+    if (c) h -= (c / total) * Math.log2(c / total)
+  }
+  return h
+}
+
+// Shannon entropy H_b of the length-b blocks of a row
+export function blockEntropy(row, blockSize, { k = 2, rowWidth = row.length } = {}) {
+  return shannon(countBlocks(row, blockSize, k, rowWidth))
+}
+
+// H_1 .. H_maxBlock
+export function blockEntropies(row, maxBlock, options) {
+  const hs = []
+  for (let b = 1; b <= maxBlock; b++) hs.push(blockEntropy(row, b, options))
+  return hs
+}
+
+// Lempel–Ziv (LZ78) complexity: the number of phrases c in the incremental
+// parse of the row, normalised as c·log_k(c)/n. About 1 for random rows (a
+// little over on short ones), near 0 for regular ones. Linear time: the
+// phrase trie is a flat table of child ids, children[node·k + symbol], with
+// 0 for "no child" (the root is node 0 and never anyone's child); a Map
+// stands in for the table when it would be large.
+export function lempelZiv(row, { k = 2 } = {}) {
+  const n = row.length
+  if (n === 0) return 0
+  const small = (n + 1) * k <= 1 << 22
+  const children = small ? new Int32Array((n + 1) * k) : new Map()
+  let nodes = 1
+  let node = 0
+  let phrases = 0
+  for (let i = 0; i < n; i++) {
+    const key = node * k + row[i]
+    const child = small ? children[key] : children.get(key)
+    if (child) {
+      node = child
+    } else {
+      if (small) children[key] = nodes++
+      else children.set(key, nodes++)
+      phrases++
+      node = 0
+    }
+  }
+  if (node !== 0) phrases++ // unfinished last phrase
+  return phrases > 1 ? phrases * Math.log(phrases) / Math.log(k) / n : phrases / n
+}
+
+// Mutual information between cells `distance` apart along a row
+export function mutualInformation(row, { k = 2, rowWidth = row.length, distance = 1 } = {}) {
+  const joint = new Uint32Array(k * k)
+  const left = new Uint32Array(k)
+  const right = new Uint32Array(k)
+  let total = 0
+
+  for (let start = 0; start + rowWidth <= row.length; start += rowWidth) {
+    for (let x = 0; x + distance < rowWidth; x++) {
+      const a = row[start + x]
+      const b = row[start + x + distance]
+      joint[a * k + b]++
+      left[a]++
+      right[b]++
+      total++
+    }
+  }
+
+  let mi = 0
+  for (let a = 0; a < k; a++) {
+    for (let b = 0; b < k; b++) {
+      const c = joint[a * k + b]
+      if (c) mi += (c / total) * Math.log2((c * total) / (left[a] * right[b]))
+    }
+  }
+  return mi
+}
+
+// Langton's λ: the fraction of neighbourhoods that map to a non-quiescent state
+export function langtonLambda(table, quiescent = 0) {
+  let active = 0
+  for (let i = 0; i < table.length; i++) if (table[i] !== quiescent) active++
+  return table.length ? active / table.length : 0
+}
+
+// λ for an outer-totalistic Life table (2·span entries, or 4·span when aware;
+// 18 and 36 for Moore): entry span·alive + n stands for C(N, n) neighbourhoods
+// of N neighbours, C(N, n − alive) when the cell counts itself
+export function lifeLambda(table, neighbourhood = MOORE) {
+  const n = neighbourhoodOffsets(neighbourhood).length
+  const span = lifeTableSpan(neighbourhood)
+  const binomial = [1]
+  for (let i = 1; i <= n; i++) binomial.push(binomial[i - 1] * (n - i + 1) / i)
+  let active = 0
+  let total = 0
+  for (let i = 0; i < table.length; i++) {
+    const alive = Math.floor(i / span) % 2
+    const weight = binomial[i % span - (neighbourhood.middle ? alive : 0)] ?? 0
+    total += weight
+    if (table[i]) active += weight
+  }
+  return total ? active / total : 0
+}
+
+// Block entropies, LZ and mutual information of one row or grid
+export function complexityProfile(row, { maxBlock = 4, k = 2, rowWidth = row.length } = {}) {
+  return {
+    entropy: blockEntropies(row, maxBlock, { k, rowWidth }),
+    lz: lempelZiv(row, { k }),
+    mi: mutualInformation(row, { k, rowWidth })
+  }
+}
+
+// Profiles of S (after the step), D and G for one step of iterateCA1D,
+// each measured over its active window like stepMetrics
+export function stepComplexity({ state, deriv, groovy, active }, options) {
+  return {
+    S: complexityProfile(activeCells(state, active?.state), options),
+    D: complexityProfile(activeCells(deriv, active?.deriv), options),
+    G: complexityProfile(activeCells(groovy, active?.groovy), options)
+  }
+}
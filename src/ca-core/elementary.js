@@ -0,0 +1,88 @@
+import { cellAt } from './boundary.js'
+
+// =============================================================================
+// CORE CA FRAMEWORK
+// =============================================================================
+//
+// States are Uint8Array rows of 0/1 cells. A rule is compiled once into an
+// integer-indexed lookup table; the neighbourhood index is rolled along the
+// row, so stepping a row allocates nothing per cell and never takes a modulo.
+// Every function takes a boundary condition (see boundary.js, default
+// periodic). Functions that return a row accept an optional `out` buffer to
+// write into; it must not be the input row.
+
+// Wolfram code → 8-entry table indexed by 4·left + 2·center + right
+export function ruleToTable(ruleNumber) {
+  const table = new Uint8Array(8)
+  for (let idx = 0; idx < 8; idx++) {
+    table[idx] = (ruleNumber >> idx) & 1
+  }
+  return table
+}
+
+// φ(s): one synchronous update
+export function applyRule(state, table, boundary = 'periodic', out = new Uint8Array(state.length)) {
+  const n = state.length
+  if (n === 0) return out
+  let idx = (cellAt(state, -1, boundary) << 1) | state[0] // (left, center) of cell 0
+  for (let i = 0; i < n - 1; i++) {
+    idx = ((idx << 1) | state[i + 1]) & 7
+    out[i] = table[idx]
+  }
+  out[n - 1] = table[((idx << 1) | cellAt(state, n, boundary)) & 7]
+  return out
+}
+
+// φ at cell i alone: what applyRule writes there (for cells updated one at a time)
+export function ruleCell(state, i, table, boundary = 'periodic') {
+  return table[(cellAt(state, i - 1, boundary) << 2) | (state[i] << 1) | cellAt(state, i + 1, boundary)]
+}
+
+export function xorRows(a, b, out = new Uint8Array(a.length)) {
+  for (let i = 0; i < a.length; i++) out[i] = a[i] ^ b[i]
+  return out
+}
+
+// D(s) = change mask - which cells flip
+export function derivative(state, table, boundary, out) {
+  const next = applyRule(state, table, boundary, out)
+  return xorRows(state, next, next)
+}
+
+// E(s) = s ⊕ D(s) = evolution, which is just φ(s)
+export function evolve(state, table, boundary, out) {
+  return applyRule(state, table, boundary, out)
+}
+
+// G(s) = D(E(s)) ⊕ E(D(s)) = groovy commutator
+// With E = φ and D(x) = x ⊕ φ(x) this is E(s) ⊕ φ(E(s)) ⊕ φ(D(s)):
+// three rule applications instead of the eight a literal expansion needs.
+export function groovyCommutator(state, table, boundary, out = new Uint8Array(state.length)) {
+  const n = state.length
+  const Es = applyRule(state, table, boundary)
+  const Ds = xorRows(state, Es)
+
+  // Path 1: Evolve then differentiate
+  const phiEs = applyRule(Es, table, boundary)
+
+  // Path 2: Differentiate then evolve
+  const E_Ds = applyRule(Ds, table, boundary)
+
+  for (let i = 0; i < n; i++) out[i] = Es[i] ^ phiEs[i] ^ E_Ds[i]
+  return out
+}
+
+// G²(s) = G(G(s)) = second-order groovy commutator
+// Treating the groovy commutator output as a new state and computing its groove
+// "The grooviness of the groove" — how non-commutativity itself is non-commutative
+export function groovyCommutator2(state, table, boundary, out) {
+  const G = groovyCommutator(state, table, boundary)
+  return groovyCommutator(G, table, boundary, out)
+}
+
+// Fraction of non-zero cells (for k-colour rows, cells where D or G ≠ 0)
+export function density(arr) {
+  let count = 0
+  for (let i = 0; i < arr.length; i++) if (arr[i]) count++
+  return arr.length ? count / arr.length : 0
+}
@@ -0,0 +1,214 @@
+// =============================================================================
+// ca-core — headless cellular automaton math for the visualizer and the CLI
+// =============================================================================
+//
+// No DOM and no React: everything here runs in the browser, in Node and in
+// workers. States are Uint8Array rows of cells (0/1, or 0..k-1 for k-colour
+// rules); 2D grids are flat
+// { width, height, cells } objects. Rules are compiled into lookup tables
+// (ruleToTable, awareRuleToTable, lifeRuleTable) before they are applied.
+
+export {
+  ruleToTable,
+  applyRule,
+  ruleCell,
+  xorRows,
+  derivative,
+  evolve,
+  groovyCommutator,
+  groovyCommutator2,
+  density
+} from './elementary.js'
+
+export {
+  awareRuleToTable,
+  applyAwareRule,
+  evolveAware,
+  groovyCommutatorAware,
+  evolveAwarePair,
+  groovyCommutatorAwarePair,
+  standardToAwareRule,
+  AWARE_RULE_COUNT,
+  AWARE_MEMORY_BEHAVIORS,
+  AWARE_COMMUTATORS,
+  awareBaseRule,
+  matchAwareRule
+} from './aware.js'
+
+export {
+  createGrid,
+  paintGrid,
+  NEIGHBOURHOOD_SHAPES,
+  MAX_NEIGHBOURHOOD_RANGE,
+  MAX_GENERATIONS_STATES,
+  MOORE,
+  neighbourhoodOffsets,
+  neighbourCount,
+  lifeTableSpan,
+  lifeRuleTable,
+  evolve2D,
+  derivative2D,
+  groovyCommutator2D,
+  awareLifeRuleTable,
+  evolveAware2D,
+  groovyCommutatorAware2D,
+  groovyCommutatorAwarePair2D,
+  groovyFrame2D,
+  stochasticStep2D,
+  density2D
+} from './life.js'
+
+export {
+  MAX_STATES,
+  MAX_RADIUS,
+  MAX_TABLE_SIZE,
+  ruleCodeCount,
+  compileRuleK,
+  randomRuleCode,
+  applyRuleK,
+  ruleCellK,
+  subRowsMod,
+  derivativeK,
+  evolveK,
+  groovyCommutatorK,
+  groovyCommutator2K
+} from './multistate.js'
+
+export {
+  BOUNDARIES,
+  BOUNDARIES_2D,
+  cellAt,
+  cellAt2D,
+  lightConePadding,
+  padInfinite,
+  padGrid
+} from './boundary.js'
+
+export { mulberry32, randomState } from './random.js'
+export {
+  ROW_BACKGROUNDS,
+  ETHER_110,
+  parseCells,
+  parsePositions,
+  tileRow,
+  stampRow,
+  composeRow
+} from './initial.js'
+export {
+  MAX_HISTORY_CELLS,
+  planHistories,
+  prepareInitial,
+  iterateCA1D,
+  resolveAwareRule,
+  stepMetrics,
+  stepTowerDensities,
+  meanTowerDensities,
+  runCA1D,
+  seriesMetrics
+} from './run.js'
+export {
+  UPDATE_MODES,
+  SYNCHRONOUS,
+  SWEEP_ALPHAS,
+  SWEEP_EPSILONS,
+  isSynchronous,
+  checkUpdate,
+  stochasticStep,
+  cellDraws,
+  commutatorOf,
+  sweepUpdates
+} from './stochastic.js'
+export { MAX_ORDER, TOWER_FATES, groovyTower, summarizeFates } from './tower.js'
+export { inspectCell1D, inspectCell2D } from './inspect.js'
+export { COMPARE_FIELDS, differenceRows, differenceStats, compareRuns } from './compare.js'
+export {
+  MAX_BASIN_STATES,
+  dynamicalKey,
+  createCycleDetector,
+  splitByAttractor,
+  basinStateCount,
+  transitionGraph,
+  findBasins,
+  basinSummary,
+  layoutBasins
+} from './attractors.js'
+export {
+  SERIES_KEYS,
+  mean,
+  variance,
+  rollingStats,
+  autocorrelation,
+  correlation,
+  seriesStats,
+  seriesToCSV
+} from './stats.js'
+export {
+  MAX_BLOCK,
+  blockEntropy,
+  blockEntropies,
+  lempelZiv,
+  mutualInformation,
+  langtonLambda,
+  lifeLambda,
+  complexityProfile,
+  stepComplexity
+} from './complexity.js'
+export {
+  sweepRule,
+  sweepAwareRule,
+  awareThumbnail,
+  sampleAwareRules,
+  CLASS_IV_RULES
+} from './sweep.js'
+export {
+  PATTERN_FORMATS,
+  parseRLE,
+  parsePlaintext,
+  parseLife106,
+  detectPatternFormat,
+  parsePattern,
+  placePattern,
+  gridToRLE
+} from './patterns.js'
+export {
+  parseRulestring,
+  formatRulestring,
+  formatLifeRule,
+  parseLifeRuleString
+} from './rulestring.js'
+export {
+  MAX_SPECTRUM_WIDTH,
+  MAX_COMMUTING_LISTED,
+  createSpectrum,
+  addSpectrumStates,
+  spectrumResult,
+  exhaustiveSpectrum
+} from './spectrum.js'
+export { BENCHMARKS, runBenchmark, checkAwareAgreement } from './benchmark.js'
+export {
+  AUDIO_FFT_SIZE,
+  AUDIO_MIN_HZ,
+  AUDIO_MAX_HZ,
+  AUDIO_DB_RANGE,
+  AUDIO_BEAT_SWITCHES,
+  fft,
+  bandEdges,
+  analyseAudio,
+  frameEnergies,
+  meanLoudness,
+  bandSpan,
+  injectRow,
+  injectPoints2D,
+  beatSetting,
+  runAudio1D
+} from './audio.js'
+export {
+  SONIFY_MAPPINGS,
+  SONIFY_SAMPLE_RATE,
+  SONIFY_RAMP,
+  SONIFY_VOICES,
+  MAX_PARTIALS,
+  sonifyScore,
+  renderScore,
+  encodeWAV
+} from './sonify.js'
@@ -0,0 +1,65 @@
+// =============================================================================
+// INITIAL CONDITIONS — rows built from a background and stamped motifs
+// =============================================================================
+//
+// Rows and motifs are written as cell digits, cell 0 first ("0110"). Binary
+// motifs may also use the plaintext-pattern symbols . and * (or O) for 0 and 1.
+// Placement wraps around the row, as on the periodic lattice.
+
+export const ROW_BACKGROUNDS = ['zeros', 'random', 'tile']
+
+// Rule 110's ether: this 14-cell tile repeats every 7 steps
+export const ETHER_110 = '11111000100110'
+
+const SYMBOLS = { '.': 0, '*': 1, O: 1, o: 1 }
+
+// Cell digits 0..k-1 → Uint8Array; whitespace is ignored
+export function parseCells(text, k = 2) {
+  const cells = []
+  for (const ch of text.replace(/\s+/g, '')) {
+    const v = ch in SYMBOLS ? SYMBOLS[ch] : Number.parseInt(ch, 36)
+    if (!(v >= 0 && v < k)) throw new Error(`"${ch}" is not a cell of a ${k}-state rule`)
+    cells.push(v)
+  }
+  return Uint8Array.from(cells)
+}
+
+// The unit repeated across the row
+export function tileRow(width, unit) {
+  const row = new Uint8Array(width)
+  if (unit.length) for (let i = 0; i < width; i++) row[i] = unit[i % unit.length]
+  return row
+}
+
+// Write motif into row starting at cell `at` (in place)
+export function stampRow(row, motif, at) {
+  const n = row.length
+  for (let i = 0; i < motif.length; i++) row[(((at + i) % n) + n) % n] = motif[i]
+  return row
+}
+
+// A row from { background, unit, motif, positions }: background 'zeros',
+// 'random' (rand and density, as randomState) or 'tile' (unit repeated), then
+// the motif stamped at each position. Positions default to the centre.
+export function composeRow(width, { background = 'zeros', unit = '', motif = '', positions = null, k = 2 }, random = null) {
+  let row
+  if (background === 'random') {
+    if (!random) throw new Error('A random background needs a random source')
+    row = random()
+  } else if (background === 'tile') {
+    row = tileRow(width, parseCells(unit, k))
+  } else {
+    row = new Uint8Array(width)
+  }
+  const cells = parseCells(motif, k)
+  if (cells.length) {
+    const at = positions && positions.length ? positions : [Math.floor((width - cells.length) / 2)]
+    for (const p of at) stampRow(row, cells, p)
+  }
+  return row
+}
+
+// "12, 40 80" → [12, 40, 80]
+export function parsePositions(text) {
+  return text.split(/[\s,]+/).filter(Boolean).map(Number).filter(Number.isInteger)
+}
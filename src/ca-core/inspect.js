@@ -0,0 +1,196 @@
+import { cellAt, padGrid } from './boundary.js'
+import { ruleToTable, applyRule, ruleCell, xorRows } from './elementary.js'
+import { awareRuleToTable, applyAwareRule } from './aware.js'
+import { compileRuleK, applyRuleK, ruleCellK, subRowsMod } from './multistate.js'
+import {
+  MOORE,
+  neighbourhoodOffsets,
+  lifeTableSpan,
+  createGrid,
+  lifeRuleTable,
+  awareLifeRuleTable,
+  evolveAware2D,
+  stochasticStep2D,
+  generationsStep
+} from './life.js'
+import { resolveAwareRule } from './run.js'
+import { isSynchronous, stochasticStep, cellDraws } from './stochastic.js'
+
+// =============================================================================
+// CELL INSPECTOR — why one cell of D, G has the value it has
+// =============================================================================
+//
+// Recomputes the two paths of the commutator for one state and reports, at
+// one cell, the lookup-table entry each rule application used and the values
+// they combine into:
+//   D = D(S)    DE = D(E(S))    ED = E(D(S))    G = DE ⊕ ED (− mod k)
+// Each path is evaluated exactly as the engine does it, so G always matches
+// the G panel.
+//
+// An entry is { label, cells, didChange, index, output }: the neighbourhood
+// read left to right (row by row in 2D), the previous-change bit of an aware
+// rule (null otherwise), the table index and the cell it produced. 2D entries
+// also carry the live-neighbour count, the cell's state, whether it was alive
+// and the side of their square block.
+//
+// Under a stochastic update scheme (options update, and t: the step the state
+// was drawn for) the paths use that step's E_t, so G still matches the panel.
+// The entries are then what the rule alone gives, and `scheme` says what the
+// draws did to the cell (see cellDraws in stochastic.js).
+
+const neighbourhood1D = (row, i, r, boundary) =>
+  Array.from({ length: 2 * r + 1 }, (_, j) => cellAt(row, i - r + j, boundary))
+
+// Rule application and entry lookup for one 1D rule family
+function family1D({ rule, aware, awareRule, memoryBehavior, multistate, boundary }) {
+  if (multistate) {
+    const compiled = compileRuleK(multistate)
+    const { k, radius } = compiled
+    return {
+      k,
+      step: row => applyRuleK(row, compiled, boundary),
+      cell: (row, i) => ruleCellK(row, i, compiled, boundary),
+      entry: (label, row, i) => {
+        const cells = neighbourhood1D(row, i, radius, boundary)
+        const index = cells.reduce((idx, v) => idx * k + v, 0)
+        return { label, cells, didChange: null, index, output: compiled.table[index] }
+      }
+    }
+  }
+  if (aware) {
+    const table = awareRuleToTable(resolveAwareRule({ rule, memoryBehavior, awareRule }))
+    return {
+      k: 2,
+      step: (row, hist) => applyAwareRule(row, hist, table, boundary),
+      entry: (label, row, i, hist) => {
+        const cells = neighbourhood1D(row, i, 1, boundary)
+        const didChange = hist ? hist[i] : 0
+        const index = ((cells[0] << 2) | (cells[1] << 1) | cells[2]) << 1 | didChange
+        return { label, cells, didChange, index, output: table[index] }
+      }
+    }
+  }
+  const table = ruleToTable(rule)
+  return {
+    k: 2,
+    step: row => applyRule(row, table, boundary),
+    cell: (row, i) => ruleCell(row, i, table, boundary),
+    entry: (label, row, i) => {
+      const cells = neighbourhood1D(row, i, 1, boundary)
+      const index = (cells[0] << 2) | (cells[1] << 1) | cells[2]
+      return { label, cells, didChange: null, index, output: table[index] }
+    }
+  }
+}
+
+// Cell i of row S (prevDeriv: the D that led to S, for aware rules; null at
+// the first step). options are a 1D run's: rule, aware, awareRule,
+// memoryBehavior, awareCommutator, multistate, boundary, update and t.
+export function inspectCell1D(row, i, prevDeriv, options) {
+  const { k, step: phi, cell, entry } = family1D(options)
+  const sub = (a, b) => subRowsMod(a, b, k)
+  const P = options.aware && !options.multistate ? prevDeriv || new Uint8Array(row.length) : null
+  const paired = P && options.awareCommutator === 'paired'
+  const { update = null, t = 0 } = options
+  const stochastic = !P && !isSynchronous(update)
+  const step = stochastic ? stochasticStep(update, t, row.length, { step: phi, cell, k }) : phi
+
+  const E = step(row, P)
+  const D = sub(E, row)
+  const entries = [entry('φ(S)', row, i, P)]
+  let DE, ED
+
+  if (paired) {
+    // Pairs (S, P) → (φ(S, P), S ⊕ φ(S, P)); G is the state half of the result
+    const DP = xorRows(P, D) // history half of D(X)
+    DE = xorRows(E, step(E, D))
+    ED = step(D, DP)
+    entries.push(entry('φ(E(S), D(S))', E, i, D), entry('φ(D(S), P ⊕ D(S))', D, i, DP))
+  } else {
+    // Plain, or frozen: every application sees the same previous change P
+    DE = sub(step(E, P), E)
+    ED = step(D, P)
+    entries.push(entry(P ? 'φ(E(S), P)' : 'φ(E(S))', E, i, P), entry(P ? 'φ(D(S), P)' : 'φ(D(S))', D, i, P))
+  }
+
+  return {
+    entries,
+    values: { S: row[i], D: D[i], E: E[i], DE: DE[i], ED: ED[i], G: (DE[i] - ED[i] + k) % k },
+    labels: { DE: 'D(E(S))', ED: 'E(D(S))' },
+    scheme: stochastic ? cellDraws(update, t, row.length, k, i) : null
+  }
+}
+
+// The (2r + 1)² block around (x, y), null outside the neighbourhood, and the
+// table index it selects. Only alive cells (1) count; a dying Generations
+// cell ignores the table (index null) and moves on to its next state.
+function lifeEntry(label, grid, x, y, boundary, table, prevDeriv, neighbourhood, states) {
+  const { width: w } = grid
+  const r = neighbourhood.range
+  const side = 2 * r + 1
+  const padded = padGrid(grid, boundary, r)
+  const pw = w + 2 * r
+  const counted = new Set(neighbourhoodOffsets(neighbourhood).map(([dx, dy]) => (dy + r) * side + dx + r))
+  const centre = r * side + r
+  const cells = []
+  for (let dy = 0; dy < side; dy++) {
+    for (let dx = 0; dx < side; dx++) {
+      const i = dy * side + dx
+      cells.push(i === centre || counted.has(i) ? padded[(y + dy) * pw + x + dx] : null)
+    }
+  }
+  const state = cells[centre]
+  const alive = state === 1 ? 1 : 0
+  const count = cells.filter(v => v === 1).length - (neighbourhood.middle ? 0 : alive)
+  const didChange = prevDeriv ? (prevDeriv.cells[y * w + x] ? 1 : 0) : null
+  const index = state > 1 ? null : lifeTableSpan(neighbourhood) * (2 * (didChange || 0) + alive) + count
+  const output = generationsStep(state, index === null ? 0 : table[index], states)
+  return { label, cells, side, didChange, index, output, alive, count, state }
+}
+
+
+// Cell (x, y) of a 2D frame; options are the 2D run's birthRule, surviveRule,
+// boundary, aware, memoryBehavior, awareCommutator, neighbourhood, states,
+// update and t
+export function inspectCell2D(grid, x, y, prevDeriv, options) {
+  const {
+    birthRule, surviveRule, boundary, aware, memoryBehavior, awareCommutator, neighbourhood = MOORE, states: k = 2,
+    update = null, t = 0
+  } = options
+  const table = aware
+    ? awareLifeRuleTable(birthRule, surviveRule, memoryBehavior, neighbourhood)
+    : lifeRuleTable(birthRule, surviveRule, neighbourhood)
+  const P = aware ? prevDeriv || createGrid(grid.width, grid.height) : null
+  const at = g => g.cells[y * grid.width + x]
+  const entryOf = (label, g, hist) => lifeEntry(label, g, x, y, boundary, table, hist, neighbourhood, k)
+  const stochastic = !aware && !isSynchronous(update)
+  // With no previous change this is the plain Life step
+  const stepOf = stochastic
+    ? stochasticStep2D(update, t, grid, table, boundary, neighbourhood, k)
+    : (g, hist) => evolveAware2D(g, hist, table, boundary, neighbourhood, k).next
+  const sub2D = (a, b) => createGrid(a.width, a.height, subRowsMod(a.cells, b.cells, k))
+
+  const E = stepOf(grid, P)
+  const D = sub2D(E, grid)
+  const entries = [entryOf('φ(S)', grid, P)]
+  let DE, ED
+
+  if (P && awareCommutator === 'paired') {
+    const DP = sub2D(D, P)
+    DE = sub2D(stepOf(E, D), E)
+    ED = stepOf(D, DP)
+    entries.push(entryOf('φ(E(S), D(S))', E, D), entryOf(`φ(D(S), ${k > 2 ? 'D(S) − P' : 'P ⊕ D(S)'})`, D, DP))
+  } else {
+    // Plain, or frozen: every application sees the same previous change P
+    DE = sub2D(stepOf(E, P), E)
+    ED = stepOf(D, P)
+    entries.push(entryOf(P ? 'φ(E(S), P)' : 'φ(E(S))', E, P), entryOf(P ? 'φ(D(S), P)' : 'φ(D(S))', D, P))
+  }
+
+  return {
+    entries,
+    values: { S: at(grid), D: at(D), E: at(E), DE: at(DE), ED: at(ED), G: (at(DE) - at(ED) + k) % k },
+    labels: { DE: 'D(E(S))', ED: 'E(D(S))' },
+    scheme: stochastic ? cellDraws(update, t, grid.cells.length, k, y * grid.width + x) : null
+  }
+}
@@ -0,0 +1,302 @@
+import { padGrid, cellAt2D } from './boundary.js'
+import { isSynchronous, stochasticStep } from './stochastic.js'
+
+// =============================================================================
+// 2D CA (Game of Life style)
+// =============================================================================
+//
+// Grids are flat: { width, height, cells } with cells a row-major Uint8Array.
+// B/S lists are compiled into a table indexed by span·alive + neighbours,
+// where span is one more than the most live cells the neighbourhood can
+// count: 18 entries for Moore's 8 neighbours. Moore counts come from running
+// column sums, so each cell costs a few reads and one table lookup. Each step
+// works on a copy of the grid framed by `range` rings of boundary cells (see
+// boundary.js); boundary defaults to periodic.
+//
+// Aware 2D rules double the table, indexed by 2·span·didChange + span·alive +
+// neighbours, where didChange is the cell's D from the previous step — the
+// 2D counterpart of the aware 1D CA.
+//
+// Neighbourhoods are { shape, range, middle }, default MOORE:
+//   moore       the (2r + 1)² square around the cell
+//   vonNeumann  the diamond |dx| + |dy| ≤ r
+//   hex         a hexagonal lattice on the square one, as Golly draws it: the
+//               square without its NE and SW corners, max(|dx|, |dy|, |dx − dy|) ≤ r
+// middle (Larger than Life's M1) counts the cell itself among its neighbours.
+//
+// Generations rules have states > 2: 0 is dead, 1 alive and 2 … states − 1
+// dying. Only alive cells count as neighbours; dead cells are born and alive
+// ones survive by the table, an alive cell that does not survive starts to
+// die, and dying cells count up to states − 1 and then back to 0. With cells
+// in 0..k − 1 (k = states) the commutator works mod k, as in multistate.js:
+//   D(S) = E(S) − S        G(S) = D(E(S)) − E(D(S))        (all mod k)
+// which for k = 2 is the XOR of the binary rules. An aware cell's didChange
+// is whether its D was non-zero.
+//
+// Plain rules can also step under a stochastic update scheme (asynchronous,
+// random-sequential, noisy; see stochastic.js).
+
+export const NEIGHBOURHOOD_SHAPES = ['moore', 'vonNeumann', 'hex']
+export const MAX_NEIGHBOURHOOD_RANGE = 10
+// Block codes of the complexity measures stay exact up to k = 64 (64⁸ < 2⁵³)
+export const MAX_GENERATIONS_STATES = 64
+export const MOORE = { shape: 'moore', range: 1, middle: false }
+
+const inShape = {
+  moore: () => true,
+  vonNeumann: (dx, dy, r) => Math.abs(dx) + Math.abs(dy) <= r,
+  hex: (dx, dy, r) => Math.abs(dx - dy) <= r
+}
+
+// [dx, dy] of every neighbour, row by row, the cell itself left out
+export function neighbourhoodOffsets({ shape, range: r }) {
+  const offsets = []
+  for (let dy = -r; dy <= r; dy++) {
+    for (let dx = -r; dx <= r; dx++) {
+      if ((dx || dy) && inShape[shape](dx, dy, r)) offsets.push([dx, dy])
+    }
+  }
+  return offsets
+}
+
+// How many cells the neighbourhood counts at most, and the table span that follows
+export const neighbourCount = neighbourhood =>
+  neighbourhoodOffsets(neighbourhood).length + (neighbourhood.middle ? 1 : 0)
+export const lifeTableSpan = neighbourhood => neighbourCount(neighbourhood) + 1
+
+export function createGrid(width, height, cells = new Uint8Array(width * height)) {
+  return { width, height, cells }
+}
+
+// A copy of the grid with cells at [x, y] points set to value; points off
+// the grid are skipped
+export function paintGrid(grid, points, value) {
+  const { width, height } = grid
+  const cells = grid.cells.slice()
+  for (const [x, y] of points) {
+    if (x >= 0 && x < width && y >= 0 && y < height) cells[y * width + x] = value
+  }
+  return createGrid(width, height, cells)
+}
+
+export function lifeRuleTable(birthRule, surviveRule, neighbourhood = MOORE) {
+  const span = lifeTableSpan(neighbourhood)
+  const table = new Uint8Array(2 * span)
+  for (const n of birthRule) if (n >= 0 && n < span) table[n] = 1
+  for (const n of surviveRule) if (n >= 0 && n < span) table[span + n] = 1
+  return table
+}
+
+// B/S rule plus what a cell does when it flipped last step, with the same
+// memory behaviours as standardToAwareRule
+export function awareLifeRuleTable(birthRule, surviveRule, memoryBehavior = 'ignore', neighbourhood = MOORE) {
+  const base = lifeRuleTable(birthRule, surviveRule, neighbourhood)
+  const half = base.length
+  const table = new Uint8Array(2 * half)
+  for (let i = 0; i < half; i++) {
+    const alive = i >= half / 2 ? 1 : 0
+    table[i] = base[i]
+    if (memoryBehavior === 'invert') table[half + i] = 1 - base[i]
+    else if (memoryBehavior === 'stabilize') table[half + i] = alive // stay same
+    else if (memoryBehavior === 'excite') table[half + i] = 1 // become/stay active
+    else table[half + i] = base[i]
+  }
+  return table
+}
+
+// What a Generations cell in state s becomes when its table entry is `out`
+export const generationsStep = (s, out, states) => s === 0 ? out : s === 1 ? (out ? 1 : 2 % states) : (s + 1) % states
+
+// prevDeriv (a grid, or null) selects the aware half of a doubled table
+function stepLife(grid, table, boundary, prevDeriv = null, neighbourhood = MOORE, states = 2) {
+  const { width: w, height: h } = grid
+  const r = neighbourhood.range
+  // Neighbours are counted on the alive cells only
+  const padded = states > 2 ? padGrid(grid, boundary, r).map(v => v === 1 ? 1 : 0) : padGrid(grid, boundary, r)
+  const pw = w + 2 * r
+  const span = lifeTableSpan(neighbourhood)
+  const self = neighbourhood.middle ? 0 : 1 // the square sums include the cell itself
+  const out = new Uint8Array(w * h)
+
+  if (neighbourhood.shape === 'moore') {
+    const colSum = new Uint16Array(pw)
+    for (let y = 0; y < h; y++) {
+      colSum.fill(0)
+      for (let dy = 0; dy <= 2 * r; dy++) {
+        const up = (y + dy) * pw
+        for (let px = 0; px < pw; px++) colSum[px] += padded[up + px]
+      }
+      // Slide a (2r + 1)-column window along the row
+      const row = (y + r) * pw + r
+      let box = 0
+      for (let px = 0; px <= 2 * r; px++) box += colSum[px]
+      for (let x = 0; x < w; x++) {
+        const alive = padded[row + x]
+        const didChange = prevDeriv && prevDeriv.cells[y * w + x] ? 1 : 0
+        out[y * w + x] = table[span * (2 * didChange + alive) + box - self * alive]
+        if (x + 1 < w) box += colSum[x + 2 * r + 1] - colSum[x]
+      }
+    }
+  } else {
+    const deltas = neighbourhoodOffsets(neighbourhood).map(([dx, dy]) => dy * pw + dx)
+    for (let y = 0; y < h; y++) {
+      const row = (y + r) * pw + r
+      for (let x = 0; x < w; x++) {
+        const at = row + x
+        const alive = padded[at]
+        let count = neighbourhood.middle ? alive : 0
+        for (let i = 0; i < deltas.length; i++) count += padded[at + deltas[i]]
+        const didChange = prevDeriv && prevDeriv.cells[y * w + x] ? 1 : 0
+        out[y * w + x] = table[span * (2 * didChange + alive) + count]
+      }
+    }
+  }
+
+  if (states > 2) {
+    for (let i = 0; i < out.length; i++) out[i] = generationsStep(grid.cells[i], out[i], states)
+  }
+  return createGrid(w, h, out)
+}
+
+// What stepLife writes at cell i of a plain rule, reading the grid as it
+// stands (for cells updated one at a time)
+function lifeCell(grid, i, table, boundary, offsets, neighbourhood, states) {
+  const { width: w, cells } = grid
+  const x = i % w
+  const y = (i - x) / w
+  const alive = cells[i] === 1 ? 1 : 0
+  let count = neighbourhood.middle ? alive : 0
+  for (const [dx, dy] of offsets) if (cellAt2D(grid, x + dx, y + dy, boundary) === 1) count++
+  const out = table[lifeTableSpan(neighbourhood) * alive + count]
+  return states > 2 ? generationsStep(cells[i], out, states) : out
+}
+
+// E_t of a plain rule under an update scheme, for grids of this one's size
+export function stochasticStep2D(
+  update, t, grid, table, boundary = 'periodic', neighbourhood = MOORE, states = 2
+) {
+  const { width: w, height: h } = grid
+  const offsets = neighbourhoodOffsets(neighbourhood)
+  const E = stochasticStep(update, t, w * h, {
+    step: cells => stepLife(createGrid(w, h, cells), table, boundary, null, neighbourhood, states).cells,
+    cell: (cells, i) => lifeCell(createGrid(w, h, cells), i, table, boundary, offsets, neighbourhood, states),
+    k: states
+  })
+  return g => createGrid(w, h, E(g.cells))
+}
+
+// (a − b) mod k, cell by cell: XOR for binary grids
+function subGrids(a, b, k = 2) {
+  const out = new Uint8Array(a.cells.length)
+  if (k === 2) for (let i = 0; i < out.length; i++) out[i] = a.cells[i] ^ b.cells[i]
+  else for (let i = 0; i < out.length; i++) out[i] = (a.cells[i] - b.cells[i] + k) % k
+  return createGrid(a.width, a.height, out)
+}
+
+export function evolve2D(grid, birthRule, surviveRule, boundary = 'periodic', neighbourhood = MOORE, states = 2) {
+  return stepLife(grid, lifeRuleTable(birthRule, surviveRule, neighbourhood), boundary, null, neighbourhood, states)
+}
+
+export function derivative2D(grid, birthRule, surviveRule, boundary = 'periodic', neighbourhood = MOORE, states = 2) {
+  return subGrids(evolve2D(grid, birthRule, surviveRule, boundary, neighbourhood, states), grid, states)
+}
+
+// G = D(E(S)) − E(D(S)), with E(S) evaluated once and reused for D(S)
+export function groovyCommutator2D(grid, birthRule, surviveRule, boundary = 'periodic', neighbourhood = MOORE, states = 2) {
+  const table = lifeRuleTable(birthRule, surviveRule, neighbourhood)
+  const step = g => stepLife(g, table, boundary, null, neighbourhood, states)
+  const Es = step(grid)
+  const Ds = subGrids(Es, grid, states)
+
+  const D_Es = subGrids(step(Es), Es, states)
+  const E_Ds = step(Ds)
+
+  return subGrids(D_Es, E_Ds, states)
+}
+
+// Aware step: cells see the D grid from the previous step (null = no change yet)
+export function evolveAware2D(grid, prevDeriv, table, boundary = 'periodic', neighbourhood = MOORE, states = 2) {
+  const next = stepLife(grid, table, boundary, prevDeriv, neighbourhood, states)
+  return { next, deriv: subGrids(next, grid, states) }
+}
+
+// Aware G = D(E(S)) − E(D(S)), 'frozen': every step of both paths sees
+// prevDeriv, as in the 1D groovyCommutatorAware
+export function groovyCommutatorAware2D(grid, prevDeriv, table, boundary = 'periodic', neighbourhood = MOORE, states = 2) {
+  const { next: Es, deriv: Ds } = evolveAware2D(grid, prevDeriv, table, boundary, neighbourhood, states)
+  const { deriv: D_Es } = evolveAware2D(Es, prevDeriv, table, boundary, neighbourhood, states)
+  const E_Ds = stepLife(Ds, table, boundary, prevDeriv, neighbourhood, states)
+  return subGrids(D_Es, E_Ds, states)
+}
+
+// Aware G on (S, S') pairs, 'paired': each path carries its own history (see
+// groovyCommutatorAwarePair in aware.js). Pairs are { grid, prevDeriv }.
+const emptyLike = grid => createGrid(grid.width, grid.height)
+const subPairs2D = (a, b, k) => ({ grid: subGrids(a.grid, b.grid, k), prevDeriv: subGrids(a.prevDeriv, b.prevDeriv, k) })
+
+function evolveAwarePair2D(pair, table, boundary, neighbourhood, states) {
+  const { next, deriv } = evolveAware2D(pair.grid, pair.prevDeriv, table, boundary, neighbourhood, states)
+  return { grid: next, prevDeriv: deriv }
+}
+
+export function groovyCommutatorAwarePair2D(pair, table, boundary = 'periodic', neighbourhood = MOORE, states = 2) {
+  const step = p => evolveAwarePair2D(p, table, boundary, neighbourhood, states)
+  const X = { grid: pair.grid, prevDeriv: pair.prevDeriv || emptyLike(pair.grid) }
+  const Ex = step(X)
+  const Dx = subPairs2D(Ex, X, states)
+  const D_Ex = subPairs2D(step(Ex), Ex, states)
+  const E_Dx = step(Dx)
+  return subPairs2D(D_Ex, E_Dx, states)
+}
+
+// E(S), D(S) and G(S) of a plain rule's step, sharing E(S): three steps, not five
+function groovyParts(grid, step, states) {
+  const next = step(grid)
+  const deriv = subGrids(next, grid, states)
+  const D_Es = subGrids(step(next), next, states)
+  const groovy = subGrids(D_Es, step(deriv), states)
+  return { next, deriv, groovy }
+}
+
+// Everything one animation frame needs from a single grid: the next grid,
+// D, G and G². Passing aware: { prevDeriv, memoryBehavior, commutator } runs
+// the aware rule for all of them, with the 'frozen' (default) or 'paired'
+// commutator. states > 2 runs the Generations rule, mod states. A plain rule
+// can step under an update scheme (see stochastic.js), drawing for step t.
+export function groovyFrame2D(
+  grid, birthRule, surviveRule, boundary = 'periodic', aware = null, neighbourhood = MOORE, states = 2,
+  update = null, t = 0
+) {
+  if (!aware) {
+    const table = lifeRuleTable(birthRule, surviveRule, neighbourhood)
+    const step = isSynchronous(update)
+      ? g => stepLife(g, table, boundary, null, neighbourhood, states)
+      : stochasticStep2D(update, t, grid, table, boundary, neighbourhood, states)
+    const frame = groovyParts(grid, step, states)
+    return { ...frame, groovy2: groovyParts(frame.groovy, step, states).groovy }
+  }
+  if (!isSynchronous(update)) throw new Error('Aware rules only update synchronously')
+
+  const { prevDeriv, memoryBehavior, commutator = 'frozen' } = aware
+  const table = awareLifeRuleTable(birthRule, surviveRule, memoryBehavior, neighbourhood)
+  const { next, deriv } = evolveAware2D(grid, prevDeriv, table, boundary, neighbourhood, states)
+  if (commutator === 'paired') {
+    const G = groovyCommutatorAwarePair2D({ grid, prevDeriv }, table, boundary, neighbourhood, states)
+    return {
+      next,
+      deriv,
+      groovy: G.grid,
+      groovy2: groovyCommutatorAwarePair2D(G, table, boundary, neighbourhood, states).grid
+    }
+  }
+  const groovy = groovyCommutatorAware2D(grid, prevDeriv, table, boundary, neighbourhood, states)
+  return { next, deriv, groovy, groovy2: groovyCommutatorAware2D(groovy, prevDeriv, table, boundary, neighbourhood, states) }
+}
+
+// The fraction of non-zero cells
+export function density2D(grid) {
+  const { cells } = grid
+  let count = 0
+  for (let i = 0; i < cells.length; i++) if (cells[i]) count++
+  return cells.length ? count / cells.length : 0
+}
@@ -0,0 +1,153 @@
+import { cellAt } from './boundary.js'
+
+// =============================================================================
+// k-COLOUR, RADIUS-r 1D CA — the commutator beyond elementary rules
+// =============================================================================
+//
+// Cells take values 0..k-1 and see r neighbours on each side. XOR generalises
+// to arithmetic mod k:
+//   D(s) = φ(s) − s        E(s) = s + D(s) = φ(s)
+//   G(s) = D(E(s)) − E(D(s))                       (all mod k)
+// For k = 2 subtraction and addition mod 2 are both XOR, so elementary rules
+// give exactly the same D, G and G² as the binary engine.
+//
+// Rules are given as codes, as in Wolfram's numbering:
+//   general     — digit #idx (base k) of the code is the output for the
+//                 neighbourhood whose cells, read left to right as a base-k
+//                 number, equal idx; there are k^(2r+1) digits
+//   totalistic  — digit #sum is the output for neighbourhoods summing to sum;
+//                 there are (2r+1)(k-1) + 1 digits
+// Codes can be far beyond 2^53, so they are parsed as BigInt.
+
+export const MAX_STATES = 8
+export const MAX_RADIUS = 3
+export const MAX_TABLE_SIZE = 1 << 16
+
+function digitCount({ k, radius, totalistic }) {
+  const m = 2 * radius + 1
+  return totalistic ? m * (k - 1) + 1 : k ** m
+}
+
+// Number of distinct codes for a rule family, as a BigInt
+export function ruleCodeCount(spec) {
+  return BigInt(spec.k) ** BigInt(digitCount(spec))
+}
+
+// Validate a { k, radius, code, totalistic } spec and expand it into a lookup
+// table indexed by the base-k neighbourhood value. Throws on bad input.
+export function compileRuleK({ k, radius, code, totalistic = false }) {
+  if (!Number.isInteger(k) || k < 2 || k > MAX_STATES) {
+    throw new Error(`k must be an integer from 2 to ${MAX_STATES}`)
+  }
+  if (!Number.isInteger(radius) || radius < 1 || radius > MAX_RADIUS) {
+    throw new Error(`Radius must be an integer from 1 to ${MAX_RADIUS}`)
+  }
+  const m = 2 * radius + 1
+  const size = k ** m
+  if (size > MAX_TABLE_SIZE) {
+    throw new Error(`k = ${k}, r = ${radius} has ${size} neighbourhoods; the limit is ${MAX_TABLE_SIZE}`)
+  }
+
+  let value
+  try {
+    value = BigInt(String(code).trim())
+  } catch {
+    throw new Error(`Rule code "${code}" is not a whole number`)
+  }
+  const count = ruleCodeCount({ k, radius, totalistic })
+  if (value < 0n || value >= count) {
+    throw new Error(`Rule code must be between 0 and ${count - 1n}`)
+  }
+
+  const digits = new Uint8Array(digitCount({ k, radius, totalistic }))
+  const K = BigInt(k)
+  for (let i = 0; i < digits.length; i++) {
+    digits[i] = Number(value % K)
+    value /= K
+  }
+
+  if (!totalistic) return { k, radius, table: digits }
+
+  // Expand the totalistic digits to a full neighbourhood table
+  const table = new Uint8Array(size)
+  for (let idx = 0; idx < size; idx++) {
+    let sum = 0
+    for (let v = idx; v > 0; v = Math.floor(v / k)) sum += v % k
+    table[idx] = digits[sum]
+  }
+  return { k, radius, table }
+}
+
+// A uniformly random code for a rule family, drawn from a seeded PRNG
+export function randomRuleCode(spec, rand) {
+  const K = BigInt(spec.k)
+  let code = 0n
+  for (let i = 0; i < digitCount(spec); i++) {
+    code = code * K + BigInt(Math.floor(rand() * spec.k))
+  }
+  return code.toString()
+}
+
+// φ(s) for a compiled k-colour rule. The neighbourhood value is rolled along
+// the row: drop the leftmost digit, shift, add the new right cell. Cells past
+// the edges come from the boundary condition (see boundary.js).
+export function applyRuleK(state, rule, boundary = 'periodic', out = new Uint8Array(state.length)) {
+  const { k, radius: r, table } = rule
+  const n = state.length
+  if (n === 0) return out
+  const top = k ** (2 * r)
+  const at = j => cellAt(state, j, boundary)
+
+  let idx = 0
+  for (let j = -r; j <= r; j++) idx = idx * k + at(j)
+  out[0] = table[idx]
+
+  for (let i = 1; i < n; i++) {
+    const leaving = i - r - 1
+    const entering = i + r
+    idx = (idx - (leaving >= 0 ? state[leaving] : at(leaving)) * top) * k +
+      (entering < n ? state[entering] : at(entering))
+    out[i] = table[idx]
+  }
+  return out
+}
+
+// φ at cell i alone, as applyRuleK computes it
+export function ruleCellK(state, i, rule, boundary = 'periodic') {
+  const { k, radius: r, table } = rule
+  let idx = 0
+  for (let j = i - r; j <= i + r; j++) idx = idx * k + cellAt(state, j, boundary)
+  return table[idx]
+}
+
+// (a − b) mod k, cell by cell
+export function subRowsMod(a, b, k, out = new Uint8Array(a.length)) {
+  for (let i = 0; i < a.length; i++) out[i] = (a[i] - b[i] + k) % k
+  return out
+}
+
+export function derivativeK(state, rule, boundary, out) {
+  const next = applyRuleK(state, rule, boundary)
+  return subRowsMod(next, state, rule.k, out)
+}
+
+export function evolveK(state, rule, boundary, out) {
+  return applyRuleK(state, rule, boundary, out)
+}
+
+// G(s) = D(E(s)) − E(D(s)) mod k, with D(E(s)) = φ(φ(s)) − φ(s)
+export function groovyCommutatorK(state, rule, boundary, out = new Uint8Array(state.length)) {
+  const { k } = rule
+  const Es = applyRuleK(state, rule, boundary)
+  const Ds = subRowsMod(Es, state, k)
+  const phiEs = applyRuleK(Es, rule, boundary)
+  const E_Ds = applyRuleK(Ds, rule, boundary)
+  for (let i = 0; i < state.length; i++) {
+    out[i] = (phiEs[i] - Es[i] - E_Ds[i] + 2 * k) % k
+  }
+  return out
+}
+
+export function groovyCommutator2K(state, rule, boundary, out) {
+  return groovyCommutatorK(groovyCommutatorK(state, rule, boundary), rule, boundary, out)
+}
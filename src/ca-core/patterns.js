@@ -0,0 +1,246 @@
+import { createGrid } from './life.js'
+import { formatRulestring, parseRulestring } from './rulestring.js'
+
+// =============================================================================
+// PATTERN FILES — RLE, plaintext .cells and Life 1.06 for 2D grids
+// =============================================================================
+//
+// Every reader returns { width, height, cells, rule, name } where the cells
+// are the pattern's bounding box (row-major, like a grid) and rule is a
+// { birthRule, surviveRule, neighbourhood, states } (see rulestring.js) when
+// the file names one, else null.
+//   RLE        #N name / #C comment lines, a header "x = 3, y = 3, rule = B3/S23"
+//              (the rule comes last, so it may hold commas: R5,C0,…,NM)
+//              and runs of b (dead), o (alive), $ (end of row), ! (end); or,
+//              for Generations, of . and the state letters A, B, … below
+//   .cells     ! comment lines (!Name: …), then rows of . (dead) and O (alive)
+//   Life 1.06  "#Life 1.06", then one "x y" line per live cell
+
+export const PATTERN_FORMATS = ['rle', 'cells', 'life106']
+
+// RLE data lines stay under this many characters
+const RLE_LINE = 70
+
+// Multi-state RLE cells (Generations): . is 0, A … X are 1 … 24, and a
+// prefix p … y adds 24 · (1 … 10), so pA is 25
+const STATE_LETTERS = 'ABCDEFGHIJKLMNOPQRSTUVWX'
+const STATE_PREFIXES = 'pqrstuvwxy'
+
+const stateTag = v => v ? (v > 24 ? STATE_PREFIXES[Math.floor((v - 1) / 24) - 1] : '') + STATE_LETTERS[(v - 1) % 24] : '.'
+
+// Build a pattern from live [x, y] or [x, y, state] cells, shifted so the box
+// starts at 0, 0
+function fromLiveCells(live, { rule = null, name = '' } = {}) {
+  if (!live.length) return { width: 0, height: 0, cells: new Uint8Array(0), rule, name }
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity
+  for (const [x, y] of live) {
+    minX = Math.min(minX, x)
+    minY = Math.min(minY, y)
+    maxX = Math.max(maxX, x)
+    maxY = Math.max(maxY, y)
+  }
+  const width = maxX - minX + 1
+  const height = maxY - minY + 1
+  const cells = new Uint8Array(width * height)
+  for (const [x, y, v = 1] of live) cells[(y - minY) * width + (x - minX)] = v
+  return { width, height, cells, rule, name }
+}
+
+export function parseRLE(text) {
+  let name = ''
+  let rule = null
+  let header = null
+  const body = []
+  for (const raw of text.split(/\r?\n/)) {
+    const line = raw.trim()
+    if (line.startsWith('#')) {
+      if (/^#N\b/.test(line)) name = line.slice(2).trim()
+      continue
+    }
+    if (!header && /^x\s*=/.test(line)) {
+      header = line
+      const r = /rule\s*=\s*(.+)$/i.exec(line)
+      if (r) {
+        try {
+          rule = parseRulestring(r[1])
+        } catch (e) {
+          throw new Error(`Unsupported rule "${r[1].trim()}" in RLE header: ${e.message}`)
+        }
+      }
+      continue
+    }
+    body.push(line)
+    if (line.includes('!')) break
+  }
+  if (!header) throw new Error('RLE file has no "x = …, y = …" header')
+
+  const live = []
+  let x = 0
+  let y = 0
+  let run = ''
+  const data = body.join('')
+  for (let i = 0; i < data.length; i++) {
+    const ch = data[i]
+    if (ch >= '0' && ch <= '9') {
+      run += ch
+      continue
+    }
+    const n = run ? Number(run) : 1
+    run = ''
+    if (ch === '!') break
+    if (ch === '$') {
+      y += n
+      x = 0
+    } else if (ch === 'b' || ch === '.') {
+      x += n
+    } else if (/[a-zA-Z]/.test(ch)) {
+      // A state letter, maybe after a prefix; o, or any other letter of a
+      // two-state file, is alive
+      let v = 1
+      const prefix = STATE_PREFIXES.indexOf(ch)
+      if (prefix >= 0 && STATE_LETTERS.includes(data[i + 1] ?? '')) {
+        v = 24 * (prefix + 1) + STATE_LETTERS.indexOf(data[++i]) + 1
+      } else if (STATE_LETTERS.includes(ch)) {
+        v = STATE_LETTERS.indexOf(ch) + 1
+      }
+      for (let j = 0; j < n; j++) live.push([x + j, y, v])
+      x += n
+    } else if (!/\s/.test(ch)) {
+      throw new Error(`Unexpected "${ch}" in RLE data`)
+    }
+  }
+
+  // Keep the header's box so blank rows and columns at the edges survive
+  const m = /x\s*=\s*(\d+)\s*,\s*y\s*=\s*(\d+)/.exec(header)
+  if (!m || !live.length) return fromLiveCells(live, { rule, name })
+  const width = live.reduce((w, [px]) => Math.max(w, px + 1), Number(m[1]))
+  const height = live.reduce((h, [, py]) => Math.max(h, py + 1), Number(m[2]))
+  const cells = new Uint8Array(width * height)
+  for (const [px, py, v] of live) cells[py * width + px] = v
+  return { width, height, cells, rule, name }
+}
+
+export function parsePlaintext(text) {
+  let name = ''
+  const rows = []
+  for (const raw of text.split(/\r?\n/)) {
+    const line = raw.replace(/\s+$/, '')
+    if (line.startsWith('!')) {
+      const m = /^!Name:\s*(.*)$/.exec(line)
+      if (m) name = m[1]
+      continue
+    }
+    if (/[^.O*]/.test(line)) throw new Error(`Unexpected characters in .cells row "${line}"`)
+    rows.push(line)
+  }
+  while (rows.length && rows[rows.length - 1] === '') rows.pop()
+  const width = Math.max(0, ...rows.map(r => r.length))
+  const cells = new Uint8Array(width * rows.length)
+  rows.forEach((row, y) => {
+    for (let x = 0; x < row.length; x++) if (row[x] !== '.') cells[y * width + x] = 1
+  })
+  return { width, height: rows.length, cells, rule: null, name }
+}
+
+export function parseLife106(text) {
+  const live = []
+  for (const raw of text.split(/\r?\n/)) {
+    const line = raw.trim()
+    if (!line || line.startsWith('#')) continue
+    const m = /^(-?\d+)\s+(-?\d+)$/.exec(line)
+    if (!m) throw new Error(`Expected "x y" in Life 1.06 line "${line}"`)
+    live.push([Number(m[1]), Number(m[2])])
+  }
+  return fromLiveCells(live)
+}
+
+// Guess the format from the text itself
+export function detectPatternFormat(text) {
+  if (/^#Life 1\.06/m.test(text)) return 'life106'
+  if (/^\s*x\s*=/m.test(text)) return 'rle'
+  return 'cells'
+}
+
+export function parsePattern(text, format = detectPatternFormat(text)) {
+  if (format === 'rle') return parseRLE(text)
+  if (format === 'life106') return parseLife106(text)
+  return parsePlaintext(text)
+}
+
+// A copy of the grid with the pattern written at offset (x, y), or centred
+// when offset is null. Cells that land off the grid are dropped; clipped
+// says whether any were.
+export function placePattern(grid, pattern, offset = null) {
+  const at = offset || {
+    x: Math.floor((grid.width - pattern.width) / 2),
+    y: Math.floor((grid.height - pattern.height) / 2)
+  }
+  const cells = grid.cells.slice()
+  let clipped = false
+  for (let py = 0; py < pattern.height; py++) {
+    for (let px = 0; px < pattern.width; px++) {
+      if (!pattern.cells[py * pattern.width + px]) continue
+      const x = at.x + px
+      const y = at.y + py
+      if (x < 0 || x >= grid.width || y < 0 || y >= grid.height) clipped = true
+      else cells[y * grid.width + x] = pattern.cells[py * pattern.width + px]
+    }
+  }
+  return { grid: createGrid(grid.width, grid.height, cells), clipped }
+}
+
+// RLE of a grid's non-zero cells, cropped to their bounding box; grids with
+// cells above 1 are written with multi-state letters
+export function gridToRLE(grid, { rule = null, name = '', comments = [] } = {}) {
+  const live = []
+  for (let y = 0; y < grid.height; y++) {
+    for (let x = 0; x < grid.width; x++) {
+      const v = grid.cells[y * grid.width + x]
+      if (v) live.push([x, y, v])
+    }
+  }
+  const { width, height, cells } = fromLiveCells(live)
+  const multiState = cells.some(v => v > 1)
+  const tagOf = multiState ? stateTag : v => v ? 'o' : 'b'
+  const dead = tagOf(0)
+
+  // Row by row: runs of cells, trailing dead cells dropped, blank rows
+  // folded into the count of the next $
+  const tokens = []
+  let pendingRows = 0
+  const push = (n, tag) => tokens.push((n > 1 ? n : '') + tag)
+  for (let y = 0; y < height; y++) {
+    let row = []
+    for (let x = 0; x < width; x++) {
+      const v = tagOf(cells[y * width + x])
+      const last = row[row.length - 1]
+      if (last && last.tag === v) last.n++
+      else row.push({ tag: v, n: 1 })
+    }
+    if (row.length && row[row.length - 1].tag === dead) row = row.slice(0, -1)
+    if (!row.length) {
+      pendingRows++
+      continue
+    }
+    if (tokens.length) push(pendingRows + 1, '$')
+    pendingRows = 0
+    for (const { tag, n } of row) push(n, tag)
+  }
+  tokens.push('!')
+
+  const lines = []
+  if (name) lines.push(`#N ${name}`)
+  for (const c of comments) lines.push(`#C ${c}`)
+  const ruleText = rule ? `, rule = ${formatRulestring(rule)}` : ''
+  lines.push(`x = ${width}, y = ${height}${ruleText}`)
+  let line = ''
+  for (const token of tokens) {
+    if (line.length + token.length > RLE_LINE) {
+      lines.push(line)
+      line = ''
+    }
+    line += token
+  }
+  lines.push(line)
+  return lines.join('\n') + '\n'
+}
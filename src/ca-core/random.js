@@ -0,0 +1,25 @@
+// =============================================================================
+// SEEDED RANDOMNESS
+// =============================================================================
+
+// mulberry32 — small seeded PRNG; the same seed gives the same sequence everywhere
+export function mulberry32(seed) {
+  let a = seed >>> 0
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0
+    let t = a
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+// Each cell is non-zero with probability p. With k > 2 colours a non-zero cell
+// gets a uniform value in 1..k-1; binary states draw one number per cell.
+export function randomState(width, rand, p = 0.5, k = 2) {
+  const state = new Uint8Array(width)
+  for (let i = 0; i < width; i++) {
+    if (rand() < p) state[i] = k > 2 ? 1 + Math.floor(rand() * (k - 1)) : 1
+  }
+  return state
+}
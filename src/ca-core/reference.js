@@ -0,0 +1,112 @@
+// =============================================================================
+// REFERENCE ENGINE — the original string-keyed, array-of-rows implementation
+// =============================================================================
+//
+// Kept verbatim as the ground truth the fast engine must match bit for bit,
+// and as the baseline for the benchmark. Do not use it for real runs.
+
+export function ruleToDict(ruleNumber) {
+  const binary = ruleNumber.toString(2).padStart(8, '0').split('').reverse()
+  const dict = {}
+  for (let a = 0; a < 2; a++) {
+    for (let b = 0; b < 2; b++) {
+      for (let c = 0; c < 2; c++) {
+        const idx = 4 * a + 2 * b + c
+        dict[`${a}${b}${c}`] = parseInt(binary[idx])
+      }
+    }
+  }
+  return dict
+}
+
+export function applyRule(state, ruleDict) {
+  const n = state.length
+  const newState = new Uint8Array(n)
+  for (let i = 0; i < n; i++) {
+    const left = state[(i - 1 + n) % n]
+    const center = state[i]
+    const right = state[(i + 1) % n]
+    newState[i] = ruleDict[`${left}${center}${right}`]
+  }
+  return newState
+}
+
+// D(s) = change mask - which cells flip
+export function derivative(state, ruleDict) {
+  const next = applyRule(state, ruleDict)
+  return state.map((v, i) => v ^ next[i])
+}
+
+// E(s) = s ⊕ D(s) = evolution
+export function evolve(state, ruleDict) {
+  const D = derivative(state, ruleDict)
+  return state.map((v, i) => v ^ D[i])
+}
+
+// G(s) = D(E(s)) ⊕ E(D(s)) = groovy commutator
+export function groovyCommutator(state, ruleDict) {
+  const Ds = derivative(state, ruleDict)
+  const Es = evolve(state, ruleDict)
+  
+  // Path 1: Evolve then differentiate
+  const D_Es = derivative(Es, ruleDict)
+  
+  // Path 2: Differentiate then evolve  
+  const E_Ds = evolve(Ds, ruleDict)
+  
+  return D_Es.map((v, i) => v ^ E_Ds[i])
+}
+
+// G²(s) = G(G(s)) = second-order groovy commutator
+// Treating the groovy commutator output as a new state and computing its groove
+// "The grooviness of the groove" — how non-commutativity itself is non-commutative
+export function groovyCommutator2(state, ruleDict) {
+  const G = groovyCommutator(state, ruleDict)
+  return groovyCommutator(G, ruleDict)
+}
+
+export function density(arr) {
+  return arr.reduce((a, b) => a + b, 0) / arr.length
+}
+
+export function evolve2D(grid, birthRule, surviveRule) {
+  const h = grid.length
+  const w = grid[0].length
+  const newGrid = grid.map(row => new Uint8Array(row.length))
+  
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      let neighbors = 0
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          if (dy === 0 && dx === 0) continue
+          const ny = (y + dy + h) % h
+          const nx = (x + dx + w) % w
+          neighbors += grid[ny][nx]
+        }
+      }
+      
+      if (grid[y][x]) {
+        newGrid[y][x] = surviveRule.includes(neighbors) ? 1 : 0
+      } else {
+        newGrid[y][x] = birthRule.includes(neighbors) ? 1 : 0
+      }
+    }
+  }
+  return newGrid
+}
+
+export function derivative2D(grid, birthRule, surviveRule) {
+  const next = evolve2D(grid, birthRule, surviveRule)
+  return grid.map((row, y) => row.map((v, x) => v ^ next[y][x]))
+}
+
+export function groovyCommutator2D(grid, birthRule, surviveRule) {
+  const Ds = derivative2D(grid, birthRule, surviveRule)
+  const Es = evolve2D(grid, birthRule, surviveRule)
+  
+  const D_Es = derivative2D(Es, birthRule, surviveRule)
+  const E_Ds = evolve2D(Ds, birthRule, surviveRule)
+  
+  return D_Es.map((row, y) => row.map((v, x) => v ^ E_Ds[y][x]))
+}
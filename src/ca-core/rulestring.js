@@ -0,0 +1,160 @@
+import { MOORE, MAX_NEIGHBOURHOOD_RANGE, MAX_GENERATIONS_STATES, neighbourCount } from './life.js'
+
+// =============================================================================
+// RULESTRINGS — 2D outer-totalistic rules as text
+// =============================================================================
+//
+// A rule is { birthRule, surviveRule, neighbourhood, states } (neighbourhoods
+// and Generations states as in life.js; states is 2 for plain rules). Two
+// notations are read:
+//   B/S                  B3/S23, b3/s23, or S/B as 23/3 or S23/B3; a suffix
+//                        picks the neighbourhood, with or without a slash:
+//                        B36/S23H (hexagonal), B2/S/V (von Neumann), B3/S23M
+//   Generations          B/S with a third part for the states: B2/S/C3, or
+//                        S/B/C as 345/2/4 and /2/3; the suffix follows it
+//   Larger than Life     Golly's R5,C0,M1,S34..58,B34..45,NM: range R, states
+//                        C (0 and 1 mean 2), M1 to count the cell itself, S
+//                        and B as counts and a..b ranges separated by commas,
+//                        and NM (Moore), NN (von Neumann) or NH (hexagonal)
+// formatRulestring writes B/S whenever the rule fits it, else the R form.
+// Bad input throws an Error that says what is wrong with it.
+
+const SUFFIXES = { '': 'moore', M: 'moore', V: 'vonNeumann', H: 'hex' }
+const SUFFIX_OF = { moore: '', vonNeumann: 'V', hex: 'H' }
+const LTL_SHAPES = { M: 'moore', N: 'vonNeumann', H: 'hex' }
+const LTL_LETTER = { moore: 'M', vonNeumann: 'N', hex: 'H' }
+const SHAPE_NAMES = { moore: 'Moore', vonNeumann: 'von Neumann', hex: 'hexagonal' }
+
+const EXAMPLES = 'B3/S23, B36/S23H, B2/S/V, B2/S/C3 or R5,C0,M1,S34..58,B34..45,NM'
+
+const sortedUnique = list => [...new Set(list)].sort((a, b) => a - b)
+
+// A neighbourhood's name for messages: "Moore", "R5 von Neumann"
+const describe = ({ shape, range }) => `${range > 1 ? `R${range} ` : ''}${SHAPE_NAMES[shape]}`
+
+function checkCounts(list, letter, neighbourhood) {
+  const max = neighbourCount(neighbourhood)
+  const bad = list.find(n => n > max)
+  if (bad !== undefined) {
+    throw new Error(`${letter}${bad} cannot happen: the ${describe(neighbourhood)} neighbourhood counts at most ${max} cells`)
+  }
+  return list
+}
+
+function checkStates(states, field) {
+  if (states < 2 || states > MAX_GENERATIONS_STATES) {
+    throw new Error(`${field}: a rule has from 2 to ${MAX_GENERATIONS_STATES} states`)
+  }
+  return states
+}
+
+function parseBS(text) {
+  const bs = /^B(\d*)\/S(\d*)(?:\/C?(\d+))?\/?([MVH]?)$/i.exec(text)
+  const sb = /^S?(\d*)\/B?(\d*)(?:\/C?(\d+))?\/?([MVH]?)$/i.exec(text)
+  if (!bs && !sb) throw new Error(`"${text}" is not a rulestring; try ${EXAMPLES}`)
+  const [birth, survive, states, suffix] = bs ? [bs[1], bs[2], bs[3], bs[4]] : [sb[2], sb[1], sb[3], sb[4]]
+  const neighbourhood = { ...MOORE, shape: SUFFIXES[suffix.toUpperCase()] }
+  const digits = s => sortedUnique(s.split('').map(Number))
+  return {
+    birthRule: checkCounts(digits(birth), 'B', neighbourhood),
+    surviveRule: checkCounts(digits(survive), 'S', neighbourhood),
+    neighbourhood,
+    states: states === undefined ? 2 : checkStates(Number(states), `C${states}`)
+  }
+}
+
+// "34..58" or "7" → the counts it covers
+function parseCountRange(item, letter) {
+  const m = /^(\d+)(?:\.\.(\d+))?$/.exec(item)
+  if (!m) throw new Error(`"${item}" in the ${letter} list is not a count or a range like 34..58`)
+  const from = Number(m[1])
+  const to = m[2] === undefined ? from : Number(m[2])
+  if (to < from) throw new Error(`${letter} range ${item} runs backwards`)
+  return Array.from({ length: to - from + 1 }, (_, i) => from + i)
+}
+
+function parseLtL(text) {
+  const fields = {}
+  let list = null // the S or B list that bare counts continue
+  for (const token of text.split(',').map(t => t.trim())) {
+    const m = /^([A-Za-z])(.*)$/.exec(token)
+    if (!m) {
+      if (!list) throw new Error(`"${token}" must follow S or B`)
+      list.push(...parseCountRange(token, list.letter))
+      continue
+    }
+    const letter = m[1].toUpperCase()
+    if (letter in fields) throw new Error(`${letter} appears twice in "${text}"`)
+    if (letter === 'S' || letter === 'B') {
+      list = Object.assign([], { letter })
+      if (m[2]) list.push(...parseCountRange(m[2], letter))
+      fields[letter] = list
+    } else if ('RCMN'.includes(letter)) {
+      list = null
+      fields[letter] = m[2]
+    } else {
+      throw new Error(`Unknown field "${token}"; a Larger than Life rule reads like R5,C0,M1,S34..58,B34..45,NM`)
+    }
+  }
+
+  const int = (letter, fallback, min, max) => {
+    const v = fields[letter] ?? String(fallback)
+    const n = Number(v)
+    if (!/^\d+$/.test(v) || n < min || n > max) throw new Error(`${letter}${v}: ${letter} must be a whole number from ${min} to ${max}`)
+    return n
+  }
+  if (fields.R === undefined) throw new Error('A Larger than Life rule needs a range, e.g. R5')
+  const range = int('R', 1, 1, MAX_NEIGHBOURHOOD_RANGE)
+  const states = Math.max(2, int('C', 0, 0, MAX_GENERATIONS_STATES))
+  const middle = int('M', 0, 0, 1) === 1
+  const shapeLetter = (fields.N ?? 'M').toUpperCase()
+  if (!LTL_SHAPES[shapeLetter]) throw new Error(`N${fields.N}: the neighbourhood must be NM, NN or NH`)
+  if (!fields.B) throw new Error('A Larger than Life rule needs a B list, e.g. B34..45')
+
+  const neighbourhood = { shape: LTL_SHAPES[shapeLetter], range, middle }
+  return {
+    birthRule: checkCounts(sortedUnique(fields.B), 'B', neighbourhood),
+    surviveRule: checkCounts(sortedUnique(fields.S ?? []), 'S', neighbourhood),
+    neighbourhood,
+    states
+  }
+}
+
+export function parseRulestring(text) {
+  const t = text.trim()
+  if (!t) throw new Error(`Enter a rule such as ${EXAMPLES}`)
+  return /^R\d/i.test(t) ? parseLtL(t) : parseBS(t)
+}
+
+// Runs of consecutive counts as a..b
+function formatCounts(list) {
+  const items = []
+  for (let i = 0; i < list.length; i++) {
+    let j = i
+    while (j + 1 < list.length && list[j + 1] === list[j] + 1) j++
+    items.push(j > i ? `${list[i]}..${list[j]}` : `${list[i]}`)
+    i = j
+  }
+  return items.join(',')
+}
+
+export function formatRulestring({ birthRule, surviveRule, neighbourhood = MOORE, states = 2 }) {
+  const { shape, range, middle } = neighbourhood
+  if (range === 1 && !middle) {
+    return `B${birthRule.join('')}/S${surviveRule.join('')}${states > 2 ? `/C${states}` : ''}${SUFFIX_OF[shape]}`
+  }
+  const c = states > 2 ? states : 0
+  return `R${range},C${c},M${middle ? 1 : 0},S${formatCounts(surviveRule)},B${formatCounts(birthRule)},N${LTL_LETTER[shape]}`
+}
+
+export const formatLifeRule = (birthRule, surviveRule, neighbourhood = MOORE, states = 2) =>
+  formatRulestring({ birthRule, surviveRule, neighbourhood, states })
+
+// The rule, or null when the text is not one
+export function parseLifeRuleString(text) {
+  try {
+    return parseRulestring(text)
+  } catch {
+    return null
+  }
+}
@@ -0,0 +1,267 @@
+import { ruleToTable, ruleCell, xorRows, evolve, groovyCommutator, density } from './elementary.js'
+import {
+  awareRuleToTable,
+  evolveAware,
+  groovyCommutatorAware,
+  groovyCommutatorAwarePair,
+  standardToAwareRule
+} from './aware.js'
+import { compileRuleK, applyRuleK, ruleCellK, subRowsMod, groovyCommutatorK } from './multistate.js'
+import { lightConePadding, padInfinite, activeCells } from './boundary.js'
+import { groovyTower, rowKey, isZeroRow, summarizeFates } from './tower.js'
+import { createCycleDetector, dynamicalKey } from './attractors.js'
+import { isSynchronous, checkUpdate, stochasticStep, commutatorOf } from './stochastic.js'
+
+// =============================================================================
+// 1D RUNS — S, D, G and G² space-time histories plus per-step metrics
+// =============================================================================
+
+// The row a run actually starts from: unchanged, except on the infinite
+// lattice, where it is padded with 0s wider than the light cone of the run
+// and of the highest tower level it computes
+export function prepareInitial(initial, { steps, boundary = 'periodic', multistate = null, order = 0 }) {
+  if (boundary !== 'infinite') return initial
+  return padInfinite(initial, multistate ? multistate.radius : 1, steps, Math.max(2, order))
+}
+
+// A run's histories cost a byte per cell of every row they keep. A run whose
+// S, D, G and G² histories alone would pass MAX_HISTORY_CELLS is refused; one
+// whose G³ … Gⁿ rows would take it past keeps only those levels' densities
+// and fates.
+export const MAX_HISTORY_CELLS = 2 ** 28
+
+// Whether a run's histories fit in MAX_HISTORY_CELLS: throws when S, D, G and
+// G² do not, and returns { keepTower }, whether the G³ … Gⁿ rows do too
+export function planHistories(initial, { steps, boundary = 'periodic', multistate = null, order = 0 }) {
+  const width = boundary === 'infinite'
+    ? initial.length + 2 * lightConePadding(multistate ? multistate.radius : 1, steps, Math.max(2, order))
+    : initial.length
+  const cells = width * (4 * steps + 1)
+  if (cells > MAX_HISTORY_CELLS) {
+    throw new Error(
+      `${steps} steps of ${width} cells keep ${cells} cells of history; the limit is ${MAX_HISTORY_CELLS}`
+    )
+  }
+  return { keepTower: cells + width * steps * Math.max(0, order - 2) <= MAX_HISTORY_CELLS }
+}
+
+// Step a 1D CA (standard, aware or k-colour) one step at a time. Each yielded
+// step holds the D, G and G² rows computed at the current state and the state
+// after it. Consumers that stream (the worker) pull steps lazily; runCA1D
+// collects them. Passing multistate: { k, radius, code, totalistic } selects
+// the k-colour engine; rule, aware and memoryBehavior are then ignored.
+// An aware run uses awareRule (any 16-bit rule) when given, else the preset
+// standardToAwareRule(rule, memoryBehavior). awareCommutator picks how G and
+// G² handle history: 'frozen' (both paths see the same previous S') or
+// 'paired' (each path carries its own; see aware.js).
+//
+// On the infinite lattice a step also carries `active`, the [from, to) windows
+// the light cone has reached so far for each of its rows: { state, deriv,
+// groovy, groovy2, tower }, tower holding one per level. Metrics are measured
+// over those windows.
+// Passing order: n (up to MAX_ORDER) adds `tower`, the rows G¹ … Gⁿ, and
+// `fate`, where that tower ends up (see tower.js).
+// On finite lattices every step carries `cycle`: { transient, period } once
+// the run has revisited a state (see attractors.js), null until then.
+// Passing update: { mode, alpha, epsilon, seed } steps a plain or k-colour
+// rule under that stochastic scheme (see stochastic.js), step i drawing for
+// t = i; such runs need a finite lattice and report no cycles.
+export function* iterateCA1D(initial, options) {
+  const {
+    rule, steps, aware = false, awareCommutator = 'frozen', multistate = null, boundary = 'periodic', update = null
+  } = options
+  const stochastic = !isSynchronous(update)
+  if (stochastic) {
+    checkUpdate(update)
+    if (aware && !multistate) throw new Error('Aware rules only update synchronously')
+    if (boundary === 'infinite') throw new Error('Stochastic updates need a finite lattice')
+  }
+  let state = prepareInitial(initial, options)
+
+  // G and G² are the first two levels of the tower; fate detection only runs
+  // when a tower was asked for
+  const order = options.order ?? 0
+  const levelCount = Math.max(2, order)
+
+  // Step i reads S_i, which the light cone has spread r·i cells past the
+  // initial row. S_i+1 and D reach one step further, and level n of the
+  // tower 2n steps further (G = D(E(S)) − E(D(S)) applies the rule twice).
+  const r = multistate ? multistate.radius : 1
+  const width = state.length
+  const pad = (width - initial.length) / 2
+  const reach = (i, ahead) => ({
+    from: Math.max(0, pad - r * (i + ahead)),
+    to: Math.min(width, pad + initial.length + r * (i + ahead))
+  })
+  const activeAt = i => {
+    if (boundary !== 'infinite') return null
+    const tower = Array.from({ length: levelCount }, (_, n) => reach(i, 2 * (n + 1)))
+    return { state: reach(i, 1), deriv: reach(i, 1), groovy: tower[0], groovy2: tower[1], tower }
+  }
+  const towerOptions = order ? {} : { key: null }
+  // The infinite lattice has no finite state space to cycle through, and a
+  // stochastic run can revisit a state without repeating what followed it
+  const seeCycle = boundary === 'infinite' || stochastic ? () => null : createCycleDetector()
+
+  const withTower = (fields, { levels, fate }, row = x => x) => {
+    const rows = levels.map(row)
+    const step = { ...fields, groovy: rows[0], groovy2: rows[1] }
+    return order ? { ...step, tower: rows.slice(0, order), fate } : step
+  }
+
+  if (multistate) {
+    const ruleK = compileRuleK(multistate)
+    const rowRule = {
+      step: s => applyRuleK(s, ruleK, boundary),
+      cell: (s, j) => ruleCellK(s, j, ruleK, boundary),
+      k: ruleK.k
+    }
+    const synchronousG = s => groovyCommutatorK(s, ruleK, boundary)
+    seeCycle(dynamicalKey(state))
+    for (let i = 0; i < steps; i++) {
+      const E = stochastic ? stochasticStep(update, i, state.length, rowRule) : rowRule.step
+      const G = stochastic ? commutatorOf(E, ruleK.k) : synchronousG
+      const next = E(state)
+      const deriv = subRowsMod(next, state, ruleK.k) // = D(state)
+      const tower = groovyTower(state, G, levelCount, towerOptions)
+      state = next
+      const cycle = seeCycle(dynamicalKey(state))
+      yield withTower({ state, deriv, cycle, active: activeAt(i) }, tower)
+    }
+    return
+  }
+
+  if (aware) {
+    // Aware CA: cells see their S' from previous step
+    const awareTable = awareRuleToTable(resolveAwareRule(options))
+    let prevDeriv = null
+    // The run's state is the pair (S, S'); before the first step S' is all zeros
+    seeCycle(dynamicalKey(state, new Uint8Array(state.length)))
+
+    for (let i = 0; i < steps; i++) {
+      const { next, deriv } = evolveAware(state, prevDeriv, awareTable, boundary)
+      const cycle = seeCycle(dynamicalKey(next, deriv))
+      const fields = { state: next, deriv, cycle, active: activeAt(i) }
+      if (awareCommutator === 'paired') {
+        // Levels are (S, S') pairs; the tower ends when a pair repeats
+        const G = pair => groovyCommutatorAwarePair(pair, awareTable, boundary)
+        const tower = groovyTower({ state, prevDeriv }, G, levelCount, {
+          key: p => rowKey(p.state) + rowKey(p.prevDeriv),
+          isZero: p => isZeroRow(p.state) && isZeroRow(p.prevDeriv),
+          ...towerOptions
+        })
+        yield withTower(fields, tower, p => p.state)
+      } else {
+        // Higher levels treat G as a state with the same frozen history
+        const frozen = prevDeriv
+        const G = s => groovyCommutatorAware(s, frozen, awareTable, boundary)
+        yield withTower(fields, groovyTower(state, G, levelCount, towerOptions))
+      }
+
+      prevDeriv = deriv
+      state = next
+    }
+  } else {
+    const table = ruleToTable(rule)
+    const rowRule = { step: s => evolve(s, table, boundary), cell: (s, j) => ruleCell(s, j, table, boundary), k: 2 }
+    const synchronousG = s => groovyCommutator(s, table, boundary)
+    seeCycle(dynamicalKey(state))
+    for (let i = 0; i < steps; i++) {
+      const E = stochastic ? stochasticStep(update, i, state.length, rowRule) : rowRule.step
+      const G = stochastic ? commutatorOf(E) : synchronousG
+      const next = E(state)
+      const deriv = xorRows(state, next) // = D(state)
+      const tower = groovyTower(state, G, levelCount, towerOptions) // G, G² = G(G(state)), ...
+      state = next
+      const cycle = seeCycle(dynamicalKey(state))
+      yield withTower({ state, deriv, cycle, active: activeAt(i) }, tower)
+    }
+  }
+}
+
+// The 16-bit rule an aware run uses
+export function resolveAwareRule({ rule, memoryBehavior = 'ignore', awareRule = null }) {
+  return awareRule ?? standardToAwareRule(rule, memoryBehavior)
+}
+
+// ρ, G and G² densities of one yielded step
+export function stepMetrics({ deriv, groovy, groovy2, active }) {
+  return {
+    rho: density(activeCells(deriv, active?.deriv)),
+    groovy: density(activeCells(groovy, active?.groovy)),
+    groovy2: density(activeCells(groovy2, active?.groovy2))
+  }
+}
+
+// Densities of G¹ … Gⁿ for a step yielded with an order
+export function stepTowerDensities({ tower, active }) {
+  return tower.map((row, n) => density(activeCells(row, active?.tower[n])))
+}
+
+// Mean density at each order over a run, from per-step stepTowerDensities
+export function meanTowerDensities(perStep) {
+  if (!perStep.length) return []
+  return perStep[0].map((_, k) => perStep.reduce((sum, ds) => sum + ds[k], 0) / perStep.length)
+}
+
+// Averages of the per-step ρ, G and G² densities
+export function seriesMetrics(series) {
+  const mean = xs => xs.length ? xs.reduce((a, b) => a + b, 0) / xs.length : 0
+  return {
+    rho: mean(series.rho),
+    groovyDensity: mean(series.groovy),
+    groovy2Density: mean(series.groovy2)
+  }
+}
+
+// Run a 1D CA from an initial state for a number of steps.
+// history has steps + 1 rows (it includes the prepared initial state); the D, G and G²
+// histories and the per-step series have one entry per step. With an order,
+// `tower` adds the Gᵏ histories, per-step densities and fates; histories is
+// null when the rows would not fit (see planHistories). `cycle` is where the
+// run fell into a cycle, or null if it had not by the last step.
+export function runCA1D(initial, options) {
+  const { keepTower } = planHistories(initial, options)
+  const history = [prepareInitial(initial, options)]
+  const derivHistory = []
+  const groovyHistory = []
+  const groovy2History = []
+  const series = { rho: [], groovy: [], groovy2: [] }
+  const tower = options.order
+    ? { histories: keepTower ? Array.from({ length: options.order }, () => []) : null, densities: [], fates: [] }
+    : null
+  let cycle = null
+
+  for (const step of iterateCA1D(initial, options)) {
+    cycle = step.cycle
+    history.push(step.state)
+    derivHistory.push(step.deriv)
+    groovyHistory.push(step.groovy)
+    groovy2History.push(step.groovy2)
+    const m = stepMetrics(step)
+    series.rho.push(m.rho)
+    series.groovy.push(m.groovy)
+    series.groovy2.push(m.groovy2)
+    if (tower) {
+      if (keepTower) step.tower.forEach((row, k) => tower.histories[k].push(row))
+      tower.densities.push(stepTowerDensities(step))
+      tower.fates.push(step.fate)
+    }
+  }
+
+  return {
+    history,
+    derivHistory,
+    groovyHistory,
+    groovy2History,
+    series,
+    cycle,
+    awareRule: options.aware && !options.multistate ? resolveAwareRule(options) : null,
+    metrics: seriesMetrics(series),
+    tower: tower && {
+      ...tower,
+      meanDensities: meanTowerDensities(tower.densities),
+      fateSummary: summarizeFates(tower.fates)
+    }
+  }
+}
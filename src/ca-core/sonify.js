@@ -0,0 +1,140 @@
+// =============================================================================
+// SONIFY — D, G and G² of a 1D run as sound
+// =============================================================================
+//
+// A run becomes a score: one voice per field, one score step per CA step, each
+// step a set of sine partials (frequency, amplitude). The score is rendered
+// offline here, sample by sample, and scheduled live with Web Audio by the
+// app; both ramp every partial from one step's values to the next over
+// SONIFY_RAMP seconds and hold them for the rest of the step, so the WAV file
+// and the live sound are the same signal.
+//
+// Mappings:
+//   partials  the row's columns split into `partials` bins, low to high
+//             pitch left to right; a bin's amplitude is the mean of its cells
+//   density   one partial whose pitch rises with the row's density; silent
+//             on an all-zero row
+
+export const SONIFY_MAPPINGS = ['partials', 'density']
+export const SONIFY_SAMPLE_RATE = 44100
+export const SONIFY_RAMP = 0.01
+export const MAX_PARTIALS = 64
+
+// Each field sounds in its own two octaves
+export const SONIFY_VOICES = [
+  { key: 'derivHistory', name: 'D', lowHz: 110 },
+  { key: 'groovyHistory', name: 'G', lowHz: 440 },
+  { key: 'groovy2History', name: 'G²', lowHz: 1760 }
+]
+const OCTAVES = 2
+// The loudest step peaks at this level
+const HEADROOM = 0.8
+
+// The score of a run's { derivHistory, groovyHistory, groovy2History }.
+// options: mapping, partials (bins for the partials mapping), k (colours of
+// the run; a cell v sounds at v / (k − 1)) and voices (names of the fields
+// to sound, default all). Returns { steps, gain, voices: [{ name, freqs,
+// amps }] } where freqs[t] and amps[t] are step t's partials and gain scales
+// the sum of all voices into −HEADROOM..HEADROOM.
+export function sonifyScore(run, { mapping = 'partials', partials = 32, k = 2, voices = null } = {}) {
+  if (!SONIFY_MAPPINGS.includes(mapping)) throw new Error(`Unknown sonification mapping "${mapping}"`)
+  const bins = Math.min(MAX_PARTIALS, Math.max(1, partials))
+  const chosen = SONIFY_VOICES.filter(v => !voices || voices.includes(v.name))
+  const steps = Math.min(...chosen.map(v => run[v.key].length))
+  const level = v => v / (k - 1)
+
+  const scored = chosen.map(({ key, name, lowHz }) => {
+    const rows = run[key].slice(0, steps)
+    const pitch = x => lowHz * Math.pow(2, OCTAVES * x)
+    if (mapping === 'density') {
+      return {
+        name,
+        freqs: rows.map(row => Float32Array.of(pitch(row.reduce((s, v) => s + level(v), 0) / row.length))),
+        amps: rows.map(row => Float32Array.of(row.some(v => v) ? 1 : 0))
+      }
+    }
+    const width = rows[0]?.length ?? 0
+    const n = Math.min(bins, width || 1)
+    const fixed = Float32Array.from({ length: n }, (_, j) => pitch(j / n))
+    return {
+      name,
+      freqs: rows.map(() => fixed),
+      amps: rows.map(row => Float32Array.from({ length: n }, (_, j) => {
+        const from = Math.floor(j * width / n)
+        const to = Math.floor((j + 1) * width / n)
+        let sum = 0
+        for (let i = from; i < to; i++) sum += level(row[i])
+        return to > from ? sum / (to - from) : 0
+      }))
+    }
+  })
+
+  // The sum of amplitudes bounds the signal, so the loudest step sets the gain
+  let loudest = 0
+  for (let t = 0; t < steps; t++) {
+    loudest = Math.max(loudest, scored.reduce((s, v) => s + v.amps[t].reduce((a, b) => a + b, 0), 0))
+  }
+  return { steps, gain: loudest ? HEADROOM / loudest : 0, voices: scored }
+}
+
+// Mono samples of a score at stepSeconds per step, plus a final ramp to silence
+export function renderScore(score, { stepSeconds = 0.1, sampleRate = SONIFY_SAMPLE_RATE } = {}) {
+  const perStep = Math.max(1, Math.round(stepSeconds * sampleRate))
+  const ramp = Math.max(1, Math.round(SONIFY_RAMP * sampleRate))
+  const out = new Float32Array(score.steps * perStep + ramp)
+  const tau = 2 * Math.PI / sampleRate
+
+  for (const { freqs, amps } of score.voices) {
+    const count = amps[0]?.length ?? 0
+    for (let p = 0; p < count; p++) {
+      let phase = 0
+      let prevAmp = 0
+      let prevFreq = freqs[0][p]
+      for (let t = 0; t <= score.steps; t++) {
+        // One step past the last fades everything out
+        const amp = t < score.steps ? amps[t][p] : 0
+        const freq = t < score.steps ? freqs[t][p] : prevFreq
+        const length = t < score.steps ? perStep : ramp
+        if (!amp && !prevAmp) {
+          phase += tau * freq * length
+        } else {
+          const start = t * perStep
+          for (let n = 0; n < length; n++) {
+            const r = n < ramp ? n / ramp : 1
+            phase += tau * (prevFreq + (freq - prevFreq) * r)
+            out[start + n] += (prevAmp + (amp - prevAmp) * r) * Math.sin(phase)
+          }
+        }
+        prevAmp = amp
+        prevFreq = freq
+      }
+    }
+  }
+  for (let i = 0; i < out.length; i++) out[i] *= score.gain
+  return out
+}
+
+// 16-bit PCM mono WAV file of samples in −1..1
+export function encodeWAV(samples, sampleRate = SONIFY_SAMPLE_RATE) {
+  const bytes = new Uint8Array(44 + samples.length * 2)
+  const view = new DataView(bytes.buffer)
+  const text = (at, s) => [...s].forEach((c, i) => { bytes[at + i] = c.charCodeAt(0) })
+  text(0, 'RIFF')
+  view.setUint32(4, 36 + samples.length * 2, true)
+  text(8, 'WAVE')
+  text(12, 'fmt ')
+  view.setUint32(16, 16, true) // fmt chunk size
+  view.setUint16(20, 1, true) // PCM
+  view.setUint16(22, 1, true) // mono
+  view.setUint32(24, sampleRate, true)
+  view.setUint32(28, sampleRate * 2, true) // bytes per second
+  view.setUint16(32, 2, true) // bytes per frame
+  view.setUint16(34, 16, true) // bits per sample
+  text(36, 'data')
+  view.setUint32(40, samples.length * 2, true)
+  for (let i = 0; i < samples.length; i++) {
+    const s = Math.max(-1, Math.min(1, samples[i]))
+    view.setInt16(44 + i * 2, Math.round(s * 32767), true)
+  }
+  return bytes
+}
@@ -0,0 +1,123 @@
+import { ruleToTable, derivative, groovyCommutator, groovyCommutator2 } from './elementary.js'
+
+// =============================================================================
+// EXHAUSTIVE SPECTRUM — D, G and G² on every state of a small lattice
+// =============================================================================
+//
+// State x of an N-cell lattice has cell i equal to bit i of x. Weights are
+// cell counts (|G| = number of 1s in G(x)), so the histograms run 0..N.
+// G is linear over XOR when G(a ⊕ b) = G(a) ⊕ G(b) for all a, b; on GF(2)^N
+// that holds exactly when G(0) = 0 and G(x) = G(x without its lowest set bit)
+// ⊕ G(lowest bit) for every x, which is checked as the states go by. A linear
+// rule φ makes every G vanish: G(s) = φ(s) ⊕ φ²(s) ⊕ φ(s ⊕ φ(s)) = 0.
+
+export const MAX_SPECTRUM_WIDTH = 20
+
+// Commuting states kept for listing; the count covers all of them
+export const MAX_COMMUTING_LISTED = 1024
+
+const toBits = row => row.reduceRight((x, v) => x * 2 + v, 0)
+
+// Running totals for one rule and width, filled in by addSpectrumStates
+export function createSpectrum(rule, width, boundary = 'periodic') {
+  if (width < 1 || width > MAX_SPECTRUM_WIDTH) throw new Error(`Width must be 1..${MAX_SPECTRUM_WIDTH}`)
+  if (boundary === 'infinite') throw new Error('An exhaustive spectrum needs a finite lattice')
+  const states = 2 ** width
+  return {
+    rule,
+    width,
+    boundary,
+    table: ruleToTable(rule),
+    states,
+    done: 0,
+    weights: {
+      rho: new Array(width + 1).fill(0),
+      groovy: new Array(width + 1).fill(0),
+      groovy2: new Array(width + 1).fill(0)
+    },
+    commuting: [], // states with G = 0, up to MAX_COMMUTING_LISTED
+    commutingCount: 0,
+    groovy2Zero: 0,
+    // G(x) and φ(x) as bit patterns, for the linearity checks
+    groovyOf: new Int32Array(states),
+    phiOf: new Int32Array(states),
+    groovyViolations: 0,
+    phiViolations: 0,
+    counterexample: null // { a, b } with G(a ⊕ b) ≠ G(a) ⊕ G(b)
+  }
+}
+
+const weightOf = row => row.reduce((w, v) => w + v, 0)
+
+// Evaluate states done .. done + count - 1 (states must be added in order)
+export function addSpectrumStates(spectrum, count) {
+  const { width, table, boundary, weights, groovyOf, phiOf } = spectrum
+  const end = Math.min(spectrum.states, spectrum.done + count)
+  const row = new Uint8Array(width)
+
+  for (let x = spectrum.done; x < end; x++) {
+    for (let i = 0; i < width; i++) row[i] = (x >> i) & 1
+    const D = derivative(row, table, boundary)
+    const G = groovyCommutator(row, table, boundary)
+    const G2 = groovyCommutator2(row, table, boundary)
+    const gWeight = weightOf(G)
+    const g2Weight = weightOf(G2)
+    weights.rho[weightOf(D)]++
+    weights.groovy[gWeight]++
+    weights.groovy2[g2Weight]++
+
+    if (gWeight === 0) {
+      if (spectrum.commuting.length < MAX_COMMUTING_LISTED) spectrum.commuting.push(x)
+      spectrum.commutingCount++
+    }
+    if (g2Weight === 0) spectrum.groovy2Zero++
+
+    // φ(x) = x ⊕ D(x)
+    groovyOf[x] = toBits(G)
+    phiOf[x] = x ^ toBits(D)
+    const low = x & -x
+    const rest = x ^ low
+    const groovyPredicted = x === 0 ? 0 : groovyOf[rest] ^ groovyOf[low]
+    const phiPredicted = x === 0 ? 0 : phiOf[rest] ^ phiOf[low]
+    if (groovyOf[x] !== groovyPredicted) {
+      spectrum.groovyViolations++
+      if (!spectrum.counterexample) spectrum.counterexample = x === 0 ? { a: 0, b: 0 } : { a: rest, b: low }
+    }
+    if (phiOf[x] !== phiPredicted) spectrum.phiViolations++
+  }
+
+  spectrum.done = end
+  return spectrum.done === spectrum.states
+}
+
+// The totals without the per-state tables, ready to post or print
+export function spectrumResult(spectrum) {
+  const { rule, width, boundary, states, weights, commuting, commutingCount, groovy2Zero } = spectrum
+  const meanDensity = hist => hist.reduce((sum, c, w) => sum + c * w, 0) / (states * width)
+  return {
+    rule,
+    width,
+    boundary,
+    states,
+    weights,
+    meanDensity: {
+      rho: meanDensity(weights.rho),
+      groovy: meanDensity(weights.groovy),
+      groovy2: meanDensity(weights.groovy2)
+    },
+    commuting,
+    commutingCount,
+    groovy2Zero,
+    phiLinear: spectrum.phiViolations === 0,
+    groovyLinear: spectrum.groovyViolations === 0,
+    groovyViolations: spectrum.groovyViolations,
+    counterexample: spectrum.counterexample
+  }
+}
+
+// The whole spectrum in one call
+export function exhaustiveSpectrum(rule, width, boundary) {
+  const spectrum = createSpectrum(rule, width, boundary)
+  addSpectrumStates(spectrum, spectrum.states)
+  return spectrumResult(spectrum)
+}
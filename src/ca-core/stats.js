@@ -0,0 +1,107 @@
+// =============================================================================
+// TIME-SERIES STATISTICS — rolling windows, variance and autocorrelation
+// =============================================================================
+//
+// A series is a plain array of per-step values (ρ(t), |G|(t), |G²|(t) ...).
+// Rolling statistics use a trailing window: entry t covers steps
+// max(0, t - window + 1)..t, so early entries average over fewer steps.
+
+export const SERIES_KEYS = ['rho', 'groovy', 'groovy2']
+
+export function mean(xs) {
+  let sum = 0
+  for (const x of xs) sum += x
+  return xs.length ? sum / xs.length : 0
+}
+
+// Population variance
+export function variance(xs) {
+  const m = mean(xs)
+  let sum = 0
+  for (const x of xs) sum += (x - m) * (x - m)
+  return xs.length ? sum / xs.length : 0
+}
+
+// Trailing rolling mean and variance, from running sums (O(n) for any window)
+export function rollingStats(xs, window) {
+  const w = Math.max(1, window)
+  const means = new Array(xs.length)
+  const variances = new Array(xs.length)
+  let sum = 0
+  let sumSq = 0
+  for (let t = 0; t < xs.length; t++) {
+    sum += xs[t]
+    sumSq += xs[t] * xs[t]
+    if (t >= w) {
+      sum -= xs[t - w]
+      sumSq -= xs[t - w] * xs[t - w]
+    }
+    const n = Math.min(t + 1, w)
+    means[t] = sum / n
+    // Running sums can dip a hair below zero on flat stretches
+    variances[t] = Math.max(0, sumSq / n - means[t] * means[t])
+  }
+  return { means, variances }
+}
+
+// Autocorrelation r(0..maxLag). A constant series has no variance to
+// correlate, so every lag but 0 is reported as 0.
+export function autocorrelation(xs, maxLag) {
+  const n = xs.length
+  const m = mean(xs)
+  let denom = 0
+  for (const x of xs) denom += (x - m) * (x - m)
+
+  const acf = []
+  for (let lag = 0; lag <= Math.min(maxLag, n - 1); lag++) {
+    if (denom === 0) {
+      acf.push(lag === 0 ? 1 : 0)
+      continue
+    }
+    let sum = 0
+    for (let t = 0; t + lag < n; t++) sum += (xs[t] - m) * (xs[t + lag] - m)
+    acf.push(sum / denom)
+  }
+  return acf
+}
+
+// Pearson correlation of two equal-length series; 0 when either is constant
+export function correlation(xs, ys) {
+  const mx = mean(xs)
+  const my = mean(ys)
+  let sxy = 0
+  let sxx = 0
+  let syy = 0
+  for (let i = 0; i < xs.length; i++) {
+    sxy += (xs[i] - mx) * (ys[i] - my)
+    sxx += (xs[i] - mx) * (xs[i] - mx)
+    syy += (ys[i] - my) * (ys[i] - my)
+  }
+  return sxx > 0 && syy > 0 ? sxy / Math.sqrt(sxx * syy) : 0
+}
+
+// Everything the charts show for one series
+export function seriesStats(xs, { window = 20, maxLag = 50 } = {}) {
+  return {
+    mean: mean(xs),
+    variance: variance(xs),
+    ...rollingStats(xs, window),
+    acf: autocorrelation(xs, maxLag)
+  }
+}
+
+// Per-step series as CSV: the raw values plus the rolling mean and variance
+// of each. t counts from firstStep.
+export function seriesToCSV(series, { window = 20, firstStep = 0 } = {}) {
+  const rolling = SERIES_KEYS.map(key => rollingStats(series[key], window))
+  const header = ['t', 'rho', 'g', 'g2']
+  for (const name of ['rho', 'g', 'g2']) header.push(`${name}_mean${window}`, `${name}_var${window}`)
+
+  const lines = [header.join(',')]
+  for (let t = 0; t < series.rho.length; t++) {
+    const cols = [firstStep + t, ...SERIES_KEYS.map(key => series[key][t])]
+    for (const { means, variances } of rolling) cols.push(means[t], variances[t])
+    lines.push(cols.join(','))
+  }
+  return lines.join('\n') + '\n'
+}
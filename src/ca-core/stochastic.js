@@ -0,0 +1,120 @@
+import { mulberry32 } from './random.js'
+import { subRowsMod } from './multistate.js'
+
+// =============================================================================
+// STOCHASTIC UPDATING — asynchronous and random-sequential steps, and noise
+// =============================================================================
+//
+// The engines update every cell at once. An update scheme
+// { mode, alpha, epsilon, seed } swaps that step E for a random one:
+//   synchronous  every cell at once, as usual
+//   async        each cell updates with probability alpha and otherwise keeps
+//                its value (α-asynchronous); alpha = 1 is synchronous
+//   sequential   every cell once, one at a time in a random order, each seeing
+//                the cells updated before it
+// after which each cell is shifted by 1 … k − 1 (mod k) with probability
+// epsilon: a bit flip for binary cells.
+//
+// The draws of step t come from mulberry32 seeded by (seed, t) alone, and
+// every application of E within that step (E(S), E(E(S)), E(D(S)), and the
+// same three again for G²) reuses them. E_t is then one fixed map, so
+//   D_t(S) = E_t(S) − S        G_t(S) = D_t(E_t(S)) − E_t(D_t(S))     (mod k)
+// compare the two paths under the same randomness, and a seed always gives
+// the same S, D, G and G². With alpha = 1 and no noise they are the
+// synchronous ones.
+
+export const UPDATE_MODES = ['synchronous', 'async', 'sequential']
+export const SYNCHRONOUS = { mode: 'synchronous', alpha: 1, epsilon: 0, seed: 0 }
+
+// The α and ε a sweep visits by default
+export const SWEEP_ALPHAS = [0.2, 0.4, 0.6, 0.8, 1]
+export const SWEEP_EPSILONS = [0, 0.001, 0.005, 0.01, 0.05, 0.1]
+
+// No scheme (null) is the synchronous, noiseless one
+export const isSynchronous = update => !update || (update.mode === 'synchronous' && !update.epsilon)
+
+// Throws on a malformed scheme
+export function checkUpdate({ mode, alpha = 1, epsilon = 0, seed = 0 }) {
+  if (!UPDATE_MODES.includes(mode)) throw new Error(`Update mode must be one of ${UPDATE_MODES.join(', ')}`)
+  if (!(alpha > 0 && alpha <= 1)) throw new Error('α must be in (0, 1]')
+  if (!(epsilon >= 0 && epsilon <= 1)) throw new Error('ε must be in [0, 1]')
+  if (!Number.isInteger(seed) || seed < 0) throw new Error('The update seed must be a whole number')
+}
+
+// The random choices of step t for n cells of k colours: which cells update
+// (mask, async), in what order (order, sequential) and what the noise adds to
+// each cell (0: nothing); null where the scheme draws none
+function stepDraws({ mode, alpha = 1, epsilon = 0, seed = 0 }, t, n, k) {
+  const rand = mulberry32((seed + Math.imul(t + 1, 0x9E3779B1)) >>> 0)
+  let mask = null
+  let order = null
+  let noise = null
+  if (mode === 'async') {
+    mask = new Uint8Array(n)
+    for (let i = 0; i < n; i++) mask[i] = rand() < alpha ? 1 : 0
+  } else if (mode === 'sequential') {
+    // Fisher–Yates
+    order = new Uint32Array(n)
+    for (let i = 0; i < n; i++) order[i] = i
+    for (let i = n - 1; i > 0; i--) {
+      const j = Math.floor(rand() * (i + 1))
+      const swap = order[i]
+      order[i] = order[j]
+      order[j] = swap
+    }
+  }
+  if (epsilon > 0) {
+    noise = new Uint8Array(n)
+    for (let i = 0; i < n; i++) {
+      if (rand() < epsilon) noise[i] = k === 2 ? 1 : 1 + Math.floor(rand() * (k - 1))
+    }
+  }
+  return { mask, order, noise }
+}
+
+// E_t for cells of k colours: rule.step(cells) updates them all at once and
+// rule.cell(cells, i) says what cell i becomes, for an array being updated in
+// place. Returns a cells → cells map that never touches its input.
+export function stochasticStep(update, t, n, { step, cell, k = 2 }) {
+  const { mask, order, noise } = stepDraws(update, t, n, k)
+  return cells => {
+    let out
+    if (order) {
+      out = cells.slice()
+      for (let j = 0; j < order.length; j++) out[order[j]] = cell(out, order[j])
+    } else {
+      out = step(cells)
+      if (mask) for (let i = 0; i < out.length; i++) if (!mask[i]) out[i] = cells[i]
+    }
+    if (noise) for (let i = 0; i < out.length; i++) if (noise[i]) out[i] = (out[i] + noise[i]) % k
+    return out
+  }
+}
+
+// What step t's draws did to cell i: whether it updated (async), its place in
+// the order (sequential, from 0) and the noise added to it
+export function cellDraws(update, t, n, k, i) {
+  const { mask, order, noise } = stepDraws(update, t, n, k)
+  return {
+    mode: update.mode,
+    updated: mask ? mask[i] === 1 : true,
+    position: order ? order.indexOf(i) : null,
+    noise: noise ? noise[i] : 0
+  }
+}
+
+// G(S) = D(E(S)) − E(D(S)) mod k for any cells → cells map E
+export function commutatorOf(E, k = 2) {
+  return cells => {
+    const Es = E(cells)
+    const Ds = subRowsMod(Es, cells, k)
+    return subRowsMod(subRowsMod(E(Es), Es, k), E(Ds), k)
+  }
+}
+
+// The schemes of an α × ε sweep around update, row by row in α. α only
+// means something to async updates; other modes sweep ε alone.
+export function sweepUpdates(update, { alphas = SWEEP_ALPHAS, epsilons = SWEEP_EPSILONS } = {}) {
+  const rows = update.mode === 'async' ? alphas : [1]
+  return rows.flatMap(alpha => epsilons.map(epsilon => ({ ...update, alpha, epsilon })))
+}
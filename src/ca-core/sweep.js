@@ -0,0 +1,89 @@
+import { ruleToTable, evolve, derivative, groovyCommutator, density } from './elementary.js'
+import { mulberry32, randomState } from './random.js'
+import { AWARE_RULE_COUNT } from './aware.js'
+import { iterateCA1D, stepMetrics } from './run.js'
+
+// =============================================================================
+// RULE SWEEP — all 256 elementary rules at once
+// =============================================================================
+
+// Average ρ, G and G² densities of one rule over several seeded random states.
+// The space-time diagram of the first seed is kept as a thumbnail.
+export function sweepRule(ruleNumber, { width, steps, seeds }) {
+  const table = ruleToTable(ruleNumber)
+  let totalRho = 0
+  let totalGroovy = 0
+  let totalGroovy2 = 0
+  let thumbnail = null
+
+  for (let seed = 1; seed <= seeds; seed++) {
+    let state = randomState(width, mulberry32(seed))
+    const hist = [state]
+
+    for (let i = 0; i < steps; i++) {
+      const G = groovyCommutator(state, table)
+      totalRho += density(derivative(state, table))
+      totalGroovy += density(G)
+      totalGroovy2 += density(groovyCommutator(G, table)) // = G²(state)
+
+      state = evolve(state, table)
+      hist.push(state)
+    }
+    if (!thumbnail) thumbnail = hist
+  }
+
+  const samples = seeds * steps
+  return {
+    rule: ruleNumber,
+    rho: totalRho / samples,
+    groovyDensity: totalGroovy / samples,
+    groovy2Density: totalGroovy2 / samples,
+    thumbnail
+  }
+}
+
+// Rules named in the 1D info box as Class IV
+export const CLASS_IV_RULES = [110, 124, 137, 193]
+
+// Same averages for one 16-bit aware rule. Aware sweeps cover up to 65,536
+// rules, so the thumbnail is opt-in; awareThumbnail draws one on demand.
+export function sweepAwareRule(awareRule, { width, steps, seeds, thumbnail = false }) {
+  let totalRho = 0
+  let totalGroovy = 0
+  let totalGroovy2 = 0
+  let hist = null
+
+  for (let seed = 1; seed <= seeds; seed++) {
+    const initial = randomState(width, mulberry32(seed))
+    if (thumbnail && seed === 1) hist = [initial]
+    for (const step of iterateCA1D(initial, { aware: true, awareRule, steps })) {
+      const m = stepMetrics(step)
+      totalRho += m.rho
+      totalGroovy += m.groovy
+      totalGroovy2 += m.groovy2
+      if (thumbnail && seed === 1) hist.push(step.state)
+    }
+  }
+
+  const samples = seeds * steps
+  return {
+    rule: awareRule,
+    rho: totalRho / samples,
+    groovyDensity: totalGroovy / samples,
+    groovy2Density: totalGroovy2 / samples,
+    thumbnail: hist
+  }
+}
+
+export function awareThumbnail(awareRule, { width, steps }) {
+  return sweepAwareRule(awareRule, { width, steps, seeds: 1, thumbnail: true }).thumbnail
+}
+
+// count distinct aware rules drawn uniformly, in ascending order
+export function sampleAwareRules(count, rand) {
+  const n = Math.min(count, AWARE_RULE_COUNT)
+  const picked = new Set()
+  while (picked.size < n) picked.add(Math.floor(rand() * AWARE_RULE_COUNT))
+  return [...picked].sort((a, b) => a - b)
+}
+
@@ -0,0 +1,62 @@
+// =============================================================================
+// COMMUTATOR TOWER — G¹ … Gⁿ and where the tower ends up
+// =============================================================================
+//
+// Gⁿ⁺¹(S) = G(Gⁿ(S)). On a finite lattice the tower is a walk through a finite
+// space, so it always ends in a cycle; the question is how soon, and which:
+//   zero    Gᵏ = 0
+//   fixed   Gᵏ⁺¹ = Gᵏ ≠ 0
+//   cycle   Gᵏ⁺ᵖ = Gᵏ for a period p > 1
+//   open    none of these by the highest order computed
+// fate.order is the first order k of the zero, fixed point or cycle.
+
+export const MAX_ORDER = 16
+
+export const TOWER_FATES = ['zero', 'fixed', 'cycle', 'open']
+
+// Cell contents as a string, for spotting a level seen before
+export const rowKey = row => String.fromCharCode.apply(null, row)
+
+export const isZeroRow = row => row.every(v => v === 0)
+
+// Levels G¹(x) … Gⁿ(x) of a tower, given one application G of the
+// commutator. Levels may be rows or anything else G maps (e.g. aware pairs)
+// as long as key and isZero understand them. key = null skips detection.
+export function groovyTower(x, G, order, { key = rowKey, isZero = isZeroRow } = {}) {
+  const levels = []
+  const seen = new Map()
+  let fate = key ? null : { kind: 'open', order: null, period: null }
+  let level = x
+
+  for (let k = 1; k <= order; k++) {
+    level = G(level)
+    levels.push(level)
+    if (fate) continue
+
+    if (isZero(level)) {
+      fate = { kind: 'zero', order: k, period: 1 }
+      continue
+    }
+    const id = key(level)
+    const first = seen.get(id)
+    if (first !== undefined) {
+      const period = k - first
+      fate = { kind: period === 1 ? 'fixed' : 'cycle', order: first, period }
+    } else {
+      seen.set(id, k)
+    }
+  }
+
+  return { levels, fate: fate || { kind: 'open', order: null, period: null } }
+}
+
+// How many steps of a run ended in each fate, and the mean order it took
+export function summarizeFates(fates) {
+  const summary = Object.fromEntries(TOWER_FATES.map(kind => [kind, { count: 0, meanOrder: null }]))
+  for (const fate of fates) {
+    const s = summary[fate.kind]
+    s.count++
+    if (fate.order !== null) s.meanOrder = ((s.meanOrder ?? 0) * (s.count - 1) + fate.order) / s.count
+  }
+  return summary
+}
@@ -0,0 +1,17 @@
+// =============================================================================
+// DOWNLOADS — save generated files from the browser
+// =============================================================================
+
+export function downloadBlob(filename, blob) {
+  const url = URL.createObjectURL(blob)
+  const a = document.createElement('a')
+  a.href = url
+  a.download = filename
+  a.click()
+  // Give the browser a moment to start the download before revoking
+  setTimeout(() => URL.revokeObjectURL(url), 1000)
+}
+
+export function downloadText(filename, text, type = 'text/plain') {
+  downloadBlob(filename, new Blob([text], { type }))
+}
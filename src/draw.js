@@ -0,0 +1,174 @@
+// =============================================================================
+// VISUALIZATION
+// =============================================================================
+
+const MARK = [255, 191, 0]
+
+// markRow, when given, is tinted amber (e.g. the step a run enters its cycle)
+export function drawCA1D(canvas, history, colorFn, markRow = null) {
+  const ctx = canvas.getContext('2d')
+  const h = history.length
+  const w = history[0]?.length || 1
+  
+  canvas.width = w
+  canvas.height = h
+  
+  const imageData = ctx.createImageData(w, h)
+  const palette = [] // colorFn results, cached per cell value
+  
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      const idx = (y * w + x) * 4
+      const v = history[y][x]
+      const [r, g, b] = palette[v] ??= colorFn(v)
+      imageData.data[idx] = r
+      imageData.data[idx + 1] = g
+      imageData.data[idx + 2] = b
+      imageData.data[idx + 3] = 255
+    }
+  }
+  
+  if (markRow !== null && markRow < h) {
+    for (let x = 0; x < w; x++) {
+      const idx = (markRow * w + x) * 4
+      for (let c = 0; c < 3; c++) imageData.data[idx + c] = (imageData.data[idx + c] + MARK[c]) >> 1
+    }
+  }
+  
+  ctx.putImageData(imageData, 0, 0)
+}
+
+// Grids are flat { width, height, cells } (see ca-core/life.js)
+export function draw2D(canvas, grid, colorFn) {
+  const ctx = canvas.getContext('2d')
+  const { width: w, height: h, cells } = grid
+  
+  canvas.width = w
+  canvas.height = h
+  
+  const imageData = ctx.createImageData(w, h)
+  const palette = [] // colorFn results, cached per cell value
+  
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      const idx = (y * w + x) * 4
+      const v = cells[y * w + x]
+      const [r, g, b] = palette[v] ??= colorFn(v)
+      imageData.data[idx] = r
+      imageData.data[idx + 1] = g
+      imageData.data[idx + 2] = b
+      imageData.data[idx + 3] = 255
+    }
+  }
+  
+  ctx.putImageData(imageData, 0, 0)
+}
+
+// RGB overlay: three fields of the same shape, one per colour channel, so
+// where they coincide shows as mixed colour. layers are [red, green, blue]
+// (1D histories or 2D grids); a cell value v of a k-colour field lights its
+// channel to v / (k − 1). Cells where all three are 0 get the usual background.
+function drawChannels(canvas, w, h, valueAt, k) {
+  const ctx = canvas.getContext('2d')
+  canvas.width = w
+  canvas.height = h
+  const imageData = ctx.createImageData(w, h)
+  const scale = 255 / (k - 1)
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      const idx = (y * w + x) * 4
+      const r = valueAt(0, x, y)
+      const g = valueAt(1, x, y)
+      const b = valueAt(2, x, y)
+      if (r || g || b) {
+        imageData.data[idx] = Math.round(r * scale)
+        imageData.data[idx + 1] = Math.round(g * scale)
+        imageData.data[idx + 2] = Math.round(b * scale)
+      } else {
+        imageData.data[idx] = 10
+        imageData.data[idx + 1] = 10
+        imageData.data[idx + 2] = 15
+      }
+      imageData.data[idx + 3] = 255
+    }
+  }
+  ctx.putImageData(imageData, 0, 0)
+}
+
+// Rows past the end of the shortest history are left out
+export function drawOverlayCA1D(canvas, layers, k = 2) {
+  const h = Math.min(...layers.map(rows => rows.length))
+  const w = layers[0][0]?.length || 1
+  drawChannels(canvas, w, h, (c, x, y) => layers[c][y][x], k)
+}
+
+export function drawOverlay2D(canvas, layers, k = 2) {
+  const { width: w, height: h } = layers[0]
+  drawChannels(canvas, w, h, (c, x, y) => layers[c].cells[y * w + x], k)
+}
+
+// Color schemes
+export const stateColor = v => v ? [255, 255, 255] : [10, 10, 15]
+export const derivColor = v => v ? [255, 107, 107] : [10, 10, 15]
+export const groovyColor = v => v ? [0, 212, 170] : [10, 10, 15]
+export const groovy2Color = v => v ? [147, 112, 219] : [10, 10, 15] // purple for G²
+
+// Difference rows of a comparison (see ca-core/compare.js): only A, only B, both
+const COMPARE_COLORS = [[10, 10, 15], [255, 107, 107], [0, 170, 255], [200, 200, 200]]
+export const compareColor = v => COMPARE_COLORS[v]
+
+// G³ … Gⁿ of the commutator tower cycle through further hues
+const TOWER_HUES = [[255, 140, 0], [0, 170, 255], [255, 204, 0], [255, 105, 180], [124, 252, 0]]
+export const towerColor = order => {
+  const hue = TOWER_HUES[(order - 3) % TOWER_HUES.length]
+  return v => v ? hue : [10, 10, 15]
+}
+
+// k-colour palettes. Value 0 is always the background. States get distinct
+// colours; difference fields (D, G, G² mod k) shade their single colour from
+// dim (difference 1) to full (difference k-1). For k = 2 these are the
+// binary schemes above.
+const BACKGROUND = [10, 10, 15]
+const STATE_PALETTE = [
+  [255, 255, 255], [255, 204, 0], [0, 170, 255], [255, 107, 107],
+  [147, 112, 219], [0, 212, 170], [255, 140, 0]
+]
+
+export function stateColorK(k) {
+  if (k <= 2) return stateColor
+  return v => v ? STATE_PALETTE[(v - 1) % STATE_PALETTE.length] : BACKGROUND
+}
+
+export function fieldColorK(binaryColor, k) {
+  if (k <= 2) return binaryColor
+  const full = binaryColor(1)
+  return v => {
+    if (!v) return BACKGROUND
+    const t = 0.35 + 0.65 * (v - 1) / (k - 2)
+    return full.map((c, i) => Math.round(BACKGROUND[i] + (c - BACKGROUND[i]) * t))
+  }
+}
+
+// Generations states (see ca-core/life.js): alive cells white, dying ones
+// from orange fading towards the background as they age
+const DYING = [255, 140, 0]
+
+export function generationsColor(k) {
+  if (k <= 2) return stateColor
+  return v => {
+    if (v <= 1) return stateColor(v)
+    const t = 1 - 0.65 * (v - 2) / Math.max(1, k - 3)
+    return DYING.map((c, i) => Math.round(BACKGROUND[i] + (c - BACKGROUND[i]) * t))
+  }
+}
+
+// A G density from 0 to 1 as dark blue through teal to yellow (basin nodes,
+// update sweep cells)
+const RAMP = [[20, 30, 80], [0, 212, 170], [255, 230, 80]]
+
+export function groovyRamp(g) {
+  const t = Math.min(1, Math.max(0, g)) * (RAMP.length - 1)
+  const i = Math.min(RAMP.length - 2, Math.floor(t))
+  const f = t - i
+  return RAMP[i].map((c, j) => Math.round(c + (RAMP[i + 1][j] - c) * f))
+}
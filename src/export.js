@@ -0,0 +1,91 @@
+import { downloadBlob } from './download.js'
+
+// =============================================================================
+// IMAGE EXPORT — canvases as crisp PNGs, one cell to scale × scale pixels
+// =============================================================================
+
+// Browsers refuse canvases much larger than this on a side
+export const MAX_EXPORT_SIDE = 16384
+
+export const MAX_EXPORT_SCALE = 16
+
+const POSTER_BACKGROUND = '#0a0a0f'
+const POSTER_TEXT = '#e0e0e0'
+const POSTER_LABEL = '#888'
+const POSTER_FONT = '"SF Mono", Menlo, Consolas, monospace'
+
+// The largest scale ≤ scale at which a width × height image fits
+export function fitScale(width, height, scale) {
+  return Math.max(1, Math.min(scale, Math.floor(MAX_EXPORT_SIDE / Math.max(width, height, 1))))
+}
+
+// A copy of the canvas with every pixel blown up to a scale × scale block
+export function scaledCanvas(source, scale) {
+  const s = fitScale(source.width, source.height, scale)
+  const canvas = document.createElement('canvas')
+  canvas.width = source.width * s
+  canvas.height = source.height * s
+  const ctx = canvas.getContext('2d')
+  ctx.imageSmoothingEnabled = false
+  ctx.drawImage(source, 0, 0, canvas.width, canvas.height)
+  return canvas
+}
+
+export function downloadCanvasPNG(canvas, filename, scale = 1) {
+  const out = scale === 1 ? canvas : scaledCanvas(canvas, scale)
+  out.toBlob(blob => downloadBlob(filename, blob), 'image/png')
+}
+
+// Panels [{ label, canvas }] laid out in a grid under a title and lines of
+// text (rule, metrics), each panel scaled by the same integer factor
+export function posterCanvas(panels, { title, lines = [], scale = 1, columns = 2 }) {
+  const cellW = Math.max(...panels.map(p => p.canvas.width))
+  const cellH = Math.max(...panels.map(p => p.canvas.height))
+  const cols = Math.min(columns, panels.length)
+  const rows = Math.ceil(panels.length / cols)
+  const margin = 24
+  const titleSize = 22
+  const textSize = 14
+  const labelHeight = textSize + 10
+  const headerHeight = titleSize + 12 + lines.length * (textSize + 6) + 12
+
+  // Panels shrink together if the poster would be too big
+  const panelScale = Math.max(1, Math.min(
+    scale,
+    Math.floor((MAX_EXPORT_SIDE - margin * (cols + 1)) / (cellW * cols)),
+    Math.floor((MAX_EXPORT_SIDE - headerHeight - margin - rows * (labelHeight + margin)) / (cellH * rows))
+  ))
+  const panelW = cellW * panelScale
+  const panelH = cellH * panelScale
+
+  const canvas = document.createElement('canvas')
+  canvas.width = margin + cols * (panelW + margin)
+  canvas.height = margin + headerHeight + rows * (labelHeight + panelH + margin)
+  const ctx = canvas.getContext('2d')
+  ctx.fillStyle = POSTER_BACKGROUND
+  ctx.fillRect(0, 0, canvas.width, canvas.height)
+  ctx.textBaseline = 'top'
+
+  let y = margin
+  ctx.fillStyle = POSTER_TEXT
+  ctx.font = `bold ${titleSize}px ${POSTER_FONT}`
+  ctx.fillText(title, margin, y)
+  y += titleSize + 12
+  ctx.fillStyle = POSTER_LABEL
+  ctx.font = `${textSize}px ${POSTER_FONT}`
+  for (const line of lines) {
+    ctx.fillText(line, margin, y)
+    y += textSize + 6
+  }
+  y += 12
+
+  ctx.imageSmoothingEnabled = false
+  panels.forEach(({ label, canvas: source }, i) => {
+    const x = margin + (i % cols) * (panelW + margin)
+    const top = y + Math.floor(i / cols) * (labelHeight + panelH + margin)
+    ctx.fillStyle = POSTER_LABEL
+    ctx.fillText(label, x, top)
+    ctx.drawImage(source, x, top + labelHeight, source.width * panelScale, source.height * panelScale)
+  })
+  return canvas
+}
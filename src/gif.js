@@ -0,0 +1,148 @@
+// =============================================================================
+// GIF ENCODER — animated GIF89a from indexed frames, no DOM needed
+// =============================================================================
+//
+// Frames are Uint8Arrays of palette indices, row-major, all the same size.
+// Each frame is LZW-compressed as it is added, so only the compressed bytes
+// are kept. Runs in the browser, in workers and in Node.
+
+const MAX_CODE = 4096 // LZW codes are at most 12 bits
+
+// Bytes appended to a growing buffer
+function createWriter() {
+  let bytes = new Uint8Array(1 << 16)
+  let length = 0
+  const ensure = n => {
+    if (length + n <= bytes.length) return
+    let size = bytes.length * 2
+    while (size < length + n) size *= 2
+    const grown = new Uint8Array(size)
+    grown.set(bytes.subarray(0, length))
+    bytes = grown
+  }
+  return {
+    byte(b) {
+      ensure(1)
+      bytes[length++] = b
+    },
+    word(w) {
+      this.byte(w & 0xff)
+      this.byte((w >> 8) & 0xff)
+    },
+    bytes(list) {
+      ensure(list.length)
+      bytes.set(list, length)
+      length += list.length
+    },
+    result: () => bytes.slice(0, length)
+  }
+}
+
+// LZW image data: the minimum code size byte, then 255-byte sub-blocks
+function writeImageData(out, indices, minCodeSize) {
+  const clear = 1 << minCodeSize
+  const end = clear + 1
+  let codeSize = minCodeSize + 1
+  let next = end + 1
+  let table = new Map() // prefix code * 256 + index → code
+
+  const block = new Uint8Array(255)
+  let blockLength = 0
+  let bits = 0
+  let bitCount = 0
+  const flushBlock = () => {
+    out.byte(blockLength)
+    out.bytes(block.subarray(0, blockLength))
+    blockLength = 0
+  }
+  const emit = code => {
+    bits |= code << bitCount
+    bitCount += codeSize
+    while (bitCount >= 8) {
+      block[blockLength++] = bits & 0xff
+      if (blockLength === 255) flushBlock()
+      bits >>>= 8
+      bitCount -= 8
+    }
+  }
+
+  out.byte(minCodeSize)
+  emit(clear)
+  let prefix = indices[0]
+  for (let i = 1; i < indices.length; i++) {
+    const key = prefix * 256 + indices[i]
+    const code = table.get(key)
+    if (code !== undefined) {
+      prefix = code
+      continue
+    }
+    emit(prefix)
+    if (next === MAX_CODE) {
+      // Table full: start over
+      emit(clear)
+      table = new Map()
+      codeSize = minCodeSize + 1
+      next = end + 1
+    } else {
+      // The decoder widens its codes one entry later than we add them
+      if (next >= 1 << codeSize) codeSize++
+      table.set(key, next++)
+    }
+    prefix = indices[i]
+  }
+  emit(prefix)
+  emit(end)
+  if (bitCount > 0) {
+    block[blockLength++] = bits & 0xff
+    if (blockLength === 255) flushBlock()
+  }
+  if (blockLength) flushBlock()
+  out.byte(0) // block terminator
+}
+
+// palette: up to 256 [r, g, b] colours; delay in hundredths of a second;
+// loop 0 repeats forever, null plays once
+export function createGIF(width, height, palette, { delay = 10, loop = 0 } = {}) {
+  if (palette.length < 1 || palette.length > 256) throw new Error('A GIF palette has 1..256 colours')
+  const depth = Math.max(1, Math.ceil(Math.log2(palette.length)))
+  const minCodeSize = Math.max(2, depth)
+  const out = createWriter()
+
+  out.bytes([0x47, 0x49, 0x46, 0x38, 0x39, 0x61]) // GIF89a
+  out.word(width)
+  out.word(height)
+  out.byte(0x80 | ((depth - 1) << 4) | (depth - 1)) // global colour table of 2^depth entries
+  out.byte(0) // background colour index
+  out.byte(0) // square pixels
+  for (let i = 0; i < 1 << depth; i++) out.bytes(palette[i] || [0, 0, 0])
+  if (loop !== null) {
+    out.bytes([0x21, 0xff, 0x0b, ...'NETSCAPE2.0'.split('').map(c => c.charCodeAt(0)), 0x03, 0x01])
+    out.word(loop)
+    out.byte(0)
+  }
+
+  let frames = 0
+  return {
+    addFrame(indices) {
+      if (indices.length !== width * height) throw new Error(`A frame needs ${width * height} pixels`)
+      out.bytes([0x21, 0xf9, 0x04, 0x00]) // graphic control: no transparency or disposal
+      out.word(delay)
+      out.bytes([0x00, 0x00])
+      out.byte(0x2c) // image descriptor: the full canvas, no local colour table
+      out.word(0)
+      out.word(0)
+      out.word(width)
+      out.word(height)
+      out.byte(0)
+      writeImageData(out, indices, minCodeSize)
+      frames++
+    },
+    get frames() {
+      return frames
+    },
+    finish() {
+      out.byte(0x3b) // trailer
+      return out.result()
+    }
+  }
+}
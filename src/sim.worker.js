@@ -0,0 +1,612 @@
+// =============================================================================
+// SIMULATION WORKER — runs the ca-core engines off the main thread
+// =============================================================================
+//
+// Messages in:
+//   { type: 'run1d', id, initial, rule, steps, aware, memoryBehavior, awareRule, awareCommutator,
+//     multistate, boundary, maxBlock, order, update }     order: height n of the Gⁿ tower (≥ 2);
+//                                           update: a stochastic update scheme (ca-core/stochastic.js)
+//   { type: 'sweep', id, width, steps, seeds, family, sample }
+//                                           family 'elementary' (all 256) or 'aware': sample
+//                                           { count, seed } random rules, or null for all 65,536
+//   { type: 'basins', id, width, rule, aware, awareRule, awareCommutator, multistate, boundary }
+//                                           the state-transition graph of a small lattice
+//   { type: 'spectrum', id, rule, width, boundary }   D, G and G² on all 2^width states
+//   { type: 'compare', id, initial, configs, steps, boundary }   two 1D runs from one row
+//   { type: 'audio', id, samples, sampleRate, frameRate, bands }   analyse mono samples
+//   { type: 'audio1d', id, initial, analysis, ...options }   a 1D run driven by an analysis
+//   { type: 'sonify', id, run, stepSeconds, ...options }   render the run's D, G and G² as a WAV
+//                                           file (options as sonifyScore)
+//   { type: 'updateSweep', id, update, steps, run }   mean densities over steps for each α and ε
+//                                           of sweepUpdates(update): from a 1D run's { initial,
+//                                           ...options }, or the 2D frame on screen when run is null
+//   { type: 'cancel' }                      stop the current 1D run, sweep or spectrum
+//   { type: 'load2d', grid, birthRule, surviveRule, neighbourhood, states, boundary, aware,
+//     memoryBehavior, awareCommutator, maxBlock, update }   neighbourhood and states (Generations)
+//                                           as in ca-core/life.js, default Moore and 2
+//   { type: 'rules2d', birthRule, surviveRule, neighbourhood, states, boundary, aware, memoryBehavior,
+//     awareCommutator, maxBlock, update }
+//   { type: 'paint2d', points, value }      set cells at [x, y] points, playing or paused
+//   { type: 'drive2d', grid, points, rules }   one step, then (optionally) a reseed with grid,
+//                                           new rules (as rules2d) and live cells at points
+//   { type: 'step2d' } / { type: 'play2d', interval } / { type: 'pause2d' }
+//   { type: 'gif2d', id, frames, scale, delay }   record frames from the one on screen as a GIF
+//   { type: 'bench', id }                   run one ca-core benchmark
+//
+// Messages out:
+//   { type: 'rows', id, rows, series, complexity, tower, cycle, done, total }   streamed 1D rows;
+//                                           tower has the G³ … Gⁿ rows (null when they would not
+//                                           fit; see planHistories), per-step densities and
+//                                           fates; cycle is { transient, period } once found
+//   { type: 'basins', id, graph, basins, summary } or { type: 'basins', id, error }
+//   { type: 'done1d', id, metrics, awareRule } or { type: 'done1d', id, error }
+//   { type: 'sweepRows', id, results, done, total }
+//   { type: 'updateSweep', id, results, done, total } or { type: 'updateSweep', id, error }
+//                                           results: { alpha, epsilon, rho, groovyDensity,
+//                                           groovy2Density }, one per cell swept since the last message
+//   { type: 'spectrum', id, done, total, result }   result (see spectrumResult) once done = total
+//   { type: 'compare', id, runs, fields } or { type: 'compare', id, error }   see compareRuns
+//   { type: 'audio', id, analysis } / { type: 'audio1d', id, ...run }, or either with error
+//   { type: 'sonify', id, bytes } or { type: 'sonify', id, error }
+//   { type: 'frame2d', t, grid, prevDeriv, deriv, groovy, groovy2, states, metrics, complexity }
+//                                           t = steps since load2d; prevDeriv is the D that led
+//                                           to grid (null after a load), for the inspector;
+//                                           states: of the rule, the cells' k
+//   { type: 'gif2d', id, done, total, bytes } or { type: 'gif2d', id, error }
+//                                           bytes (the GIF file) once done = total
+//   { type: 'bench', id, result } or { type: 'bench', id, error }
+
+import {
+  planHistories,
+  prepareInitial,
+  iterateCA1D,
+  stepMetrics,
+  stepTowerDensities,
+  stepComplexity,
+  complexityProfile,
+  seriesMetrics,
+  runCA1D,
+  resolveAwareRule,
+  sweepRule,
+  sweepAwareRule,
+  sampleAwareRules,
+  mulberry32,
+  AWARE_RULE_COUNT,
+  MOORE,
+  createGrid,
+  groovyFrame2D,
+  sweepUpdates,
+  density2D,
+  paintGrid,
+  transitionGraph,
+  findBasins,
+  basinSummary,
+  createSpectrum,
+  addSpectrumStates,
+  spectrumResult,
+  compareRuns,
+  analyseAudio,
+  runAudio1D,
+  sonifyScore,
+  renderScore,
+  encodeWAV,
+  runBenchmark
+} from './ca-core/index.js'
+import { createGIF } from './gif.js'
+import { groovyColor, fieldColorK, generationsColor } from './draw.js'
+
+// Work this long before yielding, so cancel messages get a chance to arrive
+const SLICE_MS = 30
+
+let activeJob = null
+
+const yieldToMessages = () => new Promise(resolve => setTimeout(resolve, 0))
+
+async function run1D({
+  id, initial, rule, steps, aware, memoryBehavior, awareRule, awareCommutator, multistate, boundary, maxBlock,
+  order = 2, update = null
+}) {
+  activeJob = id
+  const options = {
+    rule, steps, aware, memoryBehavior, awareRule, awareCommutator, multistate, boundary, order, update
+  }
+  let keepTower
+  try {
+    keepTower = planHistories(initial, options).keepTower
+  } catch (e) {
+    // a run too large to keep
+    postMessage({ type: 'done1d', id, error: e.message })
+    activeJob = null
+    return
+  }
+  const emptyTower = () => ({
+    histories: keepTower ? Array.from({ length: order - 2 }, () => []) : null, densities: [], fates: []
+  })
+  let rows = { history: [prepareInitial(initial, options)], derivHistory: [], groovyHistory: [], groovy2History: [] }
+  let series = { rho: [], groovy: [], groovy2: [] }
+  let complexity = [] // per-step S, D and G profiles (see ca-core/complexity.js)
+  let tower = emptyTower() // G and G² already travel in rows
+  let cycle = null
+  const complexityOptions = { maxBlock, k: multistate ? multistate.k : 2 }
+  const allSeries = { rho: [], groovy: [], groovy2: [] }
+  let done = 0
+  let sliceStart = performance.now()
+
+  const flush = () => {
+    postMessage({ type: 'rows', id, rows, series, complexity, tower, cycle, done, total: steps })
+    rows = { history: [], derivHistory: [], groovyHistory: [], groovy2History: [] }
+    series = { rho: [], groovy: [], groovy2: [] }
+    complexity = []
+    tower = emptyTower()
+  }
+
+  try {
+    for (const step of iterateCA1D(initial, options)) {
+      rows.history.push(step.state)
+      rows.derivHistory.push(step.deriv)
+      rows.groovyHistory.push(step.groovy)
+      rows.groovy2History.push(step.groovy2)
+      const m = stepMetrics(step)
+      for (const key of ['rho', 'groovy', 'groovy2']) {
+        series[key].push(m[key])
+        allSeries[key].push(m[key])
+      }
+      complexity.push(stepComplexity(step, complexityOptions))
+      if (keepTower) step.tower.slice(2).forEach((row, k) => tower.histories[k].push(row))
+      tower.densities.push(stepTowerDensities(step))
+      tower.fates.push(step.fate)
+      cycle = step.cycle
+      done++
+
+      if (performance.now() - sliceStart > SLICE_MS) {
+        flush()
+        await yieldToMessages()
+        if (activeJob !== id) return
+        sliceStart = performance.now()
+      }
+    }
+  } catch (e) {
+    // e.g. a stochastic scheme with an aware rule or the infinite lattice
+    postMessage({ type: 'done1d', id, error: e.message })
+    activeJob = null
+    return
+  }
+
+  flush()
+  postMessage({
+    type: 'done1d',
+    id,
+    metrics: seriesMetrics(allSeries),
+    awareRule: aware && !multistate ? resolveAwareRule(options) : null
+  })
+  activeJob = null
+}
+
+function sweepRules(family, sample) {
+  if (family !== 'aware') return Array.from({ length: 256 }, (_, rule) => rule)
+  if (sample) return sampleAwareRules(sample.count, mulberry32(sample.seed))
+  return Array.from({ length: AWARE_RULE_COUNT }, (_, rule) => rule)
+}
+
+async function sweep({ id, width, steps, seeds, family = 'elementary', sample = null }) {
+  activeJob = id
+  const rules = sweepRules(family, sample)
+  const sweepOne = family === 'aware' ? sweepAwareRule : sweepRule
+  let results = []
+  let sliceStart = performance.now()
+
+  for (let i = 0; i < rules.length; i++) {
+    results.push(sweepOne(rules[i], { width, steps, seeds }))
+
+    if (i === rules.length - 1 || performance.now() - sliceStart > SLICE_MS) {
+      postMessage({ type: 'sweepRows', id, results, done: i + 1, total: rules.length })
+      results = []
+      await yieldToMessages()
+      if (activeJob !== id) return
+      sliceStart = performance.now()
+    }
+  }
+  activeJob = null
+}
+
+// States per slice check; each state costs a few microseconds
+const SPECTRUM_CHUNK = 4096
+
+async function spectrum({ id, rule, width, boundary }) {
+  activeJob = id
+  let acc
+  try {
+    acc = createSpectrum(rule, width, boundary)
+  } catch (e) {
+    postMessage({ type: 'spectrum', id, error: e.message })
+    activeJob = null
+    return
+  }
+  let sliceStart = performance.now()
+
+  while (!addSpectrumStates(acc, SPECTRUM_CHUNK)) {
+    if (performance.now() - sliceStart > SLICE_MS) {
+      postMessage({ type: 'spectrum', id, done: acc.done, total: acc.states, result: null })
+      await yieldToMessages()
+      if (activeJob !== id) return
+      sliceStart = performance.now()
+    }
+  }
+  postMessage({ type: 'spectrum', id, done: acc.states, total: acc.states, result: spectrumResult(acc) })
+  activeJob = null
+}
+
+// Small enough to finish in well under a second, so it runs in one go
+function basins({ id, width, ...options }) {
+  try {
+    const graph = transitionGraph(width, { ...options, awareRule: options.aware ? resolveAwareRule(options) : null })
+    const found = findBasins(graph.next)
+    postMessage({ type: 'basins', id, graph, basins: found, summary: basinSummary(graph, found) })
+  } catch (e) {
+    postMessage({ type: 'basins', id, error: e.message })
+  }
+}
+
+// Two runs of the default size take a few milliseconds, so this runs in one go too
+function compare({ id, initial, configs, steps, boundary }) {
+  try {
+    const { runs, fields } = compareRuns(initial, configs[0], configs[1], { steps, boundary })
+    const sent = runs.map(({ history, derivHistory, groovyHistory, groovy2History, metrics, cycle, awareRule }) => (
+      { history, derivHistory, groovyHistory, groovy2History, metrics, cycle, awareRule }
+    ))
+    postMessage({ type: 'compare', id, runs: sent, fields })
+  } catch (e) {
+    postMessage({ type: 'compare', id, error: e.message })
+  }
+}
+
+// Audio: the analysis and a driven run each take well under a second for a few minutes of sound
+function audio({ id, samples, sampleRate, frameRate, bands }) {
+  try {
+    postMessage({ type: 'audio', id, analysis: analyseAudio(samples, sampleRate, { frameRate, bands }) })
+  } catch (e) {
+    postMessage({ type: 'audio', id, error: e.message })
+  }
+}
+
+function audio1D({ id, initial, analysis, ...options }) {
+  try {
+    postMessage({ type: 'audio1d', id, ...runAudio1D(initial, analysis, options) })
+  } catch (e) {
+    postMessage({ type: 'audio1d', id, error: e.message })
+  }
+}
+
+// A benchmark takes a few seconds and runs in one go; the view posts them one by one
+function bench({ id }) {
+  try {
+    postMessage({ type: 'bench', id, result: runBenchmark(id) })
+  } catch (e) {
+    postMessage({ type: 'bench', id, error: e.message })
+  }
+}
+
+// The histories arrive as a copy, so a run still streaming on screen is left alone
+function sonify({ id, run, stepSeconds, ...options }) {
+  try {
+    const bytes = encodeWAV(renderScore(sonifyScore(run, options), { stepSeconds }))
+    postMessage({ type: 'sonify', id, bytes }, [bytes.buffer])
+  } catch (e) {
+    postMessage({ type: 'sonify', id, error: e.message })
+  }
+}
+
+// 2D: the worker owns the grid while it plays and sends back finished frames.
+// Each frame also yields the next grid, so stepping costs nothing extra.
+// Aware rules also need the D of the step before (prevDeriv, null after a load).
+const life = {
+  grid: null,
+  t: 0,
+  next: null,
+  deriv: null,
+  prevDeriv: null,
+  birthRule: [3],
+  surviveRule: [2, 3],
+  neighbourhood: MOORE,
+  states: 2,
+  boundary: 'periodic',
+  aware: false,
+  memoryBehavior: 'ignore',
+  awareCommutator: 'frozen',
+  update: null,
+  maxBlock: 4,
+  timer: null
+}
+
+// Cells past the rule's last state (after a switch of rules, or from a
+// Generations pattern) are dead
+function fitStates(grid, states) {
+  if (!grid || grid.cells.every(v => v < states)) return grid
+  return createGrid(grid.width, grid.height, grid.cells.map(v => v < states ? v : 0))
+}
+
+function setRules2D(msg) {
+  life.birthRule = msg.birthRule
+  life.surviveRule = msg.surviveRule
+  life.neighbourhood = msg.neighbourhood ?? MOORE
+  life.states = msg.states ?? 2
+  life.grid = fitStates(life.grid, life.states)
+  life.boundary = msg.boundary
+  life.aware = msg.aware
+  life.memoryBehavior = msg.memoryBehavior
+  life.awareCommutator = msg.awareCommutator
+  life.update = msg.update ?? null
+  life.maxBlock = msg.maxBlock
+}
+
+function postFrame2D() {
+  const aware = life.aware
+    ? { prevDeriv: life.prevDeriv, memoryBehavior: life.memoryBehavior, commutator: life.awareCommutator }
+    : null
+  const { next, deriv, groovy, groovy2 } = groovyFrame2D(
+    life.grid, life.birthRule, life.surviveRule, life.boundary, aware, life.neighbourhood, life.states,
+    life.update, life.t
+  )
+  life.next = next
+  life.deriv = deriv
+  const options = { maxBlock: life.maxBlock, rowWidth: life.grid.width, k: life.states }
+  postMessage({
+    type: 'frame2d',
+    t: life.t,
+    grid: life.grid,
+    prevDeriv: life.prevDeriv,
+    deriv,
+    groovy,
+    groovy2,
+    states: life.states,
+    metrics: {
+      rho: density2D(deriv),
+      groovyDensity: density2D(groovy),
+      groovy2Density: density2D(groovy2)
+    },
+    complexity: {
+      S: complexityProfile(life.grid.cells, options),
+      D: complexityProfile(deriv.cells, options),
+      G: complexityProfile(groovy.cells, options)
+    }
+  })
+}
+
+function step2D() {
+  life.grid = life.next
+  life.t++
+  life.prevDeriv = life.deriv
+  postFrame2D()
+}
+
+// An audio-driven step: the frame sent is the driven grid the next step starts from
+function drive2D({ grid, points, rules }) {
+  life.grid = grid ?? life.next
+  life.t++
+  life.prevDeriv = grid ? null : life.deriv
+  if (rules) setRules2D(rules)
+  if (points?.length) life.grid = paintGrid(life.grid, points, 1)
+  postFrame2D()
+}
+
+// GIF frames put the state and G side by side, split by a thin gap
+const GIF_GAP = 4
+let activeRecording = null
+
+// The colours of the states 0 … k − 1, then of G's values 1 … k − 1, then
+// the gap's, as drawn on screen
+function gifPalette(states) {
+  const state = generationsColor(states)
+  const groovy = fieldColorK(groovyColor, states)
+  return [
+    ...Array.from({ length: states }, (_, v) => state(v)),
+    ...Array.from({ length: states - 1 }, (_, v) => groovy(v + 1)),
+    [51, 51, 51]
+  ]
+}
+
+// Write grid cells, each as a scale × scale block, at column x0: value v > 0
+// gets colour index on + v − 1, 0 gets 0
+function paintPanel(pixels, outWidth, grid, x0, scale, on) {
+  const { width, height, cells } = grid
+  const row = new Uint8Array(width * scale)
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const v = cells[y * width + x]
+      row.fill(v ? on + v - 1 : 0, x * scale, (x + 1) * scale)
+    }
+    for (let dy = 0; dy < scale; dy++) pixels.set(row, (y * scale + dy) * outWidth + x0)
+  }
+}
+
+// Steps a copy of the run, so the frame on screen and any playing run are left alone
+async function recordGIF({ id, frames, scale, delay }) {
+  if (!life.grid) {
+    postMessage({ type: 'gif2d', id, error: 'No 2D grid loaded to record' })
+    return
+  }
+  activeRecording = id
+  const { width, height } = life.grid
+  const outWidth = 2 * width * scale + GIF_GAP
+  const outHeight = height * scale
+  const rules = { ...life }
+  const palette = gifPalette(rules.states)
+  const gif = createGIF(outWidth, outHeight, palette, { delay: Math.round(delay / 10) })
+  const pixels = new Uint8Array(outWidth * outHeight).fill(palette.length - 1)
+  let grid = life.grid
+  let prevDeriv = life.prevDeriv
+  let sliceStart = performance.now()
+
+  for (let f = 0; f < frames; f++) {
+    const aware = rules.aware
+      ? { prevDeriv, memoryBehavior: rules.memoryBehavior, commutator: rules.awareCommutator }
+      : null
+    const { next, deriv, groovy } = groovyFrame2D(
+      grid, rules.birthRule, rules.surviveRule, rules.boundary, aware, rules.neighbourhood, rules.states,
+      rules.update, rules.t + f
+    )
+    paintPanel(pixels, outWidth, grid, 0, scale, 1)
+    paintPanel(pixels, outWidth, groovy, width * scale + GIF_GAP, scale, rules.states)
+    gif.addFrame(pixels)
+    grid = next
+    prevDeriv = deriv
+
+    if (performance.now() - sliceStart > SLICE_MS) {
+      postMessage({ type: 'gif2d', id, done: f + 1, total: frames })
+      await yieldToMessages()
+      if (activeRecording !== id) return
+      sliceStart = performance.now()
+    }
+  }
+  const bytes = gif.finish()
+  postMessage({ type: 'gif2d', id, done: frames, total: frames, bytes }, [bytes.buffer])
+  activeRecording = null
+}
+
+// Update sweeps: each (α, ε) cell reruns the same start under its own scheme
+let activeUpdateSweep = null
+
+function sweepCell2D(rules, steps, update) {
+  let grid = rules.grid
+  const totals = { rho: 0, groovyDensity: 0, groovy2Density: 0 }
+  for (let i = 0; i < steps; i++) {
+    const { next, deriv, groovy, groovy2 } = groovyFrame2D(
+      grid, rules.birthRule, rules.surviveRule, rules.boundary, null, rules.neighbourhood, rules.states,
+      update, rules.t + i
+    )
+    totals.rho += density2D(deriv)
+    totals.groovyDensity += density2D(groovy)
+    totals.groovy2Density += density2D(groovy2)
+    grid = next
+  }
+  return {
+    rho: totals.rho / steps,
+    groovyDensity: totals.groovyDensity / steps,
+    groovy2Density: totals.groovy2Density / steps
+  }
+}
+
+// The 2D sweep starts at the frame on screen and draws from its step on, so
+// the cell of the scheme in play repeats the run being watched
+async function sweepUpdate({ id, update, steps, run }) {
+  if (!run && !life.grid) return
+  if (!run && life.aware) {
+    postMessage({ type: 'updateSweep', id, error: 'Aware rules only update synchronously' })
+    return
+  }
+  activeUpdateSweep = id
+  const schemes = sweepUpdates(update)
+  const rules = { ...life }
+  let results = []
+  let sliceStart = performance.now()
+
+  for (let i = 0; i < schemes.length; i++) {
+    const scheme = schemes[i]
+    try {
+      const metrics = run
+        ? runCA1D(run.initial, { ...run, steps, update: scheme }).metrics
+        : sweepCell2D(rules, steps, scheme)
+      results.push({ alpha: scheme.alpha, epsilon: scheme.epsilon, ...metrics })
+    } catch (e) {
+      postMessage({ type: 'updateSweep', id, error: e.message })
+      activeUpdateSweep = null
+      return
+    }
+
+    if (i === schemes.length - 1 || performance.now() - sliceStart > SLICE_MS) {
+      postMessage({ type: 'updateSweep', id, results, done: i + 1, total: schemes.length })
+      results = []
+      await yieldToMessages()
+      if (activeUpdateSweep !== id) return
+      sliceStart = performance.now()
+    }
+  }
+  activeUpdateSweep = null
+}
+
+function pause2D() {
+  clearTimeout(life.timer)
+  life.timer = null
+}
+
+// The next tick is scheduled only after a frame is done, so slow frames never pile up
+function play2D(interval) {
+  pause2D()
+  const tick = () => {
+    step2D()
+    life.timer = setTimeout(tick, interval)
+  }
+  life.timer = setTimeout(tick, interval)
+}
+
+self.onmessage = ({ data: msg }) => {
+  switch (msg.type) {
+    case 'run1d':
+      run1D(msg)
+      break
+    case 'sweep':
+      sweep(msg)
+      break
+    case 'basins':
+      basins(msg)
+      break
+    case 'spectrum':
+      spectrum(msg)
+      break
+    case 'compare':
+      compare(msg)
+      break
+    case 'audio':
+      audio(msg)
+      break
+    case 'audio1d':
+      audio1D(msg)
+      break
+    case 'sonify':
+      sonify(msg)
+      break
+    case 'updateSweep':
+      sweepUpdate(msg)
+      break
+    case 'cancel':
+      activeJob = null
+      break
+    case 'load2d':
+      pause2D()
+      life.grid = msg.grid
+      life.t = 0
+      life.prevDeriv = null
+      setRules2D(msg)
+      postFrame2D()
+      break
+    case 'rules2d':
+      setRules2D(msg)
+      if (life.grid) postFrame2D()
+      break
+    case 'paint2d':
+      // Redraw the current frame; the next step starts from the painted grid
+      if (life.grid) {
+        life.grid = paintGrid(life.grid, msg.points, msg.value)
+        postFrame2D()
+      }
+      break
+    case 'drive2d':
+      if (life.grid) drive2D(msg)
+      break
+    case 'step2d':
+      if (life.grid) step2D()
+      break
+    case 'play2d':
+      if (life.grid) play2D(msg.interval ?? 100)
+      break
+    case 'pause2d':
+      pause2D()
+      break
+    case 'gif2d':
+      recordGIF(msg)
+      break
+    case 'bench':
+      bench(msg)
+      break
+  }
+}
@@ -0,0 +1,184 @@
+// =============================================================================
+// URL STATE — the whole experiment lives in the location hash
+// =============================================================================
+//
+// #mode=1d&rule=110&width=200&steps=150&init=random&seed=42&density=0.5&aware=0&memory=ignore
+//  &family=elementary&k=2&r=1&code=110&boundary=periodic&bs=B3/S23&size=100&density2d=0.3
+//  &boundary2d=periodic&commutator=frozen&order=2[&awarerule=38486]
+//  (bs is any rulestring: B36/S23H, B2/S/C3, R5,C0,M1,S34..58,B34..45,NM)
+//  [&bg=tile&unit=11111000100110&motif=1110111&at=40,120]   (init=custom only)
+//  [&update=async&alpha=0.5&noise=0.01&useed=7]   (a stochastic update scheme only)
+//
+// Every field is validated on the way in; anything missing or malformed falls
+// back to its default, so a hand-edited or truncated link still loads.
+
+import {
+  BOUNDARIES,
+  BOUNDARIES_2D,
+  AWARE_COMMUTATORS,
+  MAX_ORDER,
+  ROW_BACKGROUNDS,
+  ETHER_110,
+  MOORE,
+  UPDATE_MODES,
+  SYNCHRONOUS,
+  isSynchronous,
+  formatLifeRule,
+  parseLifeRuleString
+} from './ca-core/index.js'
+
+export const MODES = ['1d', '2d', 'sweep', 'spectrum', 'compare', 'audio', 'bench']
+export const MEMORY_BEHAVIORS = ['ignore', 'stabilize', 'invert', 'excite']
+export const INIT_KINDS = ['random', 'single', 'custom']
+export const RULE_FAMILIES = ['elementary', 'general', 'totalistic']
+
+export const DEFAULT_EXPERIMENT = {
+  mode: '1d',
+  rule: 110,
+  width: 200,
+  steps: 150,
+  init: 'random',
+  seed: 1,
+  density: 0.5,
+  // init 'custom': a background row with a motif stamped at each position
+  rowBackground: 'tile',
+  rowUnit: ETHER_110,
+  rowMotif: '',
+  rowPositions: '',
+  aware: false,
+  memoryBehavior: 'ignore',
+  awareRule: null, // a custom 16-bit aware rule, overriding rule + memoryBehavior
+  awareCommutator: 'frozen',
+  ruleFamily: 'elementary',
+  k: 2,
+  radius: 1,
+  code: '110',
+  boundary: 'periodic',
+  order: 2, // height of the 1D Gⁿ tower
+  birthRule: [3],
+  surviveRule: [2, 3],
+  neighbourhood: MOORE, // of the 2D rule, written into bs (see ca-core/rulestring.js)
+  states: 2, // of the 2D rule; more for Generations
+  gridSize: 100,
+  density2D: 0.3,
+  boundary2D: 'periodic',
+  update: SYNCHRONOUS // 1D and 2D (see ca-core/stochastic.js)
+}
+
+// Seeds stay short enough to read out loud
+export const randomSeed = () => Math.floor(Math.random() * 1e6)
+
+
+function intParam(params, key, min, max) {
+  const n = Number(params.get(key))
+  return params.has(key) && Number.isInteger(n) && n >= min && n <= max ? n : undefined
+}
+
+function fractionParam(params, key) {
+  const x = Number(params.get(key))
+  return params.has(key) && x >= 0 && x <= 1 ? x : undefined
+}
+
+// Cell digits and . * O symbols (see ca-core/initial.js)
+function cellsParam(params, key) {
+  const v = params.get(key)
+  return v !== null && /^[0-9.*Oo]*$/.test(v) ? v : undefined
+}
+
+function choiceParam(params, key, choices) {
+  const v = params.get(key)
+  return choices.includes(v) ? v : undefined
+}
+
+function updateParam(params) {
+  const mode = choiceParam(params, 'update', UPDATE_MODES)
+  if (!mode) return undefined
+  const alpha = fractionParam(params, 'alpha')
+  return {
+    mode,
+    alpha: alpha > 0 ? alpha : 1,
+    epsilon: fractionParam(params, 'noise') ?? 0,
+    seed: intParam(params, 'useed', 0, 2 ** 32 - 1) ?? 0
+  }
+}
+
+export function encodeExperiment(exp) {
+  const params = new URLSearchParams({
+    mode: exp.mode,
+    rule: exp.rule,
+    width: exp.width,
+    steps: exp.steps,
+    init: exp.init,
+    seed: exp.seed,
+    density: exp.density,
+    aware: exp.aware ? 1 : 0,
+    memory: exp.memoryBehavior,
+    commutator: exp.awareCommutator,
+    family: exp.ruleFamily,
+    k: exp.k,
+    r: exp.radius,
+    code: exp.code,
+    boundary: exp.boundary,
+    order: exp.order,
+    bs: formatLifeRule(exp.birthRule, exp.surviveRule, exp.neighbourhood, exp.states),
+    size: exp.gridSize,
+    density2d: exp.density2D,
+    boundary2d: exp.boundary2D
+  })
+  if (exp.awareRule !== null) params.set('awarerule', exp.awareRule)
+  if (exp.init === 'custom') {
+    params.set('bg', exp.rowBackground)
+    params.set('unit', exp.rowUnit)
+    params.set('motif', exp.rowMotif)
+    params.set('at', exp.rowPositions)
+  }
+  if (!isSynchronous(exp.update)) {
+    params.set('update', exp.update.mode)
+    params.set('alpha', exp.update.alpha)
+    params.set('noise', exp.update.epsilon)
+    params.set('useed', exp.update.seed)
+  }
+  // Keep the B/S slash and Larger than Life commas readable in the address bar
+  return '#' + params.toString().replace(/%2F/g, '/').replace(/%2C/g, ',')
+}
+
+// Returns null when the hash holds no experiment at all
+export function decodeExperiment(hash) {
+  const params = new URLSearchParams(hash.replace(/^#/, ''))
+  if (![...params.keys()].length) return null
+
+  const parsed = {
+    mode: choiceParam(params, 'mode', MODES),
+    rule: intParam(params, 'rule', 0, 255),
+    width: intParam(params, 'width', 1, 1000),
+    steps: intParam(params, 'steps', 1, 5000),
+    init: choiceParam(params, 'init', INIT_KINDS),
+    seed: intParam(params, 'seed', 0, 2 ** 32 - 1),
+    density: fractionParam(params, 'density'),
+    rowBackground: choiceParam(params, 'bg', ROW_BACKGROUNDS),
+    rowUnit: cellsParam(params, 'unit'),
+    rowMotif: cellsParam(params, 'motif'),
+    rowPositions: params.has('at') && /^[\d\s,-]*$/.test(params.get('at')) ? params.get('at') : undefined,
+    aware: params.has('aware') ? params.get('aware') === '1' : undefined,
+    memoryBehavior: choiceParam(params, 'memory', MEMORY_BEHAVIORS),
+    awareRule: intParam(params, 'awarerule', 0, 65535),
+    awareCommutator: choiceParam(params, 'commutator', AWARE_COMMUTATORS),
+    ruleFamily: choiceParam(params, 'family', RULE_FAMILIES),
+    k: intParam(params, 'k', 2, 8),
+    radius: intParam(params, 'r', 1, 3),
+    code: /^\d+$/.test(params.get('code') || '') ? params.get('code') : undefined,
+    boundary: choiceParam(params, 'boundary', BOUNDARIES),
+    order: intParam(params, 'order', 2, MAX_ORDER),
+    ...(parseLifeRuleString(params.get('bs') || '') || {}),
+    gridSize: intParam(params, 'size', 1, 512),
+    density2D: fractionParam(params, 'density2d'),
+    boundary2D: choiceParam(params, 'boundary2d', BOUNDARIES_2D),
+    update: updateParam(params)
+  }
+
+  const exp = { ...DEFAULT_EXPERIMENT }
+  for (const [key, value] of Object.entries(parsed)) {
+    if (value !== undefined) exp[key] = value
+  }
+  return exp
+}
@@ -0,0 +1,21 @@
+import { useEffect, useRef, useCallback } from 'react'
+
+// Start a simulation worker for the lifetime of a component.
+// Returns a stable post function; messages go to the latest onMessage.
+export function useSimWorker(onMessage) {
+  const workerRef = useRef(null)
+  const handlerRef = useRef(onMessage)
+  handlerRef.current = onMessage
+
+  useEffect(() => {
+    const worker = new Worker(new URL('./sim.worker.js', import.meta.url), { type: 'module' })
+    worker.onmessage = e => handlerRef.current(e.data)
+    workerRef.current = worker
+    return () => {
+      worker.terminate()
+      workerRef.current = null
+    }
+  }, [])
+
+  return useCallback(msg => workerRef.current?.postMessage(msg), [])
+}
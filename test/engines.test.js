@@ -0,0 +1,231 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import * as reference from '../src/ca-core/reference.js'
+import {
+  BOUNDARIES_2D,
+  ruleToTable,
+  evolve,
+  derivative,
+  groovyCommutator,
+  groovyCommutator2,
+  compileRuleK,
+  randomRuleCode,
+  applyRuleK,
+  groovyCommutatorK,
+  groovyCommutator2K,
+  createGrid,
+  evolve2D,
+  groovyCommutator2D,
+  groovyFrame2D,
+  mulberry32,
+  randomState
+} from '../src/ca-core/index.js'
+
+// =============================================================================
+// ENGINES — the lookup-table engines against the reference engine
+// =============================================================================
+//
+// reference.js is the original string-keyed engine: periodic, binary,
+// radius 1 and Moore only. Other boundaries are checked one step at a time by
+// running it on a row (or grid) padded with the boundary's ghost cells, and
+// D, G and G² are composed from those steps here. k-colour rules,
+// neighbourhoods and Generations have no reference, so a plain per-cell
+// reading of the rule stands in for it.
+
+// Every boundary but infinite, which only means something for a whole padded run
+const BOUNDARIES_1D = BOUNDARIES_2D
+
+const subMod = (a, b, k) => a.map((v, i) => (v - b[i] + k) % k)
+
+// Which cell ghost j (outside 0..n-1) shows, or the constant it holds
+function ghost(j, n, boundary) {
+  if (boundary === 'fixed0') return { value: 0 }
+  if (boundary === 'fixed1') return { value: 1 }
+  if (boundary === 'reflective') return { index: Math.min(Math.max(j < 0 ? -j - 1 : 2 * n - 1 - j, 0), n - 1) }
+  return { index: ((j % n) + n) % n }
+}
+
+function cell1D(row, j, boundary) {
+  if (j >= 0 && j < row.length) return row[j]
+  const g = ghost(j, row.length, boundary)
+  return g.index === undefined ? g.value : row[g.index]
+}
+
+// D, E, G and G² of a step function, by their definitions (mod k)
+function commutatorParts(step, state, k = 2) {
+  const sub = (a, b) => subMod(a, b, k)
+  const G = s => {
+    const E = step(s)
+    return sub(sub(step(E), E), step(sub(E, s)))
+  }
+  const E = step(state)
+  return { E, D: sub(E, state), G: G(state), G2: G(G(state)) }
+}
+
+const same = (actual, expected, message) => assert.deepEqual(Array.from(actual), Array.from(expected), message)
+
+test('1D elementary rules match the reference on every boundary', () => {
+  const rand = mulberry32(1)
+  for (let rule = 0; rule < 256; rule++) {
+    const table = ruleToTable(rule)
+    const dict = reference.ruleToDict(rule)
+    for (const boundary of BOUNDARIES_1D) {
+      const row = randomState(23, rand)
+      let expected
+      if (boundary === 'periodic') {
+        expected = {
+          E: reference.evolve(row, dict),
+          D: reference.derivative(row, dict),
+          G: reference.groovyCommutator(row, dict),
+          G2: reference.groovyCommutator2(row, dict)
+        }
+      } else {
+        // One reference step on the row with a ghost cell at each end
+        const step = s => {
+          const padded = Uint8Array.from([cell1D(s, -1, boundary), ...s, cell1D(s, s.length, boundary)])
+          return reference.applyRule(padded, dict).slice(1, -1)
+        }
+        expected = commutatorParts(step, row)
+      }
+      const message = `rule ${rule}, ${boundary}`
+      same(evolve(row, table, boundary), expected.E, message)
+      same(derivative(row, table, boundary), expected.D, message)
+      same(groovyCommutator(row, table, boundary), expected.G, message)
+      same(groovyCommutator2(row, table, boundary), expected.G2, message)
+    }
+  }
+})
+
+// Digit `index` (base k) of a rule code
+const codeDigit = (code, k, index) => Number((BigInt(code) / BigInt(k) ** BigInt(index)) % BigInt(k))
+
+test('1D k-colour, radius-r rules match a per-cell reading of the code', () => {
+  const rand = mulberry32(2)
+  for (const totalistic of [false, true]) {
+    for (const [k, radius] of [[2, 1], [2, 2], [2, 3], [3, 1], [3, 2], [3, 3], [4, 1], [4, 2], [5, 1], [8, 1]]) {
+      for (let n = 0; n < 4; n++) {
+        const spec = { k, radius, totalistic, code: randomRuleCode({ k, radius, totalistic }, rand) }
+        const rule = compileRuleK(spec)
+        for (const boundary of BOUNDARIES_1D) {
+          // fixed1 walls hold colour 1, whatever k is
+          const step = s => s.map((_, i) => {
+            let index = 0
+            for (let j = i - radius; j <= i + radius; j++) index = totalistic ? index + cell1D(s, j, boundary) : index * k + cell1D(s, j, boundary)
+            return codeDigit(spec.code, k, index)
+          })
+          const row = randomState(19, rand, 0.7, k)
+          const expected = commutatorParts(step, row, k)
+          const message = `k = ${k}, r = ${radius}, ${totalistic ? 'totalistic' : 'general'} ${spec.code}, ${boundary}`
+          same(applyRuleK(row, rule, boundary), expected.E, message)
+          same(groovyCommutatorK(row, rule, boundary), expected.G, message)
+          same(groovyCommutator2K(row, rule, boundary), expected.G2, message)
+        }
+      }
+    }
+  }
+})
+
+const LIFE_RULES = [
+  [[3], [2, 3]],
+  [[3, 6], [2, 3]],
+  [[2], []],
+  [[1, 3, 5, 7], [1, 3, 5, 7]],
+  [[0, 1, 2], [3, 4, 5, 6, 7, 8]],
+  [[3, 6, 7, 8], [3, 4, 6, 7, 8]]
+]
+
+const toRows = grid => Array.from({ length: grid.height }, (_, y) => grid.cells.slice(y * grid.width, (y + 1) * grid.width))
+const fromRows = rows => createGrid(rows[0].length, rows.length, Uint8Array.from(rows.flatMap(row => Array.from(row))))
+
+function cell2D(grid, x, y, boundary) {
+  const { width: w, height: h, cells } = grid
+  if (x >= 0 && x < w && y >= 0 && y < h) return cells[y * w + x]
+  const gx = x >= 0 && x < w ? { index: x } : ghost(x, w, boundary)
+  const gy = y >= 0 && y < h ? { index: y } : ghost(y, h, boundary)
+  if (gx.value !== undefined) return gx.value
+  return gy.value !== undefined ? gy.value : cells[gy.index * w + gx.index]
+}
+
+// E, D, G and G² of a grid step, as flat cell arrays
+const frameParts = (step, grid, k = 2) =>
+  commutatorParts(cells => step(createGrid(grid.width, grid.height, cells)).cells, grid.cells, k)
+
+test('2D Moore rules match the reference on every boundary', () => {
+  const rand = mulberry32(3)
+  for (const [birth, survive] of LIFE_RULES) {
+    for (const boundary of BOUNDARIES_2D) {
+      const grid = createGrid(13, 11, randomState(13 * 11, rand, 0.35))
+      // One reference step on the grid with a ring of ghost cells
+      const step = g => {
+        const padded = []
+        for (let y = -1; y <= g.height; y++) {
+          padded.push(Uint8Array.from({ length: g.width + 2 }, (_, x) => cell2D(g, x - 1, y, boundary)))
+        }
+        const next = reference.evolve2D(padded, birth, survive).slice(1, -1).map(row => row.slice(1, -1))
+        return fromRows(next)
+      }
+      const expected = frameParts(step, grid)
+      const message = `B${birth.join('')}/S${survive.join('')}, ${boundary}`
+      if (boundary === 'periodic') {
+        same(groovyCommutator2D(grid, birth, survive).cells, fromRows(reference.groovyCommutator2D(toRows(grid), birth, survive)).cells, message)
+      }
+      same(evolve2D(grid, birth, survive, boundary).cells, expected.E, message)
+      same(groovyCommutator2D(grid, birth, survive, boundary).cells, expected.G, message)
+      const frame = groovyFrame2D(grid, birth, survive, boundary)
+      same(frame.next.cells, expected.E, message)
+      same(frame.deriv.cells, expected.D, message)
+      same(frame.groovy.cells, expected.G, message)
+      same(frame.groovy2.cells, expected.G2, message)
+    }
+  }
+})
+
+const NEIGHBOURHOODS = [
+  { shape: 'vonNeumann', range: 1, middle: false },
+  { shape: 'hex', range: 1, middle: false },
+  { shape: 'moore', range: 2, middle: true },
+  { shape: 'vonNeumann', range: 3, middle: false },
+  { shape: 'hex', range: 2, middle: true },
+  { shape: 'moore', range: 5, middle: false }
+]
+
+const inNeighbourhood = ({ shape, range: r }, dx, dy) =>
+  shape === 'vonNeumann' ? Math.abs(dx) + Math.abs(dy) <= r : shape === 'hex' ? Math.abs(dx - dy) <= r : true
+
+test('2D neighbourhoods and Generations match a per-cell reading of the rule', () => {
+  const rand = mulberry32(4)
+  for (const neighbourhood of NEIGHBOURHOODS) {
+    const r = neighbourhood.range
+    const most = (2 * r + 1) ** 2
+    for (const states of [2, 3, 5]) {
+      // Random birth and survival counts up to the neighbourhood's size
+      const birth = Array.from({ length: most }, (_, n) => n).filter(n => n > 0 && rand() < 0.3)
+      const survive = Array.from({ length: most }, (_, n) => n).filter(() => rand() < 0.4)
+      for (const boundary of BOUNDARIES_2D) {
+        // Only live cells (state 1) count; dying cells age until they wrap to 0
+        const step = g => createGrid(g.width, g.height, g.cells.map((s, i) => {
+          const x = i % g.width
+          const y = (i - x) / g.width
+          let count = 0
+          for (let dy = -r; dy <= r; dy++) {
+            for (let dx = -r; dx <= r; dx++) {
+              if (!dx && !dy && !neighbourhood.middle) continue
+              if (inNeighbourhood(neighbourhood, dx, dy) && cell2D(g, x + dx, y + dy, boundary) === 1) count++
+            }
+          }
+          if (s === 0) return birth.includes(count) ? 1 : 0
+          if (s === 1) return survive.includes(count) ? 1 : 2 % states
+          return (s + 1) % states
+        }))
+        const grid = createGrid(12, 9, randomState(12 * 9, rand, 0.4, states))
+        const parts = frameParts(step, grid, states)
+        const frame = groovyFrame2D(grid, birth, survive, boundary, null, neighbourhood, states)
+        const message = `${neighbourhood.shape} r = ${r}${neighbourhood.middle ? ' with middle' : ''}, ${states} states, ${boundary}`
+        same(frame.next.cells, parts.E, message)
+        same(frame.deriv.cells, parts.D, message)
+        same(frame.groovy.cells, parts.G, message)
+        same(frame.groovy2.cells, parts.G2, message)
+      }
+    }
+  }
+})
@@ -0,0 +1,90 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import {
+  MAX_ORDER,
+  lightConePadding,
+  mulberry32,
+  randomState,
+  randomRuleCode,
+  runCA1D,
+  iterateCA1D
+} from '../src/ca-core/index.js'
+
+// =============================================================================
+// INFINITE LATTICE — padded runs against periodic rows too wide to wrap
+// =============================================================================
+//
+// A periodic row with more room on each side than the run's light cone never
+// feels its wrap-around in the cells an infinite run keeps, so both must agree
+// there on every row of the history, D, G, G² and the whole tower.
+
+const STEPS = 12
+
+function compareWithWidePeriodic(initial, options, radius = 1) {
+  const infinite = runCA1D(initial, { ...options, steps: STEPS, boundary: 'infinite' })
+  const pad = (infinite.history[0].length - initial.length) / 2
+  assert.ok(pad >= lightConePadding(radius, STEPS, options.order), 'padding covers the light cone')
+
+  // Room for the light cones from both sides to pass each other unmet
+  const room = 2 * lightConePadding(radius, STEPS, options.order)
+  const wide = new Uint8Array(initial.length + 2 * room)
+  wide.set(initial, room)
+  const periodic = runCA1D(wide, { ...options, steps: STEPS, boundary: 'periodic' })
+  const crop = row => Array.from(row.subarray(room - pad, room - pad + infinite.history[0].length))
+
+  const fields = ['history', 'derivHistory', 'groovyHistory', 'groovy2History']
+  for (const field of fields) {
+    infinite[field].forEach((row, t) => assert.deepEqual(Array.from(row), crop(periodic[field][t]), `${field} at step ${t}`))
+  }
+  infinite.tower.histories.forEach((rows, k) => rows.forEach((row, t) => {
+    assert.deepEqual(Array.from(row), crop(periodic.tower.histories[k][t]), `G^${k + 1} at step ${t}`)
+  }))
+}
+
+test('infinite runs match a wide periodic run at every tower order', () => {
+  const rand = mulberry32(5)
+  for (let order = 2; order <= MAX_ORDER; order++) {
+    for (const rule of [30, 45, 54, 110, 150]) {
+      const initial = randomState(9, rand)
+      compareWithWidePeriodic(initial, { rule, order }, 1)
+      compareWithWidePeriodic(initial, { rule, order, aware: true, memoryBehavior: 'invert' }, 1)
+      compareWithWidePeriodic(initial, { rule, order, aware: true, memoryBehavior: 'excite', awareCommutator: 'paired' }, 1)
+    }
+    for (const [k, radius] of [[3, 1], [2, 2], [2, 3]]) {
+      const multistate = { k, radius, totalistic: true, code: randomRuleCode({ k, radius, totalistic: true }, rand) }
+      compareWithWidePeriodic(randomState(9, rand, 0.5, k), { multistate, order }, radius)
+    }
+  }
+})
+
+// With a quiescent rule (000 → 0) every cell outside a row's active window stays 0
+const outside = (row, { from, to }) => [...row.subarray(0, from), ...row.subarray(to)]
+
+// A random k-colour code whose lowest digit, the all-0 neighbourhood, is 0
+function quiescentCode(spec, rand) {
+  const code = BigInt(randomRuleCode(spec, rand))
+  return String(code - code % BigInt(spec.k))
+}
+
+test('active windows hold every cell the light cone has reached', () => {
+  const rand = mulberry32(6)
+  for (const order of [2, 5, MAX_ORDER]) {
+    const runs = [
+      ...[18, 30, 54, 110, 150].map(rule => ({ rule })),
+      { rule: 110, aware: true, memoryBehavior: 'invert' },
+      { rule: 54, aware: true, memoryBehavior: 'stabilize', awareCommutator: 'paired' },
+      { multistate: { k: 3, radius: 2, totalistic: true, code: quiescentCode({ k: 3, radius: 2, totalistic: true }, rand) } }
+    ]
+    for (const options of runs) {
+      const k = options.multistate?.k ?? 2
+      let i = 0
+      for (const step of iterateCA1D(randomState(7, rand, 0.5, k), { ...options, order, steps: 10, boundary: 'infinite' })) {
+        const where = `${JSON.stringify(options)}, order ${order}, step ${i++}`
+        for (const field of ['state', 'deriv', 'groovy', 'groovy2']) {
+          assert.ok(outside(step[field], step.active[field]).every(v => v === 0), `${field}: ${where}`)
+        }
+        step.tower.forEach((row, n) => assert.ok(outside(row, step.active.tower[n]).every(v => v === 0), `G^${n + 1}: ${where}`))
+      }
+    }
+  }
+})
@@ -0,0 +1,30 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { MAX_HISTORY_CELLS, planHistories, runCA1D } from '../src/ca-core/index.js'
+
+// =============================================================================
+// 1D RUNS — how much history a run keeps
+// =============================================================================
+
+const row = width => new Uint8Array(width)
+
+test('runs keep every history while it fits', () => {
+  assert.deepEqual(planHistories(row(1000), { steps: 5000, order: 16 }), { keepTower: true })
+  const result = runCA1D(row(20), { rule: 110, steps: 10, order: 5 })
+  assert.equal(result.tower.histories.length, 5)
+  assert.ok(result.tower.histories.every(rows => rows.length === 10))
+})
+
+test('the tower above G² keeps only densities and fates past the limit', () => {
+  // 11,064 cells once padded: S, D, G and G² fit, twelve more levels do not
+  const options = { steps: 5000, boundary: 'infinite', order: 16 }
+  assert.deepEqual(planHistories(row(1000), options), { keepTower: false })
+  assert.deepEqual(planHistories(row(1000), { ...options, order: 2 }), { keepTower: true })
+})
+
+test('runs whose S, D, G and G² alone pass the limit are refused', () => {
+  const steps = 5000
+  const width = Math.ceil(MAX_HISTORY_CELLS / (4 * steps + 1)) + 1
+  assert.throws(() => planHistories(row(width), { steps }), /the limit is/)
+  assert.throws(() => runCA1D(row(1000), { rule: 110, steps, boundary: 'infinite', multistate: { k: 2, radius: 3, code: '0' } }), /the limit is/)
+})